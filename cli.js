@@ -0,0 +1,422 @@
+/**
+ * Terminal chat client for P2P Chat Mobile
+ * Runs a full node under Node.js, e.g. as a relay on a laptop or to test
+ * meshes on machines without a phone:
+ *
+ *   node cli.js --nick Alice --port 8888
+ *   node cli.js --nick Bob --port 8889 --connect 127.0.0.1:8888
+ *
+ * Supports the same slash commands as the app, see src/commands.js.
+ */
+
+import os from 'os';
+import path from 'path';
+import readline from 'readline';
+import { P2PNetworkManager, normalizeChannel } from './src/network/P2PNetworkManager.js';
+import { PROTOCOL_VERSION, MIN_PROTOCOL_VERSION } from './src/protocol/P2PProtocol.js';
+import { createNodePlatform } from './src/platform/node.js';
+import { WebSocketTransport } from './src/transport/WebSocketTransport.js';
+import {
+  GLOBAL_THREAD,
+  dmThread,
+  channelThread,
+  isDmThread,
+  isChannelThread,
+  formatFileSize,
+  formatIdentityWarning,
+  connectCommand,
+  runCommand
+} from './src/commands.js';
+
+const USAGE = `Usage: node cli.js --nick <nickname> [--port <port>] [--transport tcp|websocket]
+                   [--connect <ip:port>]... [--data <directory>]
+                   [--dedup exact|bloom] [--verbose]
+
+  --nick      Nickname shown to other peers (2-20 characters)
+  --port      Port to listen on (default 8888)
+  --transport How to link with peers (default tcp); websocket lets nodes in
+              the web build connect, and needs the ws package
+  --connect   Peer to connect to on start, may be repeated
+  --data      Where the identity key, pinned keys and received files are kept
+              (default ~/.p2p-chat/<nickname>)
+  --dedup     How seen messages are remembered (default exact); bloom uses
+              fixed memory at the cost of rare false positives
+  --verbose   Show the network manager's log output`;
+
+const CHANNELS_KEY = '@p2pchat:channels';
+
+const parseArgs = (argv) => {
+  const options = { port: 8888, transport: 'tcp', connect: [], dedup: 'exact', verbose: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--nick':
+        options.nick = argv[++i];
+        break;
+      case '--port':
+        options.port = parseInt(argv[++i]);
+        break;
+      case '--transport':
+        options.transport = argv[++i];
+        break;
+      case '--connect':
+        options.connect.push(argv[++i]);
+        break;
+      case '--data':
+        options.data = argv[++i];
+        break;
+      case '--dedup':
+        options.dedup = argv[++i];
+        break;
+      case '--verbose':
+        options.verbose = true;
+        break;
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (options.help) return options;
+
+  if (!options.nick || options.nick.length < 2 || options.nick.length > 20) {
+    throw new Error('--nick must be 2-20 characters');
+  }
+  if (!(options.port > 0 && options.port < 65536)) {
+    throw new Error('--port must be a number between 1 and 65535');
+  }
+  if (options.transport !== 'tcp' && options.transport !== 'websocket') {
+    throw new Error('--transport must be tcp or websocket');
+  }
+  if (options.dedup !== 'exact' && options.dedup !== 'bloom') {
+    throw new Error('--dedup must be exact or bloom');
+  }
+  options.data = options.data || path.join(os.homedir(), '.p2p-chat', options.nick);
+  return options;
+};
+
+// The ws package is only needed, and only loaded, for WebSocket links
+const createTransport = async (name) => {
+  if (name !== 'websocket') return undefined;
+
+  const { default: WebSocket, WebSocketServer } = await import('ws');
+  return new WebSocketTransport({ WebSocket, WebSocketServer });
+};
+
+const formatTime = (date) => date.toLocaleTimeString();
+
+class ChatClient {
+  constructor(options, transport) {
+    this.options = options;
+    this.nickname = options.nick;
+    this.platform = createNodePlatform(options.data, transport);
+    this.network = new P2PNetworkManager(options.port, options.nick, { ...this.platform, dedupMode: options.dedup });
+    
+    this.activeThread = GLOBAL_THREAD;
+    this.quitting = false;
+    
+    // Clock of the causally latest message per conversation, to flag late arrivals
+    this.latestClocks = new Map();
+    
+    // Own messages awaiting delivery, key: msgId, value: text
+    this.sentMessages = new Map();
+    
+    this.rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  }
+
+  async start() {
+    const network = this.network;
+    network.onMessage = this.handleMessage.bind(this);
+    network.onPrivateMessage = this.handlePrivateMessage.bind(this);
+    network.onMessageStatus = this.handleMessageStatus.bind(this);
+    network.onPeerJoined = (peer) => this.print(`→ ${peer.nickname || peer.key} joined the network`);
+    network.onPeerLeft = (peer) => this.print(`← ${peer.nickname || peer.key} left the network`);
+    network.onPeerReconnected = (peer) => this.print(`↻ ${peer.nickname} is back`);
+    network.onConnectionError = (error) => this.print(`⚠️ Connection error: ${error.message}`);
+    network.onFileTransfer = this.handleFileTransfer.bind(this);
+    network.onIdentityWarning = this.handleIdentityWarning.bind(this);
+    network.onIncompatiblePeer = this.handleIncompatiblePeer.bind(this);
+    network.onPeerThrottled = this.handlePeerThrottled.bind(this);
+    
+    // Rejoin the channels from last time
+    const stored = await this.platform.storage.getItem(CHANNELS_KEY);
+    (stored ? JSON.parse(stored) : []).forEach(channel => network.joinChannel(channel));
+    
+    await network.start();
+    this.print(`🚀 P2P Chat started on port ${this.options.port}`);
+    this.print(`📱 Your nickname: ${this.nickname}`);
+    this.print(`🔑 Your fingerprint: ${network.identity.fingerprint}`);
+    this.print('💡 Type /help for commands');
+    
+    // LAN discovery is a convenience, chat still works without it
+    try {
+      await network.startDiscovery();
+      this.print('📡 Looking for nearby peers on the local network...');
+    } catch (error) {
+      this.print(`⚠️ LAN discovery unavailable: ${error.message}`);
+    }
+    
+    this.options.connect.forEach(address => connectCommand(address, this.commandContext()));
+    
+    this.rl.on('line', line => {
+      this.handleInput(line.trim());
+      this.prompt();
+    });
+    
+    // Without a terminal (e.g. a relay started with < /dev/null) keep running until killed
+    this.rl.on('close', () => {
+      if (process.stdin.isTTY) {
+        this.quit();
+      }
+    });
+    
+    this.prompt();
+  }
+
+  prompt() {
+    if (!process.stdout.isTTY) return;
+    
+    this.rl.setPrompt(`[${this.activeThread}]> `);
+    this.rl.prompt(true);
+  }
+
+  // Print a line above the prompt without mangling what is being typed
+  print(line) {
+    if (process.stdout.isTTY) {
+      readline.clearLine(process.stdout, 0);
+      readline.cursorTo(process.stdout, 0);
+    }
+    process.stdout.write(`${line}\n`);
+    this.prompt();
+  }
+
+  printMessage(thread, sender, text, meta) {
+    const sentAt = meta.sentAt ? new Date(meta.sentAt) : new Date();
+    const lock = meta.encrypted ? '🔒 ' : '';
+    
+    let marker = '';
+    if (meta.syncedFrom) {
+      marker = meta.unverified
+        ? ` (↺ caught up from ${meta.syncedFrom}, sender not verified)`
+        : ` (↺ caught up from ${meta.syncedFrom})`;
+    } else if (typeof meta.clock === 'number') {
+      const latest = this.latestClocks.get(thread) || 0;
+      if (meta.clock < latest) {
+        marker = ' (⏱ received late)';
+      }
+      this.latestClocks.set(thread, Math.max(latest, meta.clock));
+    }
+    
+    this.print(`${formatTime(sentAt)} [${thread}] ${lock}${sender}: ${text}${marker}`);
+  }
+
+  handleMessage(sender, text, isOwn, meta = {}) {
+    if (isOwn && meta.id !== undefined) {
+      this.sentMessages.set(meta.id, text);
+    }
+    this.printMessage(meta.channel ? channelThread(meta.channel) : GLOBAL_THREAD, sender, text, meta);
+  }
+
+  handlePrivateMessage(from, to, text, isOwn, meta = {}) {
+    if (isOwn && meta.id !== undefined) {
+      this.sentMessages.set(meta.id, text);
+    }
+    this.printMessage(dmThread(isOwn ? to : from), from, text, meta);
+  }
+
+  handleMessageStatus(msgId, status, deliveredCount, expectedCount) {
+    const text = this.sentMessages.get(msgId);
+    if (text === undefined) return;
+    
+    // Deliveries are the normal case, only report the exceptions
+    if (status === 'failed') {
+      this.print(`⚠️ Not delivered: ${text.substring(0, 40)}`);
+    } else if (status === 'partial') {
+      this.print(`⚠️ Only delivered to ${deliveredCount} of ${expectedCount}: ${text.substring(0, 40)}`);
+    } else if (status === 'queued') {
+      this.print(`🕓 Queued until the peer is reachable: ${text.substring(0, 40)}`);
+    }
+    
+    // A broadcast is done once everyone acknowledged it, or retransmits ran out
+    const incomplete = status === 'delivered' && expectedCount && deliveredCount < expectedCount;
+    if (status !== 'queued' && status !== 'sent' && !incomplete) {
+      this.sentMessages.delete(msgId);
+    }
+  }
+
+  handleFileTransfer(transfer) {
+    const name = `${transfer.name} (${formatFileSize(transfer.size)})`;
+    const peer = transfer.isOwn ? transfer.to : transfer.from;
+    
+    switch (transfer.status) {
+      case 'offered':
+        this.print(transfer.isOwn ? `📎 Offering ${name} to ${peer}` : `📎 ${peer} is sending ${name}`);
+        break;
+      case 'complete':
+        this.print(transfer.isOwn ? `📎 Sent ${name} to ${peer}` : `📎 Saved ${name} from ${peer} to ${transfer.path}`);
+        break;
+      case 'failed':
+        this.print(`❌ Transfer of ${name} ${transfer.isOwn ? 'to' : 'from'} ${peer} failed${transfer.error ? `: ${transfer.error}` : ''}`);
+        break;
+    }
+  }
+
+  handleIdentityWarning(warning) {
+    this.print(formatIdentityWarning(warning));
+  }
+
+  handleIncompatiblePeer({ nickname, address, port, version }) {
+    this.print(
+      `⛔ Disconnected from ${nickname} (${address}:${port}): it speaks protocol v${version}, ` +
+      `this client supports v${MIN_PROTOCOL_VERSION}-v${PROTOCOL_VERSION}. One of you needs to update.`
+    );
+  }
+
+  handlePeerThrottled({ nickname, scope, banned, until }) {
+    if (!banned) {
+      this.print(`🐢 ${nickname} is sending too many messages, dropping some of them`);
+      return;
+    }
+    const seconds = Math.round((until - Date.now()) / 1000);
+    const action = scope === 'sender' ? 'ignoring its messages' : 'disconnected and refused';
+    this.print(`🚫 ${nickname} kept flooding the room: ${action} for ${seconds}s`);
+  }
+
+  handleInput(text) {
+    if (!text) return;
+    
+    if (text.startsWith('/')) {
+      this.handleCommand(text.substring(1));
+      return;
+    }
+    
+    // Without peers the network manager queues the message until a link comes up
+    if (this.activeThread === GLOBAL_THREAD) {
+      this.network.sendMessage(text);
+    } else if (isChannelThread(this.activeThread)) {
+      this.network.sendMessage(text, 3, this.activeThread.substring(1));
+    } else {
+      this.network.sendPrivateMessage(this.activeThread.substring(1), text);
+    }
+  }
+
+  handleCommand(command) {
+    runCommand(command, this.commandContext());
+  }
+
+  // What the shared slash commands need, plus the commands only the terminal has
+  commandContext() {
+    return {
+      network: this.network,
+      nickname: this.nickname,
+      print: line => this.print(line),
+      activeThread: this.activeThread,
+      switchThread: thread => { this.activeThread = thread; },
+      channelsChanged: () => this.saveChannels(),
+      nearbyHint: 'use /connect to connect',
+      help: {
+        commands: [
+          '/send <nickname> <path> - Send a file',
+          '/switch <global|#channel|@nickname> - Change the conversation you type into',
+          '/clear - Clear the screen',
+          '/quit - Leave the network and exit'
+        ],
+        notes: ['📝 Just type a message to send it to the conversation shown in the prompt']
+      },
+      commands: {
+        send: args => this.sendFileCommand(args),
+        switch: (args, argString) => this.switchCommand(argString),
+        // Nothing is stored by the terminal client, so every scope just clears the screen
+        clear: () => console.clear(),
+        quit: () => this.quit(),
+        exit: () => this.quit()
+      }
+    };
+  }
+
+  async sendFileCommand([recipient, ...words]) {
+    const file = words.join(' ').trim();
+    
+    if (!recipient || !file) {
+      this.print('❌ Invalid format. Use: /send <nickname> <path>');
+      return;
+    }
+    
+    const filePath = path.resolve(file.replace(/^~(?=$|\/)/, os.homedir()));
+    try {
+      await this.network.sendFile(recipient, { uri: filePath, name: path.basename(filePath) });
+    } catch (error) {
+      this.print(`❌ Could not send file: ${error.message}`);
+    }
+  }
+
+  saveChannels() {
+    this.platform.storage.setItem(CHANNELS_KEY, JSON.stringify(this.network.getChannels())).catch(error => {
+      console.error('Failed to save channels:', error);
+    });
+  }
+
+  switchCommand(target) {
+    if (!target || target === GLOBAL_THREAD) {
+      this.activeThread = GLOBAL_THREAD;
+    } else if (isDmThread(target) && target.length > 1) {
+      this.activeThread = target;
+    } else {
+      const channel = normalizeChannel(target);
+      if (!channel || !this.network.getChannels().includes(channel)) {
+        this.print(`❌ Not in ${target}. Use /join first, or /switch global|#channel|@nickname`);
+        return;
+      }
+      this.activeThread = channelThread(channel);
+    }
+  }
+
+  async quit() {
+    if (this.quitting) return;
+    this.quitting = true;
+    
+    this.network.stop();
+    this.rl.close();
+    // Pinned keys, blocks and channels saved just before may not be on disk yet
+    await this.platform.storage.flush();
+    process.exit(0);
+  }
+}
+
+const main = async () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  // The manager logs every connection and route change; keep the chat readable
+  if (!options.verbose) {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+
+  try {
+    const client = new ChatClient(options, await createTransport(options.transport));
+    process.on('SIGINT', () => client.quit());
+    process.on('SIGTERM', () => client.quit());
+    
+    await client.start();
+  } catch (error) {
+    console.error(`Failed to start P2P network: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+main();
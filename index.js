@@ -1,3 +1,5 @@
+// Must load first: provides crypto.getRandomValues for end-to-end encryption
+import 'react-native-get-random-values';
 import { registerRootComponent } from 'expo';
 
 import App from './App';
@@ -0,0 +1,368 @@
+/**
+ * Slash commands shared by the app and the terminal client
+ *
+ * Parses a command and runs it against the network manager, printing the
+ * result through the front end. Each front end passes a context:
+ *
+ *   {
+ *     network,           // the P2PNetworkManager, null while it is starting
+ *     nickname,          // our own nickname
+ *     print(line),       // show a line to the user
+ *     activeThread,      // conversation being viewed, see the thread helpers below
+ *     switchThread(thread),
+ *     channelsChanged(), // after /join or /leave, e.g. to store the channel list
+ *     nearbyHint,        // how to connect to a peer listed by /nearby
+ *     help: { commands, notes }, // extra lines for /help
+ *     commands           // front-end commands, name -> (args, argString), may override shared ones
+ *   }
+ */
+
+import { normalizeChannel } from './network/P2PNetworkManager.js';
+import { CAPABILITIES } from './protocol/P2PProtocol.js';
+
+// Conversations: broadcast chat, "@nickname" for private messages, "#channel"
+export const GLOBAL_THREAD = 'global';
+export const dmThread = (nickname) => `@${nickname}`;
+export const channelThread = (channel) => `#${channel}`;
+export const isDmThread = (thread) => thread.startsWith('@');
+export const isChannelThread = (thread) => thread.startsWith('#');
+
+// Commands every front end has, in the order /help lists them
+const HELP = [
+  '/connect <ip:port> - Connect to peer',
+  '/msg <nickname> <text> - Send a private message',
+  '/nearby - List peers found on the local network',
+  '/peers or /who - List connected peers',
+  '/ping [nickname] - Measure latency to all peers or one peer',
+  '/stats - Show how many duplicate messages were dropped',
+  '/trust <nickname> - Accept a peer\'s changed identity key',
+  '/block <nickname> - Hide a peer\'s messages and refuse its connections',
+  '/mute <nickname> - Hide a peer\'s messages',
+  '/unblock <nickname> - Lift a block or mute',
+  '/blocked - List blocked and muted peers',
+  '/join #channel - Join a channel (or create it) and switch to it',
+  '/leave [#channel] - Leave a channel, by default the one you are viewing',
+  '/channels - List the channels you have joined'
+];
+
+export const formatPercent = (rate) => `${(rate * 100).toFixed(rate > 0 && rate < 0.001 ? 3 : 1)}%`;
+
+export const formatDedupStats = (stats) => {
+  const falsePositives = stats.mode === 'bloom' ? `, ~${formatPercent(stats.falsePositiveRate)} false positives` : '';
+  const origins = stats.origins === undefined ? ''
+    : `, ${stats.origins} id tags on unattributed messages (~${formatPercent(stats.tagCollisionRisk)} chance two match)`;
+  return `${stats.checks} checked, ${stats.hits} duplicates dropped (${formatPercent(stats.hitRate)}), ` +
+    `${stats.collisions} id collisions, ${stats.size} remembered${falsePositives}${origins}`;
+};
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+export const formatIdentity = (peer) => {
+  if (peer.keyMismatch) return '⛔ key changed';
+  return peer.fingerprint ? `🔑 ${peer.fingerprint}` : '⚠️ unverified';
+};
+
+// Protocol version, and the features an older peer is missing
+export const formatProtocol = (peer) => {
+  if (peer.version === null) return '';
+  const missing = CAPABILITIES.filter(capability => !peer.capabilities.includes(capability));
+  return missing.length > 0 ? ` - v${peer.version}, no ${missing.join(', ')}` : ` - v${peer.version}`;
+};
+
+export const formatIdentityWarning = ({ nickname, expected, presented }) => {
+  const presentedText = presented ? `key ${presented}` : 'no key at all';
+  return `⛔ ${nickname} presented ${presentedText}, but was known as ${expected}. ` +
+    `Messages to ${nickname} are not routed over this link. ` +
+    `If they reinstalled the app, check the new fingerprint with them and use /trust ${nickname}`;
+};
+
+// "host:port" to [host, port], or null
+export const parseAddress = (text) => {
+  const separator = (text || '').lastIndexOf(':');
+  const host = text.substring(0, separator);
+  const port = parseInt(text.substring(separator + 1));
+  return separator > 0 && host && port ? [host, port] : null;
+};
+
+/**
+ * Split a command (without the leading slash) into its lower-cased name,
+ * its words and the rest of the line
+ */
+export const parseCommand = (command) => {
+  const [name, ...args] = command.split(' ');
+  return { name: name.toLowerCase(), args, argString: args.join(' ').trim() };
+};
+
+export const connectCommand = async (address, { network, print }) => {
+  const target = parseAddress(address);
+  if (!target) {
+    print('❌ Invalid format. Use: /connect <ip:port>');
+    return;
+  }
+
+  const [host, port] = target;
+  try {
+    print(`🔌 Connecting to ${host}:${port}...`);
+    await network.connectToPeer(host, port);
+    print(`✅ Connected to ${host}:${port}`);
+  } catch (error) {
+    print(`❌ Failed to connect to ${host}:${port}: ${error.message}`);
+  }
+};
+
+const sendPrivateCommand = ([recipient, ...words], { network, nickname, print, switchThread }) => {
+  const text = words.join(' ').trim();
+
+  if (!recipient || !text) {
+    print('❌ Invalid format. Use: /msg <nickname> <message>');
+    return;
+  }
+  if (recipient === nickname) {
+    print('❌ You cannot send a private message to yourself');
+    return;
+  }
+
+  switchThread(dmThread(recipient));
+  network.sendPrivateMessage(recipient, text);
+};
+
+export const showNearbyPeers = ({ network, print, nearbyHint = 'use /connect to connect' }) => {
+  const nearby = network.getDiscoveredPeers();
+  if (nearby.length === 0) {
+    print('📡 No new peers found on the local network yet');
+    return;
+  }
+
+  print(`📡 Nearby peers (${nearby.length}) - ${nearbyHint}:`);
+  nearby.forEach(peer => {
+    const incompatible = peer.incompatible ? ' ⛔ incompatible version' : '';
+    print(`  • ${peer.nickname || 'Unknown'} (${peer.address}:${peer.port})${incompatible}`);
+  });
+};
+
+const showPeerList = ({ network, print }) => {
+  const peerList = network.getPeerList();
+
+  network.getIncompatiblePeers().forEach(peer => {
+    print(`⛔ Incompatible: ${peer.nickname} (${peer.address}:${peer.port}) speaks protocol v${peer.version}`);
+  });
+
+  if (peerList.length === 0) {
+    print('📭 No peers connected');
+    return;
+  }
+
+  const direct = peerList.filter(peer => !peer.via);
+  const remote = peerList.filter(peer => peer.via);
+
+  print(`👥 Connected peers (${direct.length}):`);
+  direct.forEach(peer => {
+    const nickname = peer.nickname || 'Unknown';
+    const lastSeen = new Date(peer.lastSeen).toLocaleTimeString();
+    const rtt = peer.rtt !== null ? ` - RTT: ${peer.rtt} ms` : '';
+    print(`  • ${nickname} [${formatIdentity(peer)}] (${peer.linkKey})${rtt}${formatProtocol(peer)} - Last seen: ${lastSeen}`);
+  });
+
+  if (remote.length > 0) {
+    print(`🕸️ Reachable through the mesh (${remote.length}):`);
+    remote.forEach(peer => {
+      print(`  • ${peer.nickname} - ${peer.hopCount} hops via ${peer.via}`);
+    });
+  }
+};
+
+const pingCommand = (target, { network, print }) => {
+  if (target) {
+    network.ping(target)
+      .then(rtt => print(`🏓 Pong from ${target}: ${rtt} ms`))
+      .catch(error => print(`❌ ${error.message}`));
+    return;
+  }
+
+  const direct = network.getPeerList().filter(peer => !peer.via);
+  if (direct.length === 0) {
+    print('📭 No peers connected');
+    return;
+  }
+
+  print('📡 Ping sent to all peers');
+  direct.forEach(peer => {
+    const name = peer.nickname || peer.linkKey;
+    network.pingPeer(peer.linkKey)
+      .then(rtt => print(`🏓 Pong from ${name}: ${rtt} ms`))
+      .catch(error => print(`❌ ${error.message}`));
+  });
+};
+
+const trustCommand = (nickname, { network, print }) => {
+  if (!nickname) {
+    print('❌ Usage: /trust <nickname>');
+    return;
+  }
+
+  if (network.trustPeer(nickname)) {
+    print(`🔑 Now trusting the new key of ${nickname}`);
+  } else {
+    print(`❌ ${nickname} has no untrusted key to accept`);
+  }
+};
+
+/**
+ * Block or mute a peer by nickname; mode is 'block' or 'mute'
+ */
+export const blockCommand = (peerName, mode, { network, nickname, print }) => {
+  if (!peerName) {
+    print(`❌ Usage: /${mode} <nickname>`);
+    return;
+  }
+  if (peerName === nickname) {
+    print(`❌ You can't ${mode} yourself`);
+    return;
+  }
+
+  if (mode === 'block' ? network.blockPeer(peerName) : network.mutePeer(peerName)) {
+    print(mode === 'block'
+      ? `🚫 Blocked ${peerName}: their messages are hidden and their connections refused`
+      : `🔇 Muted ${peerName}: their messages are hidden`);
+    const entry = network.getBlockedPeers().find(blocked => blocked.nickname === peerName);
+    if (entry && !entry.fingerprint) {
+      print(`⚠️ ${peerName} has no identity key, so this goes by nickname: it holds across reconnects, ` +
+        `but covers anyone using that nickname without a key, and not ${peerName} under another one`);
+    }
+  } else {
+    print(`❌ ${peerName} has never been seen, so there is no identity to ${mode}`);
+  }
+};
+
+const unblockCommand = (nickname, { network, print }) => {
+  if (!nickname) {
+    print('❌ Usage: /unblock <nickname>');
+    return;
+  }
+
+  if (network.unblockPeer(nickname)) {
+    print(`✅ ${nickname} is no longer blocked or muted`);
+  } else {
+    print(`❌ ${nickname} is not blocked or muted`);
+  }
+};
+
+const showBlocked = ({ network, print }) => {
+  const blocked = network.getBlockedPeers();
+  if (blocked.length === 0) {
+    print('📭 Nobody is blocked or muted');
+    return;
+  }
+
+  print(`🚫 Blocked and muted (${blocked.length}):`);
+  blocked.forEach(entry => {
+    print(`  • ${entry.nickname} [${formatIdentity(entry)}] - ${entry.mode === 'block' ? '🚫 blocked' : '🔇 muted'}`);
+  });
+};
+
+const showStats = ({ network, print }) => {
+  const { messages, deliveries } = network.getDedupStats();
+  print(`📊 Duplicate detection (${messages.mode}):`);
+  print(`  • Messages: ${formatDedupStats(messages)}`);
+  print(`  • Deliveries: ${formatDedupStats(deliveries)}`);
+};
+
+const joinChannel = (name, { network, print, switchThread, channelsChanged }) => {
+  const channel = normalizeChannel(name);
+  if (!channel) {
+    print('❌ Invalid format. Use: /join #channel (letters, digits, - and _)');
+    return;
+  }
+
+  network.joinChannel(channel);
+  channelsChanged();
+  switchThread(channelThread(channel));
+  print(`#️⃣ Joined #${channel}`);
+};
+
+const leaveChannel = (name, { network, print, activeThread, switchThread, channelsChanged }) => {
+  // Without a name, leave the channel being viewed
+  const channel = name
+    ? normalizeChannel(name)
+    : isChannelThread(activeThread) && activeThread.substring(1);
+
+  if (!channel || !network.leaveChannel(channel)) {
+    print(`❌ Not in ${channel ? `#${channel}` : 'a channel'}. Use: /leave #channel`);
+    return;
+  }
+
+  channelsChanged();
+  if (activeThread === channelThread(channel)) {
+    switchThread(GLOBAL_THREAD);
+  }
+  print(`👋 Left #${channel}`);
+};
+
+const showChannels = ({ network, print }) => {
+  const joined = network.getChannels();
+  if (joined.length === 0) {
+    print('📭 No channels joined. Use /join #channel');
+    return;
+  }
+
+  print(`#️⃣ Your channels (${joined.length}):`);
+  joined.forEach(channel => print(`  • #${channel}`));
+};
+
+const showHelp = ({ print, help = {} }) => {
+  [
+    '💬 P2P Chat Commands:',
+    ...HELP,
+    ...(help.commands || []),
+    '/help - Show this help',
+    '',
+    ...(help.notes || [])
+  ].forEach(line => print(line));
+};
+
+const SHARED_COMMANDS = {
+  connect: (args, argString, context) => connectCommand(argString, context),
+  msg: (args, argString, context) => sendPrivateCommand(args, context),
+  nearby: (args, argString, context) => showNearbyPeers(context),
+  peers: (args, argString, context) => showPeerList(context),
+  who: (args, argString, context) => showPeerList(context),
+  ping: (args, argString, context) => pingCommand(argString, context),
+  trust: (args, argString, context) => trustCommand(argString, context),
+  block: (args, argString, context) => blockCommand(argString, 'block', context),
+  mute: (args, argString, context) => blockCommand(argString, 'mute', context),
+  unblock: (args, argString, context) => unblockCommand(argString, context),
+  blocked: (args, argString, context) => showBlocked(context),
+  stats: (args, argString, context) => showStats(context),
+  join: (args, argString, context) => joinChannel(argString, context),
+  leave: (args, argString, context) => leaveChannel(argString, context),
+  channels: (args, argString, context) => showChannels(context),
+  help: (args, argString, context) => showHelp(context)
+};
+
+/**
+ * Run a command (the text after the slash). Front-end commands in
+ * context.commands take precedence over the shared ones.
+ */
+export const runCommand = (command, context) => {
+  const { name, args, argString } = parseCommand(command);
+
+  const own = context.commands && context.commands[name];
+  if (own) {
+    return own(args, argString);
+  }
+
+  const shared = SHARED_COMMANDS[name];
+  if (!shared) {
+    context.print(`❌ Unknown command: /${name}. Type /help for available commands.`);
+    return undefined;
+  }
+  if (!context.network && name !== 'help') {
+    context.print('⏳ The network is still starting, try again in a moment');
+    return undefined;
+  }
+  return shared(args, argString, context);
+};
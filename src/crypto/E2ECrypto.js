@@ -0,0 +1,196 @@
+/**
+ * End-to-end encryption for chat payloads
+ *
+ * Each node has an X25519 key pair; peers derive pairwise keys from the public
+ * keys exchanged in announcements and routing updates. A message is encrypted
+ * once with a random content key (AES-256-CBC + HMAC-SHA256), and that content
+ * key is wrapped for every recipient under the pairwise key, so relays that are
+ * not recipients cannot read it and each recipient can check who sent it.
+ */
+
+import CryptoJS from 'react-native-crypto-js';
+import { x25519 } from '@noble/curves/ed25519';
+import { hkdf } from '@noble/hashes/hkdf';
+import { hmac } from '@noble/hashes/hmac';
+import { sha256 } from '@noble/hashes/sha2';
+import { concatBytes, randomBytes, utf8ToBytes } from '@noble/hashes/utils';
+
+const KEY_SIZE = 32;
+const IV_SIZE = 16;
+
+const toWordArray = (bytes) => {
+  const words = [];
+  for (let i = 0; i < bytes.length; i++) {
+    words[i >>> 2] |= bytes[i] << (24 - (i % 4) * 8);
+  }
+  return CryptoJS.lib.WordArray.create(words, bytes.length);
+};
+
+const fromWordArray = (wordArray) => {
+  const bytes = new Uint8Array(wordArray.sigBytes);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = (wordArray.words[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xFF;
+  }
+  return bytes;
+};
+
+export const toBase64 = (bytes) => CryptoJS.enc.Base64.stringify(toWordArray(bytes));
+export const fromBase64 = (text) => fromWordArray(CryptoJS.enc.Base64.parse(text));
+
+// AES-256-CBC with PKCS#7 padding
+const aesEncrypt = (plain, key, iv) => fromWordArray(
+  CryptoJS.AES.encrypt(toWordArray(plain), toWordArray(key), { iv: toWordArray(iv) }).ciphertext
+);
+
+const aesDecrypt = (ciphertext, key, iv) => fromWordArray(
+  CryptoJS.AES.decrypt(
+    CryptoJS.lib.CipherParams.create({ ciphertext: toWordArray(ciphertext) }),
+    toWordArray(key),
+    { iv: toWordArray(iv) }
+  )
+);
+
+// Split 64 bytes of HKDF output into an encryption key and a MAC key
+const deriveKeys = (secret, label) => {
+  const okm = hkdf(sha256, secret, undefined, `p2p-chat ${label}`, 2 * KEY_SIZE);
+  return { encKey: okm.slice(0, KEY_SIZE), macKey: okm.slice(KEY_SIZE) };
+};
+
+const mac = (key, ...parts) => hmac(sha256, key, concatBytes(...parts));
+
+// Compare MACs without bailing out on the first differing byte
+const constantTimeEqual = (a, b) => {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+};
+
+export class E2ECrypto {
+  constructor(privateKey = x25519.utils.randomPrivateKey()) {
+    this.privateKey = privateKey;
+    this.publicKey = toBase64(x25519.getPublicKey(privateKey));
+    this.peerKeys = new Map(); // key: node, value: { publicKey, encKey, macKey }
+  }
+
+  /**
+   * Record a node's public key and derive the pairwise keys.
+   * Returns true if the key is new or changed.
+   */
+  setPeerKey(node, publicKey) {
+    const existing = this.peerKeys.get(node);
+    if (existing && existing.publicKey === publicKey) {
+      return false;
+    }
+    
+    const peerPublic = fromBase64(publicKey);
+    if (peerPublic.length !== KEY_SIZE) {
+      throw new Error(`Invalid public key for ${node}`);
+    }
+    
+    const shared = x25519.getSharedSecret(this.privateKey, peerPublic);
+    this.peerKeys.set(node, { publicKey, ...deriveKeys(shared, 'wrap') });
+    return true;
+  }
+
+  /**
+   * Check whether we can encrypt for a node
+   */
+  hasPeerKey(node) {
+    return this.peerKeys.has(node);
+  }
+
+  /**
+   * Get a node's public key (base64), if known
+   */
+  getPeerKey(node) {
+    const entry = this.peerKeys.get(node);
+    return entry ? entry.publicKey : null;
+  }
+
+  /**
+   * Encrypt text for a set of recipients.
+   * associatedData (e.g. "sender:id") is authenticated but not encrypted.
+   */
+  encrypt(text, recipients, associatedData) {
+    return this.encryptBytes(utf8ToBytes(text), recipients, associatedData);
+  }
+
+  /**
+   * Encrypt raw bytes (e.g. a file chunk) for a set of recipients
+   */
+  encryptBytes(bytes, recipients, associatedData) {
+    const contentKey = randomBytes(KEY_SIZE);
+    const { encKey, macKey } = deriveKeys(contentKey, 'content');
+    const iv = randomBytes(IV_SIZE);
+    const ciphertext = aesEncrypt(bytes, encKey, iv);
+    const contentMac = mac(macKey, iv, ciphertext, utf8ToBytes(associatedData));
+    
+    const keys = {};
+    recipients.forEach(node => {
+      const pair = this.peerKeys.get(node);
+      if (!pair) return;
+      
+      const wrapIv = randomBytes(IV_SIZE);
+      const wrapped = aesEncrypt(contentKey, pair.encKey, wrapIv);
+      keys[node] = {
+        iv: toBase64(wrapIv),
+        key: toBase64(wrapped),
+        mac: toBase64(mac(pair.macKey, wrapIv, wrapped, contentMac))
+      };
+    });
+    
+    return {
+      iv: toBase64(iv),
+      ct: toBase64(ciphertext),
+      mac: toBase64(contentMac),
+      keys
+    };
+  }
+
+  /**
+   * Decrypt a box addressed to `self` from `sender`.
+   * Returns the text, or null if we are not a recipient or authentication fails.
+   */
+  decrypt(box, sender, self, associatedData) {
+    const bytes = this.decryptBytes(box, sender, self, associatedData);
+    return bytes === null ? null : new TextDecoder().decode(bytes);
+  }
+
+  /**
+   * Decrypt a box to raw bytes, or null like decrypt
+   */
+  decryptBytes(box, sender, self, associatedData) {
+    try {
+      const pair = this.peerKeys.get(sender);
+      const wrap = box && box.keys && box.keys[self];
+      if (!pair || !wrap) {
+        return null;
+      }
+      
+      const contentMac = fromBase64(box.mac);
+      const wrapIv = fromBase64(wrap.iv);
+      const wrapped = fromBase64(wrap.key);
+      if (!constantTimeEqual(mac(pair.macKey, wrapIv, wrapped, contentMac), fromBase64(wrap.mac))) {
+        return null;
+      }
+      
+      const contentKey = aesDecrypt(wrapped, pair.encKey, wrapIv);
+      const { encKey, macKey } = deriveKeys(contentKey, 'content');
+      const iv = fromBase64(box.iv);
+      const ciphertext = fromBase64(box.ct);
+      if (!constantTimeEqual(mac(macKey, iv, ciphertext, utf8ToBytes(associatedData)), contentMac)) {
+        return null;
+      }
+      
+      return aesDecrypt(ciphertext, encKey, iv);
+    } catch (error) {
+      console.error('Failed to decrypt message from', sender, error);
+      return null;
+    }
+  }
+}
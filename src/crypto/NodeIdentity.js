@@ -0,0 +1,130 @@
+/**
+ * Persistent node identity
+ *
+ * Each install has one Ed25519 key pair, stored on the device. The node id is
+ * a fingerprint of the public signing key, and announcements are signed with
+ * it. The X25519 key used for end-to-end encryption is derived from the same
+ * key pair, so a verified announcement also vouches for the encryption key.
+ *
+ * An announcement signature can be copied and replayed by anyone who has seen
+ * it, e.g. in a routing update. A neighbour proves it holds the key by also
+ * signing a fresh challenge sent by the other end of the link.
+ */
+
+import { ed25519 } from '@noble/curves/ed25519';
+import { sha256 } from '@noble/hashes/sha2';
+import { bytesToHex, utf8ToBytes, randomBytes } from '@noble/hashes/utils';
+import { toBase64, fromBase64 } from './E2ECrypto.js';
+
+const IDENTITY_KEY = '@p2pchat:identity';
+const NODE_ID_BYTES = 16;
+const CHALLENGE_BYTES = 16;
+
+/**
+ * Node id (hex) for a base64 Ed25519 public key
+ */
+export const nodeIdFromKey = (signingKey) =>
+  bytesToHex(sha256(fromBase64(signingKey)).slice(0, NODE_ID_BYTES));
+
+/**
+ * Short form of a node id for people to compare, e.g. "3fa2 9c1e"
+ */
+export const shortFingerprint = (nodeId) => `${nodeId.substring(0, 4)} ${nodeId.substring(4, 8)}`;
+
+// What an announcement signature covers
+const announcementBytes = ({ nickname, publicKey, signingKey, timestamp }) =>
+  utf8ToBytes(JSON.stringify(['p2p-chat announcement', nickname, publicKey, signingKey, timestamp]));
+
+// What a link proof covers: the announcement and the challenge of the link it is sent on
+const linkProofBytes = ({ nickname, publicKey, signingKey, timestamp }, challenge) =>
+  utf8ToBytes(JSON.stringify(['p2p-chat link', nickname, publicKey, signingKey, timestamp, challenge]));
+
+/**
+ * Fresh random challenge (base64) for a neighbour to sign
+ */
+export const createChallenge = () => toBase64(randomBytes(CHALLENGE_BYTES));
+
+export class NodeIdentity {
+  constructor(secretKey) {
+    this.secretKey = secretKey;
+    this.signingKey = toBase64(ed25519.getPublicKey(secretKey));
+    this.nodeId = nodeIdFromKey(this.signingKey);
+    this.fingerprint = shortFingerprint(this.nodeId);
+    
+    // Private key for E2ECrypto
+    this.encryptionKey = ed25519.utils.toMontgomerySecret(secretKey);
+  }
+
+  static generate() {
+    return new NodeIdentity(ed25519.utils.randomPrivateKey());
+  }
+
+  /**
+   * Load this install's identity from storage (with the AsyncStorage API),
+   * creating it on first use
+   */
+  static async load(storage) {
+    try {
+      const stored = await storage.getItem(IDENTITY_KEY);
+      if (stored) {
+        return new NodeIdentity(fromBase64(stored));
+      }
+    } catch (error) {
+      console.error('Failed to load node identity:', error);
+    }
+    
+    const identity = NodeIdentity.generate();
+    try {
+      await storage.setItem(IDENTITY_KEY, toBase64(identity.secretKey));
+    } catch (error) {
+      console.error('Failed to save node identity:', error);
+    }
+    return identity;
+  }
+
+  /**
+   * Sign the { nickname, publicKey, signingKey, timestamp } fields of an announcement
+   */
+  signAnnouncement(announcement) {
+    return toBase64(ed25519.sign(announcementBytes(announcement), this.secretKey));
+  }
+
+  /**
+   * Sign an announcement together with the challenge the neighbour sent on this link
+   */
+  signLinkProof(announcement, challenge) {
+    return toBase64(ed25519.sign(linkProofBytes(announcement, challenge), this.secretKey));
+  }
+
+  /**
+   * Check an announcement's signature, and that its encryption key belongs
+   * to the signing key
+   */
+  static verifyAnnouncement(announcement) {
+    try {
+      const signingKey = fromBase64(announcement.signingKey);
+      const signature = fromBase64(announcement.signature);
+      if (!ed25519.verify(signature, announcementBytes(announcement), signingKey)) {
+        return false;
+      }
+      return toBase64(ed25519.utils.toMontgomery(signingKey)) === announcement.publicKey;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check that an announcement's proof signs our challenge with its signing key
+   */
+  static verifyLinkProof(announcement, challenge) {
+    try {
+      return ed25519.verify(
+        fromBase64(announcement.proof),
+        linkProofBytes(announcement, challenge),
+        fromBase64(announcement.signingKey)
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+}
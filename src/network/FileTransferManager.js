@@ -0,0 +1,517 @@
+/**
+ * File transfer over the mesh
+ *
+ * The sender offers a file (reliably, like a private message); the receiver
+ * then pulls it in fixed-size chunks, a window at a time, writing each chunk
+ * to a partial file. Because the receiver tracks which chunks it has, a
+ * transfer interrupted by a disconnect picks up where it left off once the
+ * sender is reachable again. The SHA-256 of the whole file is checked before
+ * the file is saved.
+ */
+
+import { sha256 } from '@noble/hashes/sha2';
+import { bytesToHex } from '@noble/hashes/utils';
+import { fromBase64, toBase64 } from '../crypto/E2ECrypto.js';
+
+export const MAX_FILE_SIZE = 25 * 1024 * 1024;
+const FILE_CHUNK_SIZE = 32 * 1024; // base64 and encryption must fit a 64 KB payload
+const MAX_CHUNK_SIZE = 40 * 1024;
+const FILE_WINDOW = 8; // chunks requested at a time
+const FILE_REQUEST_TIMEOUT = 10000; // ms before re-requesting missing chunks
+const FILE_STALL_TIMEOUT = 10 * 60 * 1000; // give up after this long without progress
+const HASH_READ_SIZE = 256 * 1024;
+
+const RECEIVED_FOLDER = 'received'; // in the app's document directory
+const PARTIAL_FOLDER = '.partial'; // in the received folder
+
+const toPath = (uri) => decodeURIComponent(uri.replace(/^file:\/\//, ''));
+
+// Keep only a plain file name, never a path from the sender
+const sanitizeFileName = (name) => {
+  const base = String(name || '').split(/[\\/]/).pop().replace(/[\x00-\x1f<>:"|?*]/g, '_').trim();
+  return base && base !== '.' && base !== '..' ? base.substring(0, 100) : 'file';
+};
+
+/**
+ * SHA-256 of a file, read in pieces so large files don't sit in memory
+ */
+const hashFile = async (fs, path, size) => {
+  const hash = sha256.create();
+  for (let position = 0; position < size; position += HASH_READ_SIZE) {
+    const data = await fs.read(path, Math.min(HASH_READ_SIZE, size - position), position, 'base64');
+    hash.update(fromBase64(data));
+  }
+  return bytesToHex(hash.digest());
+};
+
+/**
+ * Pick a path in a folder that doesn't overwrite an earlier file
+ */
+const uniquePath = async (fs, directory, name) => {
+  const dot = name.lastIndexOf('.');
+  const stem = dot > 0 ? name.substring(0, dot) : name;
+  const extension = dot > 0 ? name.substring(dot) : '';
+
+  let path = `${directory}/${name}`;
+  for (let copy = 1; await fs.exists(path); copy++) {
+    path = `${directory}/${stem} (${copy})${extension}`;
+  }
+  return path;
+};
+
+export class FileTransferManager {
+  constructor(network) {
+    this.network = network;
+    
+    // key: "from:id", value: transfer state (see sendFile / handleOffer)
+    this.outgoing = new Map();
+    this.incoming = new Map();
+    
+    // Event callbacks
+    this.onTransferUpdated = null;
+  }
+
+  get protocol() {
+    return this.network.protocol;
+  }
+
+  get e2e() {
+    return this.network.e2e;
+  }
+
+  get nickname() {
+    return this.network.nickname;
+  }
+
+  // File system with the react-native-fs API
+  get fs() {
+    return this.network.fs;
+  }
+
+  get receivedDirectory() {
+    return `${this.fs.DocumentDirectoryPath}/${RECEIVED_FOLDER}`;
+  }
+
+  get partialDirectory() {
+    return `${this.receivedDirectory}/${PARTIAL_FOLDER}`;
+  }
+
+  /**
+   * Offer a file to a node. file is { uri, name, size?, mimeType? }, e.g. a
+   * document picker result. Returns the transfer id.
+   */
+  async sendFile(recipient, file) {
+    const path = toPath(file.uri);
+    const size = file.size || Number((await this.fs.stat(path)).size);
+    if (size > MAX_FILE_SIZE) {
+      throw new Error(`File is too large (max ${MAX_FILE_SIZE / (1024 * 1024)} MB)`);
+    }
+    
+    const id = this.protocol.generateMessageId();
+    const transfer = {
+      id,
+      from: this.nickname,
+      to: recipient,
+      name: sanitizeFileName(file.name),
+      mimeType: file.mimeType || 'application/octet-stream',
+      size,
+      chunkSize: FILE_CHUNK_SIZE,
+      chunks: Math.ceil(size / FILE_CHUNK_SIZE),
+      path,
+      sha256: null,
+      received: 0,
+      status: 'preparing',
+      lastActivityAt: Date.now()
+    };
+    this.outgoing.set(`${transfer.from}:${id}`, transfer);
+    this.emitUpdate(transfer);
+    
+    try {
+      transfer.sha256 = await hashFile(this.fs, path, size);
+    } catch (error) {
+      this.failTransfer(transfer, `Could not read file: ${error.message}`);
+      return id;
+    }
+    
+    transfer.status = 'offered';
+    this.emitUpdate(transfer);
+    
+    // Details are built per attempt so a queued offer is encrypted if a key shows up later
+    const offer = { size, chunkSize: transfer.chunkSize, chunks: transfer.chunks };
+    this.network.sendReliable(id, recipient, () => {
+      const details = JSON.stringify({
+        name: transfer.name,
+        mimeType: transfer.mimeType,
+        sha256: transfer.sha256
+      });
+      const content = this.e2e.hasPeerKey(recipient)
+        ? { enc: this.e2e.encrypt(details, [recipient], `${this.nickname}:${id}`) }
+        : details;
+      return this.protocol.createFileOffer(this.nickname, recipient, id, offer, content);
+    });
+    
+    return id;
+  }
+
+  /**
+   * Handle an offer addressed to us: start pulling the file
+   */
+  async handleOffer(data) {
+    const key = `${data.from}:${data.id}`;
+    const existing = this.incoming.get(key);
+    if (existing) {
+      // The sender didn't see our ACK or requests, nudge the transfer along
+      if (existing.status === 'transferring') {
+        this.requestChunks(existing);
+      }
+      return;
+    }
+    
+    const details = this.openDetails(data);
+    const validChunkSize = Number.isInteger(data.chunkSize) && data.chunkSize > 0 &&
+      data.chunkSize <= MAX_CHUNK_SIZE;
+    if (!details || !Number.isInteger(data.size) || data.size < 0 || !validChunkSize ||
+        data.chunks !== Math.ceil(data.size / data.chunkSize) ||
+        !/^[0-9a-f]{64}$/.test(details.sha256)) {
+      console.error('Invalid file offer from', data.from);
+      return;
+    }
+    
+    const transfer = {
+      id: data.id,
+      from: data.from,
+      to: this.nickname,
+      name: sanitizeFileName(details.name),
+      mimeType: typeof details.mimeType === 'string' ? details.mimeType : 'application/octet-stream',
+      size: data.size,
+      chunkSize: data.chunkSize,
+      chunks: data.chunks,
+      sha256: details.sha256,
+      encrypted: Boolean(data.enc),
+      partPath: null,
+      receivedChunks: new Set(),
+      requested: new Set(),
+      received: 0,
+      retries: 0,
+      writes: Promise.resolve(),
+      timer: null,
+      status: 'transferring',
+      lastActivityAt: Date.now()
+    };
+    this.incoming.set(key, transfer);
+    
+    if (transfer.size > MAX_FILE_SIZE) {
+      this.sendRequest(transfer, { error: 'File is too large' });
+      this.failTransfer(transfer, 'File is too large');
+      return;
+    }
+    
+    // The web build has no file system to receive into
+    if (!this.fs) {
+      this.sendRequest(transfer, { error: 'Receiver cannot store files' });
+      this.failTransfer(transfer, 'Files cannot be received on this device');
+      return;
+    }
+    
+    this.emitUpdate(transfer);
+    
+    transfer.partPath = `${this.partialDirectory}/${data.from.replace(/\W/g, '_')}-${data.id >>> 0}.part`;
+    // Queued like the chunk writes, so a failure meanwhile deletes the file after it exists
+    transfer.writes = this.fs.mkdir(this.partialDirectory)
+      .then(() => this.fs.writeFile(transfer.partPath, '', 'base64'));
+    try {
+      await transfer.writes;
+    } catch (error) {
+      this.sendRequest(transfer, { error: 'Receiver could not store the file' });
+      this.failTransfer(transfer, `Could not store file: ${error.message}`);
+      return;
+    }
+    if (transfer.status !== 'transferring') return;
+    
+    if (transfer.chunks === 0) {
+      this.finishTransfer(transfer);
+    } else {
+      this.requestChunks(transfer);
+    }
+  }
+
+  /**
+   * Decrypt or parse the { name, mimeType, sha256 } details of an offer
+   */
+  openDetails(data) {
+    const text = data.enc
+      ? this.e2e.decrypt(data.enc, data.from, this.nickname, `${data.from}:${data.id}`)
+      : data.text;
+    
+    try {
+      const details = typeof text === 'string' ? JSON.parse(text) : null;
+      return details && typeof details === 'object' ? details : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Ask the sender for the next window of missing chunks
+   */
+  requestChunks(transfer) {
+    clearTimeout(transfer.timer);
+    
+    const missing = [];
+    for (let index = 0; index < transfer.chunks && missing.length < FILE_WINDOW; index++) {
+      if (!transfer.receivedChunks.has(index)) {
+        missing.push(index);
+      }
+    }
+    
+    transfer.requested = new Set(missing);
+    this.sendRequest(transfer, { received: transfer.receivedChunks.size, missing });
+    
+    // Chunks can be lost, or the sender can drop off; ask again until the transfer stalls out
+    transfer.timer = setTimeout(() => {
+      if (transfer.status === 'transferring') {
+        this.requestChunks(transfer);
+      }
+    }, FILE_REQUEST_TIMEOUT);
+  }
+
+  sendRequest(transfer, request) {
+    const message = this.protocol.createFileRequest(this.nickname, transfer.from, transfer.id, request);
+    this.protocol.isDuplicate(message.msgId, message.payload, this.nickname);
+    this.network.routeDirectedMessage(message, transfer.from);
+  }
+
+  /**
+   * Handle a chunk of a file we are receiving
+   */
+  handleChunk(data) {
+    const transfer = this.incoming.get(`${data.from}:${data.id}`);
+    if (!transfer || transfer.status !== 'transferring') return;
+    
+    const index = data.index;
+    if (!Number.isInteger(index) || index < 0 || index >= transfer.chunks ||
+        transfer.receivedChunks.has(index)) {
+      return;
+    }
+    
+    let bytes = null;
+    if (data.enc) {
+      bytes = this.e2e.decryptBytes(data.enc, data.from, this.nickname, `${data.from}:${data.id}:${index}`);
+    } else if (typeof data.data === 'string' && !transfer.encrypted) {
+      // An encrypted transfer never falls back to plain chunks
+      bytes = fromBase64(data.data);
+    }
+    
+    const expectedSize = index < transfer.chunks - 1
+      ? transfer.chunkSize
+      : transfer.size - transfer.chunkSize * (transfer.chunks - 1);
+    if (!bytes || bytes.length !== expectedSize) {
+      console.error(`Dropping bad chunk ${index} of ${transfer.name} from ${data.from}`);
+      return;
+    }
+    
+    // Mark it now so a duplicate arriving while we write is ignored
+    transfer.receivedChunks.add(index);
+    transfer.lastActivityAt = Date.now();
+    
+    transfer.writes = transfer.writes
+      .then(() => this.fs.write(transfer.partPath, toBase64(bytes), index * transfer.chunkSize, 'base64'))
+      .then(() => {
+        if (transfer.status !== 'transferring') return;
+        
+        transfer.received += 1;
+        this.emitUpdate(transfer);
+        
+        if (transfer.received === transfer.chunks) {
+          this.finishTransfer(transfer);
+          return;
+        }
+        
+        transfer.requested.delete(index);
+        if (transfer.requested.size === 0) {
+          this.requestChunks(transfer);
+        }
+      })
+      .catch(error => {
+        this.sendRequest(transfer, { error: 'Receiver could not store the file' });
+        this.failTransfer(transfer, `Could not store file: ${error.message}`);
+      });
+  }
+
+  /**
+   * Verify the checksum and move the complete file into place.
+   * A corrupted file is downloaded once more before giving up.
+   */
+  async finishTransfer(transfer) {
+    clearTimeout(transfer.timer);
+    transfer.status = 'verifying';
+    this.emitUpdate(transfer);
+    
+    try {
+      const checksum = await hashFile(this.fs, transfer.partPath, transfer.size);
+      if (checksum !== transfer.sha256) {
+        if (transfer.retries > 0) {
+          this.sendRequest(transfer, { error: 'Checksum mismatch' });
+          this.failTransfer(transfer, 'Checksum mismatch');
+          return;
+        }
+        
+        console.error(`Checksum mismatch for ${transfer.name}, downloading again`);
+        transfer.retries += 1;
+        transfer.receivedChunks.clear();
+        transfer.received = 0;
+        transfer.status = 'transferring';
+        this.emitUpdate(transfer);
+        this.requestChunks(transfer);
+        return;
+      }
+      
+      const destination = await uniquePath(this.fs, this.receivedDirectory, transfer.name);
+      await this.fs.moveFile(transfer.partPath, destination);
+      
+      transfer.path = destination;
+      transfer.status = 'complete';
+      this.sendRequest(transfer, { received: transfer.chunks, complete: true });
+      this.emitUpdate(transfer);
+    } catch (error) {
+      this.failTransfer(transfer, `Could not save file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle a chunk request (or progress report) from the receiver of our file
+   */
+  async handleRequest(data) {
+    const transfer = this.outgoing.get(`${this.nickname}:${data.id}`);
+    if (!transfer || transfer.to !== data.from) return;
+    if (transfer.status === 'complete' || transfer.status === 'failed') return;
+    
+    transfer.lastActivityAt = Date.now();
+    
+    if (data.error) {
+      this.failTransfer(transfer, data.error);
+      return;
+    }
+    
+    if (data.complete) {
+      transfer.received = transfer.chunks;
+      transfer.status = 'complete';
+      this.emitUpdate(transfer);
+      return;
+    }
+    
+    if (Number.isInteger(data.received)) {
+      transfer.received = Math.min(data.received, transfer.chunks);
+    }
+    transfer.status = 'transferring';
+    this.emitUpdate(transfer);
+    
+    const missing = Array.isArray(data.missing) ? data.missing.slice(0, FILE_WINDOW) : [];
+    for (const index of missing) {
+      if (!Number.isInteger(index) || index < 0 || index >= transfer.chunks) continue;
+      
+      try {
+        await this.sendChunk(transfer, index);
+      } catch (error) {
+        this.failTransfer(transfer, `Could not read file: ${error.message}`);
+        return;
+      }
+    }
+  }
+
+  async sendChunk(transfer, index) {
+    const position = index * transfer.chunkSize;
+    const length = Math.min(transfer.chunkSize, transfer.size - position);
+    const data = await this.fs.read(transfer.path, length, position, 'base64');
+    
+    const content = this.e2e.hasPeerKey(transfer.to)
+      ? { enc: this.e2e.encryptBytes(fromBase64(data), [transfer.to], `${this.nickname}:${transfer.id}:${index}`) }
+      : { data };
+    
+    const message = this.protocol.createFileChunk(this.nickname, transfer.to, transfer.id, index, content);
+    this.protocol.isDuplicate(message.msgId, message.payload, this.nickname);
+    this.network.routeDirectedMessage(message, transfer.to);
+  }
+
+  /**
+   * Continue incoming transfers whose sender is reachable again
+   */
+  resume() {
+    this.incoming.forEach(transfer => {
+      if (transfer.status === 'transferring' && this.network.routes.has(transfer.from)) {
+        this.requestChunks(transfer);
+      }
+    });
+  }
+
+  /**
+   * Fail transfers that made no progress for too long
+   */
+  expireStalled() {
+    const now = Date.now();
+    [...this.incoming.values(), ...this.outgoing.values()].forEach(transfer => {
+      const active = transfer.status === 'transferring' || transfer.status === 'offered';
+      if (active && now - transfer.lastActivityAt > FILE_STALL_TIMEOUT) {
+        this.failTransfer(transfer, 'Transfer timed out');
+      }
+    });
+  }
+
+  failTransfer(transfer, reason) {
+    clearTimeout(transfer.timer);
+    this.discardPart(transfer);
+    transfer.status = 'failed';
+    transfer.error = reason;
+    this.emitUpdate(transfer);
+  }
+
+  /**
+   * Delete the partial file of an incoming transfer that won't complete,
+   * after the chunk writes still queued for it
+   */
+  discardPart(transfer) {
+    if (!transfer.partPath || transfer.status === 'complete' || transfer.status === 'failed') return;
+    
+    transfer.writes = transfer.writes
+      .catch(() => {})
+      .then(() => this.fs.unlink(transfer.partPath))
+      .catch(() => {});
+  }
+
+  /**
+   * Abandon all transfers, e.g. when the node stops. Transfers can't be
+   * resumed, so their partial files are deleted.
+   */
+  stop() {
+    this.incoming.forEach(transfer => {
+      clearTimeout(transfer.timer);
+      this.discardPart(transfer);
+    });
+    this.incoming.clear();
+    this.outgoing.clear();
+  }
+
+  /**
+   * Notify listeners with a snapshot of the transfer
+   */
+  emitUpdate(transfer) {
+    if (!this.onTransferUpdated) return;
+    
+    this.onTransferUpdated({
+      key: `${transfer.from}:${transfer.id}`,
+      id: transfer.id,
+      from: transfer.from,
+      to: transfer.to,
+      name: transfer.name,
+      mimeType: transfer.mimeType,
+      size: transfer.size,
+      progress: transfer.chunks > 0 ? transfer.received / transfer.chunks : 1,
+      status: transfer.status,
+      path: transfer.status === 'complete' || transfer.from === this.nickname
+        ? (transfer.path || null)
+        : null,
+      error: transfer.error || null,
+      isOwn: transfer.from === this.nickname
+    });
+  }
+}
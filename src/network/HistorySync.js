@@ -0,0 +1,233 @@
+/**
+ * History sync between neighbours
+ *
+ * Every node keeps a log of recent broadcasts. When a link comes up, both
+ * sides send a summary of the message ids they hold; each side then pulls
+ * the messages it is missing from the channels it has joined. The requested
+ * messages come back encrypted for the requesting neighbour and go through
+ * the usual delivery dedup, so nothing is shown twice.
+ *
+ * The neighbour passing a message on could have written it itself, so each
+ * entry also carries the box its original sender encrypted. Only if we can
+ * open that box is the message shown as encrypted and from that sender;
+ * otherwise it is delivered as unverified. The box is only for the nodes the
+ * sender could reach at the time, so a node that joined later always gets
+ * unverified messages; the box helps one that was reachable but missed it.
+ */
+
+const HISTORY_LOG_SIZE = 200; // broadcasts kept for late joiners
+const HISTORY_MAX_AGE = 12 * 60 * 60 * 1000;
+const RESPONSE_BUDGET = 256 * 1024; // characters of text per response, the rest go in further responses
+const REQUEST_TIMEOUT = 30000; // forget requested ids that never arrived
+
+export class HistorySync {
+  constructor(network) {
+    this.network = network;
+    
+    // Recent broadcasts, oldest first
+    // key: "from:id", value: { from, id, channel, text, enc, clock, timestamp }
+    this.log = new Map();
+    
+    // Ids we asked a neighbour for, only these are accepted in responses
+    // key: "from:id", value: time requested
+    this.requested = new Map();
+    
+    // Event callbacks
+    this.onMessage = null;
+  }
+
+  get protocol() {
+    return this.network.protocol;
+  }
+
+  get e2e() {
+    return this.network.e2e;
+  }
+
+  get nickname() {
+    return this.network.nickname;
+  }
+
+  /**
+   * Record a broadcast we sent or delivered, so it can be passed on to late
+   * joiners. enc is the box the sender encrypted, if it was encrypted.
+   */
+  record({ from, id, channel = null, text, enc = null, clock, timestamp }) {
+    const key = `${from}:${id}`;
+    if (this.log.has(key)) return;
+    
+    this.log.set(key, { from, id, channel, text, enc, clock, timestamp: timestamp || Date.now() });
+    this.prune();
+  }
+
+  /**
+   * Attach the encrypted box of a broadcast we sent, once it has been built
+   */
+  setEnvelope(from, id, enc) {
+    const entry = this.log.get(`${from}:${id}`);
+    if (entry) {
+      entry.enc = enc;
+    }
+  }
+
+  /**
+   * Drop the oldest broadcasts beyond HISTORY_LOG_SIZE or HISTORY_MAX_AGE
+   */
+  prune() {
+    const cutoff = Date.now() - HISTORY_MAX_AGE;
+    for (const [key, entry] of this.log) {
+      if (this.log.size <= HISTORY_LOG_SIZE && entry.timestamp >= cutoff) break;
+      this.log.delete(key);
+    }
+  }
+
+  /**
+   * Tell a neighbour which broadcasts we hold. With reply set, the neighbour
+   * answers with its own summary, e.g. after we joined a channel.
+   */
+  sendSummary(peerKey, reply = false) {
+    this.prune();
+    
+    const entries = Array.from(this.log.values()).map(({ from, id, channel }) => [from, id, channel]);
+    const summary = this.protocol.createHistorySummary(this.nickname, entries, this.network.getChannels(), reply);
+    this.network.sendToPeer(summary, peerKey);
+  }
+
+  /**
+   * Handle a neighbour's summary: note the channels it joined, and request
+   * the broadcasts we are missing
+   */
+  handleSummary(data, peerKey) {
+    if (!Array.isArray(data.entries)) return;
+    
+    const peer = this.network.links.get(peerKey);
+    if (peer) {
+      const channels = Array.isArray(data.channels) ? data.channels : [];
+      peer.channels = new Set(channels.filter(channel => typeof channel === 'string'));
+    }
+    
+    if (data.reply) {
+      this.sendSummary(peerKey);
+    }
+    
+    // Old requests were answered or lost by now
+    const now = Date.now();
+    this.requested.forEach((requestedAt, key) => {
+      if (now - requestedAt > REQUEST_TIMEOUT) {
+        this.requested.delete(key);
+      }
+    });
+    
+    const wanted = data.entries.filter(entry => {
+      if (!Array.isArray(entry) || typeof entry[0] !== 'string' || entry[1] === undefined) return false;
+      
+      const [from, id, channel] = entry;
+      const key = `${from}:${id}`;
+      return from !== this.nickname &&
+        (!channel || this.network.channels.has(channel)) &&
+        !this.log.has(key) &&
+        !this.requested.has(key);
+    }).slice(0, HISTORY_LOG_SIZE);
+    
+    if (wanted.length === 0) return;
+    
+    wanted.forEach(([from, id]) => this.requested.set(`${from}:${id}`, now));
+    this.network.sendToPeer(
+      this.protocol.createHistoryRequest(this.nickname, data.from, wanted.map(([from, id]) => [from, id])),
+      peerKey
+    );
+  }
+
+  /**
+   * Handle a neighbour's request: send the broadcasts it asked for, encrypted
+   * for it, leaving out channels it didn't say it joined in its summary.
+   * Anyone can join a channel, so this only keeps channels from a neighbour
+   * that never joined them. Without its key nothing is sent.
+   */
+  handleRequest(data, peerKey) {
+    if (!Array.isArray(data.wanted) || !this.e2e.hasPeerKey(data.from)) return;
+    
+    const joined = this.network.links.get(peerKey)?.channels || new Set();
+    const entries = data.wanted
+      .filter(Array.isArray)
+      .map(([from, id]) => this.log.get(`${from}:${id}`))
+      .filter(entry => entry && (!entry.channel || joined.has(entry.channel)));
+    
+    // Split large histories over several responses
+    let batch = [];
+    let batchSize = 0;
+    const flush = () => {
+      if (batch.length === 0) return;
+      const enc = this.e2e.encrypt(JSON.stringify(batch), [data.from], `${this.nickname}:history`);
+      this.network.sendToPeer(this.protocol.createHistoryResponse(this.nickname, data.from, { enc }), peerKey);
+      batch = [];
+      batchSize = 0;
+    };
+    
+    entries.forEach(entry => {
+      const size = entry.text.length + (entry.enc ? JSON.stringify(entry.enc).length : 0);
+      if (batchSize + size > RESPONSE_BUDGET) {
+        flush();
+      }
+      batch.push(entry);
+      batchSize += size;
+    });
+    flush();
+  }
+
+  /**
+   * Read a synced entry: the sender's own box if we can open it, else the
+   * text as the neighbour passed it on. Returns { text, verified }.
+   */
+  openEntry(entry) {
+    if (entry.enc) {
+      const associatedData = this.network.associatedData(entry.from, entry.id, entry.channel);
+      const text = this.e2e.decrypt(entry.enc, entry.from, this.nickname, associatedData);
+      if (text !== null) {
+        return { text, verified: true };
+      }
+    }
+    return { text: entry.text, verified: false };
+  }
+
+  /**
+   * Handle a response: deliver the requested broadcasts we have not seen, oldest first
+   */
+  handleResponse(data) {
+    if (!data.enc) return;
+    
+    let entries;
+    try {
+      entries = JSON.parse(this.e2e.decrypt(data.enc, data.from, this.nickname, `${data.from}:history`));
+    } catch (error) {
+      entries = null;
+    }
+    if (!Array.isArray(entries)) {
+      console.error('Unreadable history from', data.from);
+      return;
+    }
+    
+    entries
+      .filter(entry => entry && typeof entry.from === 'string' && typeof entry.text === 'string')
+      .filter(entry => this.requested.delete(`${entry.from}:${entry.id}`))
+      .sort((a, b) => (a.clock || 0) - (b.clock || 0))
+      .forEach(entry => {
+        const channel = typeof entry.channel === 'string' ? entry.channel : null;
+        if (this.network.isDuplicateDelivery(entry.from, entry.id)) return;
+        
+        const { text, verified } = this.openEntry({ ...entry, channel });
+        const delivered = { ...entry, channel, text, enc: entry.enc || null };
+        this.record(delivered);
+        if (this.onMessage) {
+          this.onMessage({ ...delivered, verified }, data.from);
+        }
+      });
+  }
+
+  /**
+   * Forget outstanding requests; the log is kept for the next start
+   */
+  stop() {
+    this.requested.clear();
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * LAN Discovery
+ * Announces this node over UDP broadcast and listens for other nodes.
+ * Sockets come from a module with the dgram API (react-native-udp, or dgram in Node).
+ */
+
+import { MessageType } from '../protocol/P2PProtocol.js';
+
+export const DISCOVERY_PORT = 8887;
+const BROADCAST_ADDRESS = '255.255.255.255';
+const BEACON_INTERVAL = 5000; // ms between beacons
+
+export class LanDiscovery {
+  constructor(protocol, dgram, port = DISCOVERY_PORT) {
+    this.protocol = protocol;
+    this.dgram = dgram;
+    this.port = port;
+    this.socket = null;
+    this.beaconTimer = null;
+    this.info = null;
+
+    // Random id so we can recognise our own beacons when they loop back
+    this.instanceId = Math.random().toString(36).substring(2, 10);
+
+    // Event callbacks
+    this.onPeerDiscovered = null;
+    this.onError = null;
+  }
+
+  /**
+   * Start beaconing { nickname, port } and listening for other nodes
+   */
+  start(info) {
+    return new Promise((resolve, reject) => {
+      if (!this.dgram) {
+        reject(new Error('UDP is not available on this platform'));
+        return;
+      }
+
+      this.info = info;
+
+      // reuseAddr lets several Node processes on one machine share the port
+      this.socket = this.dgram.createSocket({ type: 'udp4', reusePort: true, reuseAddr: true });
+
+      this.socket.on('message', (data, rinfo) => {
+        this.handleBeacon(data, rinfo);
+      });
+
+      this.socket.on('error', (error) => {
+        console.error('Discovery socket error:', error);
+        // Node reports a failed bind here rather than to the bind callback
+        reject(error);
+        if (this.onError) {
+          this.onError(error);
+        }
+      });
+
+      this.socket.bind(this.port, (error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+
+        this.socket.setBroadcast(true);
+        this.sendBeacon();
+        this.beaconTimer = setInterval(() => this.sendBeacon(), BEACON_INTERVAL);
+
+        console.log(`LAN discovery listening on UDP port ${this.port}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop beaconing and close the socket
+   */
+  stop() {
+    if (this.beaconTimer) {
+      clearInterval(this.beaconTimer);
+      this.beaconTimer = null;
+    }
+
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+
+  /**
+   * Broadcast a discovery beacon for this node
+   */
+  sendBeacon() {
+    if (!this.socket) return;
+
+    const beacon = this.protocol.createPeerDiscovery({
+      ...this.info,
+      instance: this.instanceId,
+      timestamp: Date.now()
+    });
+    const data = Buffer.from(this.protocol.serialize(beacon));
+
+    this.socket.send(data, 0, data.length, this.port, BROADCAST_ADDRESS, (error) => {
+      if (error) {
+        console.error('Failed to send discovery beacon:', error);
+      }
+    });
+  }
+
+  /**
+   * Handle a beacon received from the LAN
+   */
+  handleBeacon(data, rinfo) {
+    const message = this.protocol.deserialize(new Uint8Array(data));
+    if (!message || message.msgType !== MessageType.PEER_DISCOVERY) return;
+
+    const beacon = this.protocol.decodeJSONPayload(message);
+    if (!beacon || !beacon.port || beacon.instance === this.instanceId) return;
+
+    if (this.onPeerDiscovered) {
+      this.onPeerDiscovered({
+        address: rinfo.address,
+        port: beacon.port,
+        nickname: beacon.nickname || null
+      });
+    }
+  }
+}
@@ -1,10 +1,136 @@
 /**
- * P2P Network Manager for React Native
- * Handles peer connections, discovery, and message routing
+ * P2P Network Manager
+ * Handles peer connections, discovery, and message routing.
+ *
+ * Platform services are passed in, so the same manager runs in the app
+ * (src/platform/native.js) and headless under Node (src/platform/node.js).
  */
 
-import TcpSocket from 'react-native-tcp-socket';
-import { P2PProtocol, MessageType, Message } from '../protocol/P2PProtocol';
+import {
+  P2PProtocol,
+  MessageType,
+  FragmentReassembler,
+  COMPRESSION_FORMAT,
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  CAPABILITIES,
+  ProtocolError
+} from '../protocol/P2PProtocol.js';
+import { DedupCache } from '../protocol/DedupCache.js';
+import { LanDiscovery } from './LanDiscovery.js';
+import { FileTransferManager } from './FileTransferManager.js';
+import { HistorySync } from './HistorySync.js';
+import { SendQueue, Priority } from './SendQueue.js';
+import { RateLimiter, Verdict, DEFAULT_RATE_LIMITS } from './RateLimiter.js';
+import { E2ECrypto } from '../crypto/E2ECrypto.js';
+import { NodeIdentity, nodeIdFromKey, shortFingerprint, createChallenge } from '../crypto/NodeIdentity.js';
+import { TrustStore } from '../storage/TrustStore.js';
+import { BlockList, BlockMode } from '../storage/BlockList.js';
+
+// Messages addressed to a single node; their handlers route them instead of flooding
+const DIRECTED_TYPES = new Set([
+  MessageType.PRIVATE_MESSAGE,
+  MessageType.ACK,
+  MessageType.FILE_OFFER,
+  MessageType.FILE_CHUNK,
+  MessageType.FILE_REQUEST
+]);
+
+// Delivery acknowledgements
+const ACK_TIMEOUT = 5000; // ms to wait for an ACK before retransmitting
+const MAX_RETRANSMITS = 3;
+const DELIVERED_RETENTION = 30000; // keep counting late ACKs for broadcasts
+
+// Store-and-forward for destinations that are offline
+const OUTBOUND_QUEUE_TTL = 10 * 60 * 1000; // give up on queued messages after 10 minutes
+const MAX_QUEUED_PER_DESTINATION = 100;
+const BROADCAST_QUEUE = '*'; // queue key for broadcasts waiting for any peer
+
+// Redialing peers we connected to when their link drops
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 60000;
+const MAX_RECONNECT_ATTEMPTS = 10;
+
+// How far a neighbour's announcement timestamp may be from our clock
+const ANNOUNCEMENT_MAX_SKEW = 10 * 60 * 1000;
+
+// Messages that only make sense between neighbours and are never relayed
+const LINK_LOCAL_TYPES = new Set([
+  MessageType.FRAGMENT,
+  MessageType.PEER_ANNOUNCEMENT,
+  MessageType.ROUTING_UPDATE,
+  MessageType.PING,
+  MessageType.PONG,
+  MessageType.HISTORY_SUMMARY,
+  MessageType.HISTORY_REQUEST,
+  MessageType.HISTORY_RESPONSE
+]);
+
+// Send queue priorities: control messages overtake chat on a busy link and are
+// never dropped, file chunks and history go last
+const CONTROL_TYPES = new Set([
+  MessageType.PING,
+  MessageType.PONG,
+  MessageType.ACK,
+  MessageType.PEER_ANNOUNCEMENT,
+  MessageType.ROUTING_UPDATE,
+  MessageType.FILE_REQUEST,
+  MessageType.HISTORY_SUMMARY,
+  MessageType.HISTORY_REQUEST
+]);
+const BULK_TYPES = new Set([
+  MessageType.FILE_CHUNK,
+  MessageType.HISTORY_RESPONSE
+]);
+
+const priorityOf = (msgType) => {
+  if (CONTROL_TYPES.has(msgType)) return Priority.CONTROL;
+  return BULK_TYPES.has(msgType) ? Priority.BULK : Priority.CHAT;
+};
+
+// Keepalive and latency measurement
+const HEARTBEAT_INTERVAL = 30000; // ms between pings to each neighbour
+const PING_TIMEOUT = 10000; // ms to wait for a pong
+const STALE_PEER_THRESHOLD = 5 * 60 * 1000; // drop links silent for this long
+
+// Distance-vector routing
+const ROUTING_INTERVAL = 15000; // ms between periodic routing updates
+const ROUTE_EXPIRY = 3 * ROUTING_INTERVAL; // drop routes not refreshed for this long
+const UNREACHABLE_HOPS = 8; // "infinity": beyond the maximum TTL of 7
+
+// Malformed frames a link may send within the window before it is dropped
+const PROTOCOL_ERROR_BUDGET = 10;
+const PROTOCOL_ERROR_WINDOW = 60000;
+
+// Rate limited per link, on top of the limit for all messages on a link
+const CONTROL_LIMITED_TYPES = new Set([
+  MessageType.PING,
+  MessageType.PEER_ANNOUNCEMENT,
+  MessageType.PEER_DISCOVERY
+]);
+
+// Rate limited per sending node
+const ORIGIN_LIMITED_TYPES = new Set([
+  MessageType.CHAT_MESSAGE,
+  MessageType.PRIVATE_MESSAGE
+]);
+
+// LAN discovery
+const DISCOVERY_EXPIRY = 20000; // forget nearby nodes whose beacons stopped
+
+// Shown in place of encrypted messages we hold no key for
+export const UNREADABLE_MESSAGE = '🔒 Encrypted message (unable to decrypt)';
+
+// Channel names travel without the leading '#'
+const CHANNEL_NAME = /^[a-z0-9_-]{1,32}$/;
+
+/**
+ * Normalize a channel name ("#Standup" -> "standup"), or null if it is not valid
+ */
+export const normalizeChannel = (name) => {
+  const channel = String(name || '').trim().replace(/^#/, '').toLowerCase();
+  return CHANNEL_NAME.test(channel) ? channel : null;
+};
 
 export class PeerInfo {
   constructor(address, port, nickname = null) {
@@ -13,30 +139,158 @@ export class PeerInfo {
     this.nickname = nickname;
     this.lastSeen = Date.now();
     this.hopCount = 1;
+    this.inbound = false; // true when the peer dialed us
+    this.rtt = null; // smoothed round-trip time in ms
+    this.compression = false; // peer accepts compressed payloads
+    this.version = null; // protocol version negotiated with the peer
+    this.capabilities = new Set(); // optional features the peer announced
+    this.protocolErrors = []; // times of malformed frames, within PROTOCOL_ERROR_WINDOW
+    this.mustIdentify = false; // dialed from a banned address, only a signed announcement lets it in
+    
+    // Identity, from the peer's announcement
+    this.nodeId = null;
+    this.signingKey = null; // base64 Ed25519 key, null for peers that don't sign
+    this.publicKey = null;
+    this.verified = false; // announcement signed by signingKey, and our challenge with it
+    this.challenge = createChallenge(); // the peer signs this to prove its key on this link
+    this.peerChallenge = null; // the peer's challenge, signed in our announcements
+    this.channels = new Set(); // channels the peer said it joined, in its last history summary
+    this.keyMismatch = false; // nickname is pinned to a different key
+    this.identityWarned = false;
   }
 
-  get key() {
+  get linkKey() {
     return `${this.address}:${this.port}`;
   }
+
+  get key() {
+    return this.nodeId || this.linkKey;
+  }
 }
 
 export class P2PNetworkManager {
-  constructor(port = 8888, nickname = null) {
+  /**
+   * The platform object supplies the services the manager needs:
+   * - transport: carries messages between nodes, see src/transport (TCP, WebSocket, in-memory)
+   * - storage: key-value store with the AsyncStorage API
+   * - fs: file system with the react-native-fs API, for file transfers
+   * - udp: UDP module with the dgram API, for LAN discovery
+   * - identity: optional key pair to use instead of the stored one
+   * - dedupMode: 'bloom' to remember seen messages in fixed memory, see DedupCache
+   * - rateLimits: thresholds to use instead of DEFAULT_RATE_LIMITS, see RateLimiter
+   */
+  constructor(port = 8888, nickname = null, { transport, storage, fs, udp, identity = null, dedupMode = 'exact', rateLimits = {} } = {}) {
     this.port = port;
     this.nickname = nickname || `mobile_${port}`;
-    this.protocol = new P2PProtocol();
+    this.protocol = new P2PProtocol(true, { dedupMode });
+    // Delivered messages by (sender, envelope id); wire ids are deduped in the protocol
+    this.deliveries = new DedupCache({ mode: dedupMode });
+    this.reassembler = new FragmentReassembler();
+    
+    // Flood protection: messages over the limits are dropped, not handled or forwarded
+    const limits = { ...DEFAULT_RATE_LIMITS, ...rateLimits };
+    const banning = { banAfter: limits.banAfter, banDuration: limits.banDuration };
+    this.rateLimits = {
+      connection: new RateLimiter(limits.connection, banning),
+      control: new RateLimiter(limits.control, banning),
+      origin: new RateLimiter(limits.origin, banning)
+    };
+    this.bannedNodes = new Map(); // node id -> banned until, for flooding links
+    this.bannedAddresses = new Map(); // address -> banned until, for flooding links that never identified themselves
+    
+    // Platform services
+    this.transport = transport;
+    this.storage = storage;
+    this.fs = fs;
+    this.udp = udp;
+    
+    // Persistent key pair, loaded in start() unless given
+    this.identity = identity;
+    this.e2e = identity ? new E2ECrypto(identity.encryptionKey) : null;
+    this.trust = new TrustStore(storage);
+    this.blockList = new BlockList(storage);
     
     // Network state
-    this.peers = new Map(); // key: "ip:port", value: PeerInfo
-    this.connections = new Map(); // key: "ip:port", value: socket
+    this.links = new Map(); // key: "ip:port", value: PeerInfo
+    this.peers = new Map(); // key: node id, value: PeerInfo of the link in use
+    this.connections = new Map(); // key: "ip:port", value: transport connection
+    this.sendQueues = new Map(); // key: "ip:port", value: SendQueue for the connection
     this.server = null;
     this.isRunning = false;
     
+    // Routing table, key: node nickname, value: { node, nextHop, hopCount, updatedAt }
+    this.routes = new Map();
+    
+    // Nodes seen on the LAN, key: "ip:port", value: { address, port, nickname, lastSeen, lastDialAt }
+    this.discovery = null;
+    this.discoveredPeers = new Map();
+    
+    // Outgoing messages awaiting ACKs, key: message id
+    this.pendingAcks = new Map();
+    
+    // Messages held for offline destinations, key: nickname or BROADCAST_QUEUE
+    this.outboundQueue = new Map();
+    // Every node we ever had a route to, so messages for them can wait in the queue
+    this.knownNodes = new Set();
+    // Signed announcements of nodes whose key we learned, relayed in routing updates
+    this.announcements = new Map();
+    
+    // Peers we dialed, redialed when the link drops
+    // key: "ip:port", value: { address, port, nickname, attempts, timer, reconnecting, nextAttemptAt }
+    this.outboundPeers = new Map();
+    
+    // Peers whose protocol versions don't overlap with ours
+    // key: "ip:port", value: { nickname, address, port, version, minVersion }
+    this.incompatiblePeers = new Map();
+    
+    // Pings awaiting a pong, key: ping msgId, value: { peerKey, sentAt, resolve, reject, timer }
+    this.pendingPings = new Map();
+    
+    // Channels we deliver messages for; messages in other channels are only relayed
+    this.channels = new Set();
+    
+    // Lamport clock carried in chat and private messages so every node can order them causally
+    this.clock = 0;
+    
+    // File transfers in both directions
+    this.files = new FileTransferManager(this);
+    this.files.onTransferUpdated = (transfer) => {
+      if (this.onFileTransfer) {
+        this.onFileTransfer(transfer);
+      }
+    };
+    
+    // Recent broadcasts, passed on to neighbours that missed them
+    this.history = new HistorySync(this);
+    this.history.onMessage = (entry, syncedFrom) => {
+      if (this.onMessage && !this.isHiddenSender(entry.from)) {
+        this.onMessage(entry.from, entry.text, false, {
+          id: entry.id,
+          encrypted: entry.verified,
+          channel: entry.channel,
+          ...this.receiveStamp(entry),
+          syncedFrom,
+          // Only syncedFrom vouches for the text, not the sender it names
+          unverified: !entry.verified
+        });
+      }
+    };
+    
     // Event callbacks
     this.onMessage = null;
+    this.onPrivateMessage = null;
+    this.onMessageStatus = null;
     this.onPeerJoined = null;
     this.onPeerLeft = null;
+    this.onRoutesChanged = null;
+    this.onPeersDiscovered = null;
     this.onConnectionError = null;
+    this.onReconnectStateChanged = null;
+    this.onPeerReconnected = null;
+    this.onFileTransfer = null;
+    this.onIdentityWarning = null;
+    this.onIncompatiblePeer = null;
+    this.onPeerThrottled = null;
     
     // Message handlers
     this.messageHandlers = {
@@ -45,47 +299,59 @@ export class P2PNetworkManager {
       [MessageType.PEER_DISCOVERY]: this.handlePeerDiscovery.bind(this),
       [MessageType.PEER_ANNOUNCEMENT]: this.handlePeerAnnouncement.bind(this),
       [MessageType.CHAT_MESSAGE]: this.handleChatMessage.bind(this),
+      [MessageType.PRIVATE_MESSAGE]: this.handlePrivateMessage.bind(this),
+      [MessageType.ACK]: this.handleAck.bind(this),
+      [MessageType.ROUTING_UPDATE]: this.handleRoutingUpdate.bind(this),
+      [MessageType.FILE_OFFER]: this.handleFileMessage.bind(this),
+      [MessageType.FILE_CHUNK]: this.handleFileMessage.bind(this),
+      [MessageType.FILE_REQUEST]: this.handleFileMessage.bind(this),
+      [MessageType.HISTORY_SUMMARY]: this.handleHistoryMessage.bind(this),
+      [MessageType.HISTORY_REQUEST]: this.handleHistoryMessage.bind(this),
+      [MessageType.HISTORY_RESPONSE]: this.handleHistoryMessage.bind(this),
     };
   }
 
   /**
    * Start the P2P network node
    */
-  start() {
-    return new Promise((resolve, reject) => {
-      try {
-        this.isRunning = true;
-        
-        // Create TCP server
-        this.server = TcpSocket.createServer((socket) => {
-          this.handleIncomingConnection(socket);
-        });
-
-        this.server.listen({ port: this.port, host: '0.0.0.0' }, (error) => {
-          if (error) {
-            reject(error);
-            return;
-          }
-          
-          console.log(`P2P node started on port ${this.port}`);
-          
-          // Start cleanup task
-          this.startCleanupTask();
-          
-          resolve();
-        });
-
-        this.server.on('error', (error) => {
-          console.error('Server error:', error);
-          if (this.onConnectionError) {
-            this.onConnectionError(error);
-          }
-        });
-
-      } catch (error) {
-        reject(error);
+  async start() {
+    await this.loadIdentity();
+    await this.blockList.load();
+    
+    this.isRunning = true;
+    try {
+      this.server = await this.transport.listen(this.port, (connection) => {
+        this.handleIncomingConnection(connection);
+      });
+    } catch (error) {
+      this.isRunning = false;
+      throw error;
+    }
+    
+    this.server.onError = (error) => {
+      console.error('Server error:', error);
+      if (this.onConnectionError) {
+        this.onConnectionError(error);
       }
-    });
+    };
+    
+    console.log(`P2P node started on port ${this.port}`);
+    
+    // Start cleanup, routing and heartbeat tasks
+    this.startCleanupTask();
+    this.startRoutingTask();
+    this.startHeartbeatTask();
+  }
+
+  /**
+   * Load this install's key pair and the keys pinned for known nicknames
+   */
+  async loadIdentity() {
+    if (!this.identity) {
+      this.identity = await NodeIdentity.load(this.storage);
+      this.e2e = new E2ECrypto(this.identity.encryptionKey);
+    }
+    await this.trust.load();
   }
 
   /**
@@ -94,11 +360,38 @@ export class P2PNetworkManager {
   stop() {
     this.isRunning = false;
     
-    // Close all connections
-    this.connections.forEach((socket, key) => {
-      socket.destroy();
+    this.stopDiscovery();
+    
+    // Abandon pending deliveries
+    this.pendingAcks.forEach(entry => clearTimeout(entry.timer));
+    this.pendingAcks.clear();
+    this.outboundQueue.clear();
+    
+    // No redialing once stopped
+    this.outboundPeers.forEach(outbound => clearTimeout(outbound.timer));
+    this.outboundPeers.clear();
+    
+    // Pings in flight fail like unanswered ones, instead of never settling
+    this.pendingPings.forEach(ping => {
+      clearTimeout(ping.timer);
+      ping.reject(new Error('Network stopped before the pong arrived'));
     });
+    this.pendingPings.clear();
+    
+    // Periodic tasks, so nothing keeps the process alive once stopped
+    clearTimeout(this.routingTimer);
+    clearTimeout(this.cleanupTimer);
+    clearTimeout(this.heartbeatTimer);
+    
+    this.files.stop();
+    this.history.stop();
+    
+    // Close all connections
+    this.sendQueues.forEach(queue => queue.close());
+    this.sendQueues.clear();
+    this.connections.forEach(connection => connection.close());
     this.connections.clear();
+    this.routes.clear();
     
     // Stop server
     if (this.server) {
@@ -112,309 +405,1814 @@ export class P2PNetworkManager {
   /**
    * Connect to a specific peer
    */
-  connectToPeer(address, port) {
-    return new Promise((resolve, reject) => {
-      const peerKey = `${address}:${port}`;
-      
-      if (this.connections.has(peerKey)) {
-        resolve(true); // Already connected
-        return;
-      }
+  async connectToPeer(address, port) {
+    const peerKey = `${address}:${port}`;
+    
+    if (this.connections.has(peerKey)) {
+      return true; // Already connected
+    }
+    
+    let connection;
+    try {
+      connection = await this.transport.connect(address, port);
+    } catch (error) {
+      console.error(`Failed to connect to ${peerKey}:`, error);
+      throw error;
+    }
+    
+    console.log(`Connected to peer ${peerKey}`);
+    
+    // Add connection
+    this.connections.set(peerKey, connection);
+    
+    // Add peer info
+    const peer = new PeerInfo(address, port);
+    this.links.set(peerKey, peer);
+    
+    // Remember the peer so the link can be redialed if it drops
+    const outbound = this.outboundPeers.get(peerKey) ||
+      { address, port, nickname: null, attempts: 0, timer: null, reconnecting: false };
+    clearTimeout(outbound.timer);
+    outbound.timer = null;
+    this.outboundPeers.set(peerKey, outbound);
+    
+    // Setup message handling
+    this.setupConnectionHandlers(connection, peerKey);
+    
+    // Send peer announcement; the peer joins once it has announced itself
+    this.sendPeerAnnouncement(peerKey);
+    
+    return true;
+  }
 
-      const socket = TcpSocket.createConnection({
-        port: port,
-        host: address,
-        timeout: 10000
+  /**
+   * Redial a peer we dialed before, backing off exponentially between attempts
+   */
+  scheduleReconnect(peerKey) {
+    const outbound = this.outboundPeers.get(peerKey);
+    if (!outbound || outbound.timer || !this.isRunning) return;
+    
+    if (outbound.attempts >= MAX_RECONNECT_ATTEMPTS) {
+      this.outboundPeers.delete(peerKey);
+      this.emitReconnectState();
+      if (this.onConnectionError) {
+        this.onConnectionError(new Error(`Gave up reconnecting to ${outbound.nickname || peerKey}`));
+      }
+      return;
+    }
+    
+    // Jitter keeps peers that dropped together from redialing in lockstep
+    const backoff = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** outbound.attempts);
+    const delay = backoff / 2 + Math.random() * backoff / 2;
+    
+    outbound.attempts += 1;
+    outbound.reconnecting = true;
+    outbound.nextAttemptAt = Date.now() + delay;
+    outbound.timer = setTimeout(() => {
+      outbound.timer = null;
+      if (!this.isRunning || this.connections.has(peerKey)) return;
+      
+      console.log(`Reconnecting to ${peerKey} (attempt ${outbound.attempts})`);
+      this.connectToPeer(outbound.address, outbound.port).catch(() => {
+        this.scheduleReconnect(peerKey);
       });
+    }, delay);
+    
+    this.emitReconnectState();
+  }
 
-      socket.on('connect', () => {
-        console.log(`Connected to peer ${peerKey}`);
-        
-        // Add connection
-        this.connections.set(peerKey, socket);
-        
-        // Add peer info
-        const peer = new PeerInfo(address, port);
-        this.peers.set(peerKey, peer);
-        
-        // Setup message handling
-        this.setupSocketHandlers(socket, peerKey);
-        
-        // Send peer announcement
-        this.sendPeerAnnouncement(socket);
-        
-        if (this.onPeerJoined) {
-          this.onPeerJoined(peer);
-        }
-        
-        resolve(true);
-      });
+  /**
+   * Get peers we are trying to reconnect to
+   */
+  getReconnectingPeers() {
+    return Array.from(this.outboundPeers.values())
+      .filter(outbound => outbound.reconnecting)
+      .map(({ address, port, nickname, attempts, nextAttemptAt }) =>
+        ({ address, port, nickname, attempts, nextAttemptAt })
+      );
+  }
 
-      socket.on('error', (error) => {
-        console.error(`Failed to connect to ${peerKey}:`, error);
-        reject(error);
-      });
-    });
+  /**
+   * Notify listeners about the set of peers being reconnected
+   */
+  emitReconnectState() {
+    if (this.onReconnectStateChanged) {
+      this.onReconnectStateChanged(this.getReconnectingPeers());
+    }
   }
 
   /**
-   * Send a chat message to all connected peers
+   * Start announcing this node on the LAN and collecting nearby nodes.
+   * With autoConnect, nearby nodes are dialed automatically; only the side with
+   * the smaller nickname dials so two nodes don't connect to each other twice.
    */
-  sendMessage(text, ttl = 3) {
-    const message = this.protocol.createChatMessage(text, ttl);
-    this.broadcastMessage(message);
+  async startDiscovery(autoConnect = false) {
+    if (this.discovery) return;
     
-    // Trigger local message event
-    if (this.onMessage) {
-      this.onMessage(this.nickname, text, true);
+    this.autoConnect = autoConnect;
+    this.discovery = new LanDiscovery(this.protocol, this.udp);
+    this.discovery.onPeerDiscovered = this.handleDiscoveredPeer.bind(this);
+    this.discovery.onError = (error) => {
+      if (this.onConnectionError) {
+        this.onConnectionError(error);
+      }
+    };
+    
+    try {
+      await this.discovery.start({ nickname: this.nickname, port: this.port });
+    } catch (error) {
+      this.discovery = null;
+      throw error;
     }
   }
 
   /**
-   * Get list of connected peers
+   * Stop LAN discovery
    */
-  getPeerList() {
-    return Array.from(this.peers.values()).map(peer => ({
-      address: peer.address,
-      port: peer.port,
-      nickname: peer.nickname,
-      lastSeen: peer.lastSeen,
-      hopCount: peer.hopCount
-    }));
+  stopDiscovery() {
+    if (this.discovery) {
+      this.discovery.stop();
+      this.discovery = null;
+    }
+    this.discoveredPeers.clear();
   }
 
   /**
-   * Handle incoming connection
+   * Get nearby nodes found by LAN discovery that we are not connected to
    */
-  handleIncomingConnection(socket) {
-    const peerAddress = socket.remoteAddress;
-    const peerPort = socket.remotePort;
-    const peerKey = `${peerAddress}:${peerPort}`;
-    
-    console.log(`Incoming connection from ${peerKey}`);
+  getDiscoveredPeers() {
+    const now = Date.now();
+    const connected = new Set(Array.from(this.links.values()).map(peer => peer.nickname));
     
-    // Add connection
-    this.connections.set(peerKey, socket);
+    const nearby = [];
+    this.discoveredPeers.forEach((info, key) => {
+      if (now - info.lastSeen > DISCOVERY_EXPIRY) {
+        this.discoveredPeers.delete(key);
+      } else if (!this.connections.has(key) && !connected.has(info.nickname)) {
+        const { address, port, nickname, lastSeen } = info;
+        nearby.push({ address, port, nickname, lastSeen, incompatible: this.incompatiblePeers.has(key) });
+      }
+    });
+    return nearby;
+  }
+
+  /**
+   * Handle a node found by LAN discovery
+   */
+  handleDiscoveredPeer(info) {
+    const key = `${info.address}:${info.port}`;
+    const existing = this.discoveredPeers.get(key);
+    const now = Date.now();
+    const entry = { ...info, lastSeen: now, lastDialAt: existing ? existing.lastDialAt : 0 };
     
-    // Add temporary peer info
-    const peer = new PeerInfo(peerAddress, peerPort);
-    this.peers.set(peerKey, peer);
+    this.discoveredPeers.set(key, entry);
     
-    // Setup message handling
-    this.setupSocketHandlers(socket, peerKey);
+    if (this.autoConnect &&
+        this.nickname < (info.nickname || '') &&
+        !this.incompatiblePeers.has(key) &&
+        !this.isNodeBanned(this.nodeIdOf(info.nickname)) &&
+        // Only a hint: discovery is unsigned, the announcement decides
+        !this.blockList.isBlocked(this.nodeIdOf(info.nickname)) &&
+        now - entry.lastDialAt > DISCOVERY_EXPIRY &&
+        this.getDiscoveredPeers().some(peer => peer.address === info.address && peer.port === info.port)) {
+      entry.lastDialAt = now;
+      this.connectToPeer(info.address, info.port).catch(error => {
+        console.error(`Auto-connect to ${key} failed:`, error);
+      });
+    }
     
-    if (this.onPeerJoined) {
-      this.onPeerJoined(peer);
+    if (!existing && this.onPeersDiscovered) {
+      this.onPeersDiscovered(this.getDiscoveredPeers());
     }
   }
 
   /**
-   * Setup socket event handlers
+   * Join a channel so its messages are delivered to us. Returns false if the
+   * name is invalid.
    */
-  setupSocketHandlers(socket, peerKey) {
-    let messageBuffer = Buffer.alloc(0);
+  joinChannel(name) {
+    const channel = normalizeChannel(name);
+    if (!channel) return false;
     
-    socket.on('data', (data) => {
-      try {
-        // Append new data to buffer
-        messageBuffer = Buffer.concat([messageBuffer, Buffer.from(data)]);
-        
-        // Process complete messages
-        while (messageBuffer.length >= 4) {
-          // Read message length (first 4 bytes)
-          const messageLength = messageBuffer.readUInt32BE(0);
-          
-          if (messageBuffer.length >= 4 + messageLength) {
-            // Extract complete message
-            const messageData = messageBuffer.slice(4, 4 + messageLength);
-            messageBuffer = messageBuffer.slice(4 + messageLength);
-            
-            // Process message
-            const message = this.protocol.deserialize(new Uint8Array(messageData));
-            if (message && !this.protocol.isDuplicate(message.msgId)) {
-              this.handleMessage(message, peerKey);
-            }
-          } else {
-            // Not enough data for complete message
-            break;
-          }
-        }
-      } catch (error) {
-        console.error('Error processing data:', error);
+    this.channels.add(channel);
+    
+    // Ask neighbours for what was said in the channel before we joined
+    this.peers.forEach(peer => {
+      if (peer.verified && !peer.keyMismatch) {
+        this.history.sendSummary(peer.linkKey, true);
       }
     });
+    return true;
+  }
 
-    socket.on('close', () => {
-      console.log(`Connection closed: ${peerKey}`);
-      this.handlePeerDisconnect(peerKey);
-    });
+  /**
+   * Leave a channel; its messages are still relayed. Returns false if we were not in it.
+   */
+  leaveChannel(name) {
+    return this.channels.delete(normalizeChannel(name));
+  }
 
-    socket.on('error', (error) => {
-      console.error(`Socket error for ${peerKey}:`, error);
-      this.handlePeerDisconnect(peerKey);
-    });
+  /**
+   * Get the channels we have joined
+   */
+  getChannels() {
+    return Array.from(this.channels).sort();
   }
 
   /**
-   * Handle peer disconnect
+   * Send a chat message to all connected peers, or to the members of a channel.
+   * Returns the message id used for delivery status updates.
    */
-  handlePeerDisconnect(peerKey) {
-    const peer = this.peers.get(peerKey);
-    
-    this.connections.delete(peerKey);
-    this.peers.delete(peerKey);
+  sendMessage(text, ttl = 3, channel = null) {
+    const id = this.protocol.generateMessageId();
+    const stamp = { clock: this.tickClock(), timestamp: Date.now() };
+    const envelope = { id, from: this.nickname, ...(channel ? { channel } : {}), ...stamp };
     
-    if (peer && this.onPeerLeft) {
-      this.onPeerLeft(peer);
+    // Trigger local message event before sending, see sendPrivateMessage
+    if (this.onMessage) {
+      this.onMessage(this.nickname, text, true, {
+        id,
+        encrypted: this.canEncryptBroadcast(),
+        channel,
+        clock: stamp.clock,
+        sentAt: stamp.timestamp
+      });
     }
+    
+    this.history.record({ from: this.nickname, id, channel, text, ...stamp });
+    
+    // Content is built per attempt so a message queued while offline is
+    // encrypted for the peers that are reachable when it finally goes out
+    this.sendReliable(id, null, () => {
+      const content = this.encryptForReachable(text, id, channel);
+      if (content.enc) {
+        this.history.setEnvelope(this.nickname, id, content.enc);
+      }
+      return this.protocol.createChatMessage(content, ttl, envelope);
+    });
+    
+    return id;
   }
 
   /**
-   * Handle received message
+   * Send a private message to a single node, identified by nickname.
+   * Returns the message id used for delivery status updates.
    */
-  handleMessage(message, fromPeerKey) {
-    const handler = this.messageHandlers[message.msgType];
-    if (handler) {
-      handler(message, fromPeerKey);
-    }
+  sendPrivateMessage(recipient, text, ttl = 3) {
+    const id = this.protocol.generateMessageId();
+    const stamp = { clock: this.tickClock(), timestamp: Date.now() };
     
-    // Forward message if TTL > 0 (mesh routing)
-    if (message.ttl > 0) {
-      message.ttl -= 1;
-      this.forwardMessage(message, fromPeerKey);
+    // Echo first so the UI has the message before any 'queued' status arrives
+    if (this.onPrivateMessage) {
+      this.onPrivateMessage(this.nickname, recipient, text, true, {
+        id,
+        encrypted: this.e2e.hasPeerKey(recipient),
+        clock: stamp.clock,
+        sentAt: stamp.timestamp
+      });
     }
+    
+    this.sendReliable(id, recipient, () => {
+      const content = this.e2e.hasPeerKey(recipient)
+        ? { enc: this.e2e.encrypt(text, [recipient], `${this.nickname}:${id}`) }
+        : text;
+      return this.protocol.createPrivateMessage(this.nickname, recipient, content, ttl, id, stamp);
+    });
+    
+    return id;
   }
 
   /**
-   * Handle ping message
+   * Remember a broadcast restored from stored history, so it is neither
+   * delivered again nor requested from neighbours.
+   * entry is { from, id, channel, text, clock, timestamp }.
    */
-  handlePing(message, fromPeerKey) {
-    const pong = new Message(
-      MessageType.PONG,
-      1,
-      this.protocol.generateMessageId(),
-      new Uint8Array(0)
-    );
-    this.sendToPeer(pong, fromPeerKey);
+  restoreHistory(entry) {
+    this.isDuplicateDelivery(entry.from, entry.id);
+    this.history.record(entry);
   }
 
   /**
-   * Handle pong message
+   * Advance the Lamport clock for a message we send, or past the clock of one
+   * we receive. Returns the new value.
    */
-  handlePong(message, fromPeerKey) {
-    const peer = this.peers.get(fromPeerKey);
-    if (peer) {
-      peer.lastSeen = Date.now();
-    }
+  tickClock(seen = 0) {
+    this.clock = Math.max(this.clock, Number.isSafeInteger(seen) ? seen : 0) + 1;
+    return this.clock;
   }
 
   /**
-   * Handle peer discovery message
+   * Ordering details of a received message: its Lamport clock (our own clock
+   * for peers that don't send one) and the sender's timestamp, if any
    */
-  handlePeerDiscovery(message, fromPeerKey) {
-    try {
-      const peerInfo = this.protocol.decodeJSONPayload(message);
-      console.log('Peer discovery:', peerInfo);
-    } catch (error) {
-      console.error('Invalid peer discovery message:', error);
-    }
+  receiveStamp(data) {
+    const clock = this.tickClock(data.clock);
+    return {
+      clock: Number.isSafeInteger(data.clock) ? data.clock : clock,
+      sentAt: Number.isFinite(data.timestamp) ? data.timestamp : null
+    };
   }
 
   /**
-   * Handle peer announcement message
+   * Send a file to a single node. file is { uri, name, size?, mimeType? }.
+   * Progress is reported through onFileTransfer; returns the transfer id.
    */
-  handlePeerAnnouncement(message, fromPeerKey) {
-    try {
-      const peerData = this.protocol.decodeJSONPayload(message);
-      const peer = this.peers.get(fromPeerKey);
-      
-      if (peer && peerData.nickname) {
-        peer.nickname = peerData.nickname;
-        peer.lastSeen = Date.now();
-      }
-    } catch (error) {
-      console.error('Invalid peer announcement:', error);
+  async sendFile(recipient, file) {
+    // Capabilities are only known for neighbours; farther nodes refuse the offer themselves
+    const neighbour = Array.from(this.peers.values()).find(peer => peer.nickname === recipient);
+    if (neighbour && !neighbour.capabilities.has('files')) {
+      throw new Error(`${recipient} is running a version that cannot receive files`);
     }
+    return this.files.sendFile(recipient, file);
   }
 
   /**
-   * Handle chat message
+   * Check whether every reachable node holds a key, so broadcasts can be encrypted.
+   * Encrypting while some node has no key (e.g. an older client) would hide
+   * the message from it entirely.
    */
-  handleChatMessage(message, fromPeerKey) {
-    try {
-      const text = this.protocol.decodeTextPayload(message);
-      const peer = this.peers.get(fromPeerKey);
-      const sender = peer?.nickname || fromPeerKey;
-      
-      if (this.onMessage) {
-        this.onMessage(sender, text, false);
-      }
-    } catch (error) {
-      console.error('Invalid chat message:', error);
-    }
+  canEncryptBroadcast() {
+    const nodes = Array.from(this.routes.keys());
+    return nodes.length > 0 && nodes.every(node => this.e2e.hasPeerKey(node));
   }
 
   /**
-   * Broadcast message to all connected peers
+   * Broadcast content: encrypted for all reachable nodes when possible, else plain text
    */
-  broadcastMessage(message) {
-    this.forwardMessage(message);
+  encryptForReachable(text, id, channel = null) {
+    if (!this.canEncryptBroadcast()) {
+      return text;
+    }
+    return {
+      enc: this.e2e.encrypt(text, Array.from(this.routes.keys()), this.associatedData(this.nickname, id, channel))
+    };
   }
 
   /**
-   * Forward message to peers (excluding specified peer)
+   * Data bound to an encrypted message: sender and id, plus the channel so a
+   * relay cannot move the message to another channel
    */
-  forwardMessage(message, excludePeerKey = null) {
-    const serializedMessage = this.protocol.serialize(message);
-    const lengthBuffer = Buffer.allocUnsafe(4);
-    lengthBuffer.writeUInt32BE(serializedMessage.length, 0);
-    const fullMessage = Buffer.concat([lengthBuffer, Buffer.from(serializedMessage)]);
-    
-    this.connections.forEach((socket, peerKey) => {
-      if (peerKey !== excludePeerKey) {
-        try {
-          socket.write(fullMessage);
-        } catch (error) {
-          console.error(`Failed to send to ${peerKey}:`, error);
-        }
-      }
-    });
+  associatedData(from, id, channel = null) {
+    return channel ? `${from}:${id}:#${channel}` : `${from}:${id}`;
   }
 
   /**
-   * Send message to specific peer
+   * Send a message and retransmit it until it is acknowledged: by its
+   * recipient, or for broadcasts by every node reachable when it first went out.
+   * Every attempt is built fresh so it gets a new wire id and is relayed again
+   * by nodes that saw the previous attempt; receivers dedupe on the envelope id.
    */
-  sendToPeer(message, peerKey) {
-    const socket = this.connections.get(peerKey);
-    if (socket) {
-      const serializedMessage = this.protocol.serialize(message);
-      const lengthBuffer = Buffer.allocUnsafe(4);
-      lengthBuffer.writeUInt32BE(serializedMessage.length, 0);
-      const fullMessage = Buffer.concat([lengthBuffer, Buffer.from(serializedMessage)]);
-      
-      try {
-        socket.write(fullMessage);
-      } catch (error) {
-        console.error(`Failed to send to ${peerKey}:`, error);
-      }
-    }
+  sendReliable(id, recipient, buildMessage) {
+    const entry = {
+      id,
+      recipient,
+      buildMessage,
+      attempts: 0,
+      expected: null, // broadcasts: nodes that should acknowledge
+      acks: new Set(), // nodes that delivered the message
+      reached: new Set(), // nodes that acknowledged, channel non-members included
+      settled: false,
+      timer: null
+    };
+    this.pendingAcks.set(id, entry);
+    this.transmitPending(entry);
   }
 
   /**
-   * Send peer announcement to socket
+   * Transmit one attempt of a pending message and arm its retransmit timer
    */
-  sendPeerAnnouncement(socket) {
-    const announcement = this.protocol.createPeerAnnouncement({
-      nickname: this.nickname,
-      timestamp: Date.now()
-    });
+  transmitPending(entry) {
+    if (this.shouldQueue(entry.recipient)) {
+      this.enqueueOutbound(entry);
+      return;
+    }
+    
+    let message;
+    try {
+      message = entry.buildMessage();
+    } catch (error) {
+      // e.g. larger than MAX_MESSAGE_SIZE even with fragmentation
+      console.error('Failed to build message:', error);
+      this.failPending(entry);
+      return;
+    }
+    
+    // Remember our own message so copies echoed back through the mesh are dropped
+    this.protocol.isDuplicate(message.msgId, message.payload, this.protocol.senderOf(message));
+    
+    if (entry.recipient) {
+      this.routeDirectedMessage(message, entry.recipient);
+    } else {
+      if (!entry.expected) {
+        entry.expected = new Set(this.routes.keys());
+      }
+      this.broadcastMessage(message);
+    }
+    
+    entry.attempts += 1;
+    entry.timer = setTimeout(() => {
+      if (entry.attempts <= MAX_RETRANSMITS) {
+        this.transmitPending(entry);
+      } else if (entry.acks.size > 0) {
+        // Some of the nodes never answered
+        this.settlePending(entry);
+        this.emitMessageStatus(entry.id, 'partial', entry.acks.size, this.expectedDeliveries(entry));
+      } else {
+        this.failPending(entry);
+      }
+    }, ACK_TIMEOUT);
+  }
+
+  /**
+   * Check whether every node that should acknowledge a pending message has.
+   * A broadcast sent before any route was known settles with its first ACK.
+   */
+  isAcknowledged(entry) {
+    if (entry.recipient || entry.expected.size === 0) {
+      return entry.reached.size > 0;
+    }
+    return Array.from(entry.expected).every(node => entry.reached.has(node));
+  }
+
+  /**
+   * Stop retransmitting; broadcasts keep counting late ACKs for a while
+   */
+  settlePending(entry) {
+    entry.settled = true;
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => this.pendingAcks.delete(entry.id), DELIVERED_RETENTION);
+  }
+
+  /**
+   * How many nodes a broadcast should be delivered to: those expected to
+   * acknowledge, less channel non-members. null for private messages.
+   */
+  expectedDeliveries(entry) {
+    if (entry.recipient || !entry.expected) return null;
+    const nonMembers = Array.from(entry.reached).filter(node => !entry.acks.has(node)).length;
+    return Math.max(entry.acks.size, entry.expected.size - nonMembers);
+  }
+
+  /**
+   * Give up on a pending message
+   */
+  failPending(entry) {
+    clearTimeout(entry.timer);
+    this.pendingAcks.delete(entry.id);
+    this.emitMessageStatus(entry.id, 'failed', 0);
+  }
+
+  /**
+   * Check whether a message should wait in the outbound queue: broadcasts when
+   * nobody is connected, directed messages when a node we know has no route.
+   * Unknown recipients are still flooded, they may sit behind older clients.
+   */
+  shouldQueue(recipient) {
+    if (!recipient) {
+      return this.connections.size === 0;
+    }
+    return !this.routes.has(recipient) && this.knownNodes.has(recipient);
+  }
+
+  /**
+   * Hold a pending message until its destination is reachable again
+   */
+  enqueueOutbound(entry) {
+    const destination = entry.recipient || BROADCAST_QUEUE;
+    const queue = this.outboundQueue.get(destination) || [];
+    
+    if (!entry.expiresAt) {
+      entry.expiresAt = Date.now() + OUTBOUND_QUEUE_TTL;
+    }
+    entry.timer = null;
+    queue.push(entry);
+    
+    if (queue.length > MAX_QUEUED_PER_DESTINATION) {
+      this.failPending(queue.shift());
+    }
+    
+    this.outboundQueue.set(destination, queue);
+    this.emitMessageStatus(entry.id, 'queued', 0);
+  }
+
+  /**
+   * Send queued messages whose destination became reachable.
+   * Called when routes change, i.e. once a link set up by connectToPeer or
+   * handleIncomingConnection has been announced and keys are exchanged.
+   */
+  flushOutboundQueue() {
+    this.outboundQueue.forEach((queue, destination) => {
+      const recipient = destination === BROADCAST_QUEUE ? null : destination;
+      if (this.shouldQueue(recipient)) return;
+      
+      this.outboundQueue.delete(destination);
+      queue.forEach(entry => {
+        // A fresh link gets a fresh retransmit budget
+        entry.attempts = 0;
+        this.emitMessageStatus(entry.id, 'sent', 0);
+        this.transmitPending(entry);
+      });
+    });
+  }
+
+  /**
+   * Drop queued messages that waited too long
+   */
+  expireOutboundQueue() {
+    const now = Date.now();
+    
+    this.outboundQueue.forEach((queue, destination) => {
+      const remaining = queue.filter(entry => {
+        if (entry.expiresAt > now) return true;
+        this.failPending(entry);
+        return false;
+      });
+      
+      if (remaining.length > 0) {
+        this.outboundQueue.set(destination, remaining);
+      } else {
+        this.outboundQueue.delete(destination);
+      }
+    });
+  }
+
+  /**
+   * Notify listeners about a delivery status change
+   */
+  emitMessageStatus(id, status, deliveredCount, expectedCount = null) {
+    if (this.onMessageStatus) {
+      this.onMessageStatus(id, status, deliveredCount, expectedCount);
+    }
+  }
+
+  /**
+   * Acknowledge a chat or private message back to its sender
+   */
+  sendAck(ackedId, recipient, member = true) {
+    const ack = this.protocol.createAck(ackedId, this.nickname, recipient, member);
+    this.protocol.isDuplicate(ack.msgId, ack.payload, this.nickname);
+    this.routeDirectedMessage(ack, recipient);
+  }
+
+  /**
+   * Get how many reachable nodes we hold encryption keys for
+   */
+  getEncryptionStatus() {
+    const nodes = Array.from(this.routes.keys());
+    return {
+      total: nodes.length,
+      secured: nodes.filter(node => this.e2e.hasPeerKey(node)).length
+    };
+  }
+
+  /**
+   * Decrypt the content of a chat or private message envelope.
+   * Returns { text, encrypted }; undecryptable messages get a placeholder text.
+   */
+  openEnvelope(data) {
+    if (!data.enc) {
+      return { text: data.text, encrypted: false };
+    }
+    
+    const associatedData = this.associatedData(data.from, data.id, data.channel);
+    const text = this.e2e.decrypt(data.enc, data.from, this.nickname, associatedData);
+    return { text: text === null ? UNREADABLE_MESSAGE : text, encrypted: text !== null };
+  }
+
+  /**
+   * Record a node's public key, ignoring malformed keys
+   */
+  learnPeerKey(node, publicKey) {
+    try {
+      return this.e2e.setPeerKey(node, publicKey);
+    } catch (error) {
+      console.error('Ignoring public key:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Learn a remote node's key from the signed announcement a neighbour relayed
+   * in a routing update. The signature must check out and the signing key must
+   * match the one pinned for that nickname, so a relay cannot slip in its own
+   * key. Returns true if the key was learned.
+   */
+  learnAnnouncedKey(node, route) {
+    const announcement = {
+      nickname: node,
+      publicKey: route.publicKey,
+      signingKey: route.signingKey,
+      timestamp: route.timestamp,
+      signature: route.signature
+    };
+    if (!NodeIdentity.verifyAnnouncement(announcement)) {
+      console.warn(`Ignoring key for ${node} with a bad signature`);
+      return false;
+    }
+    
+    const pinned = this.trust.getPin(node);
+    if (pinned && pinned !== announcement.signingKey) {
+      console.warn(`Ignoring key for ${node}: not the identity key pinned for it`);
+      return false;
+    }
+    if (!pinned) {
+      this.trust.pin(node, announcement.signingKey);
+    }
+    
+    if (!this.learnPeerKey(node, announcement.publicKey)) return false;
+    this.announcements.set(node, announcement);
+    return true;
+  }
+
+  /**
+   * Check whether a message (by sender and envelope id) was already delivered.
+   * Retransmissions carry new wire ids, so this is separate from transport dedup.
+   */
+  isDuplicateDelivery(from, id) {
+    return this.deliveries.check(from, id);
+  }
+
+  /**
+   * Hit, collision and eviction counters of the dedup caches, and for
+   * messages the chance of an id collision between nodes
+   */
+  getDedupStats() {
+    return {
+      messages: this.protocol.getDedupStats(),
+      deliveries: this.deliveries.getStats()
+    };
+  }
+
+  /**
+   * Ping a neighbour by connection key.
+   * Resolves with the round-trip time in ms, rejects if no pong arrives in time.
+   */
+  pingPeer(peerKey) {
+    return new Promise((resolve, reject) => {
+      const ping = this.protocol.createPing();
+      const timer = setTimeout(() => {
+        this.pendingPings.delete(ping.msgId);
+        reject(new Error(`No pong from ${this.links.get(peerKey)?.nickname || peerKey}`));
+      }, PING_TIMEOUT);
+      
+      this.pendingPings.set(ping.msgId, { peerKey, sentAt: Date.now(), resolve, reject, timer });
+      this.sendToPeer(ping, peerKey);
+    });
+  }
+
+  /**
+   * Ping a node by nickname. Pings are link-local, so only direct peers can be pinged.
+   */
+  ping(nickname) {
+    const route = this.routes.get(nickname);
+    if (!route) {
+      return Promise.reject(new Error(`${nickname} is not connected`));
+    }
+    if (route.hopCount > 1) {
+      const via = this.links.get(route.nextHop)?.nickname || route.nextHop;
+      return Promise.reject(new Error(
+        `${nickname} is ${route.hopCount} hops away via ${via}, only direct peers can be pinged`
+      ));
+    }
+    return this.pingPeer(route.nextHop);
+  }
+
+  /**
+   * Get list of reachable peers: direct connections plus multi-hop nodes
+   * learned from routing updates
+   */
+  getPeerList() {
+    // One entry per node, plus links that have not announced themselves yet
+    const links = Array.from(this.links.values())
+      .filter(peer => !peer.nodeId || this.peers.get(peer.nodeId) === peer);
+    
+    const direct = links.map(peer => ({
+      address: peer.address,
+      port: peer.port,
+      linkKey: peer.linkKey,
+      nickname: peer.nickname,
+      nodeId: peer.nodeId,
+      fingerprint: peer.verified ? shortFingerprint(peer.nodeId) : null,
+      verified: peer.verified,
+      keyMismatch: peer.keyMismatch,
+      lastSeen: peer.lastSeen,
+      hopCount: peer.hopCount,
+      rtt: peer.rtt,
+      sendQueue: this.sendQueues.get(peer.linkKey)?.getStats() || null,
+      version: peer.version,
+      capabilities: Array.from(peer.capabilities),
+      via: null
+    }));
+    
+    const remote = [];
+    this.routes.forEach(route => {
+      if (route.hopCount > 1) {
+        remote.push({
+          address: null,
+          port: null,
+          linkKey: null,
+          nickname: route.node,
+          nodeId: null,
+          fingerprint: null,
+          verified: false,
+          keyMismatch: false,
+          lastSeen: route.updatedAt,
+          hopCount: route.hopCount,
+          rtt: null,
+          sendQueue: null,
+          version: null,
+          capabilities: [],
+          via: this.links.get(route.nextHop)?.nickname || route.nextHop
+        });
+      }
+    });
+    
+    return [...direct, ...remote];
+  }
+
+  /**
+   * Handle incoming connection
+   */
+  handleIncomingConnection(connection) {
+    const peerAddress = connection.remoteAddress;
+    const peerPort = connection.remotePort;
+    const peerKey = `${peerAddress}:${peerPort}`;
+    
+    
+    console.log(`Incoming connection from ${peerKey}`);
+    
+    // Add connection
+    this.connections.set(peerKey, connection);
+    
+    // Add temporary peer info
+    const peer = new PeerInfo(peerAddress, peerPort);
+    peer.inbound = true;
+    // Other nodes may share the address, so it is only refused if it can't say who it is
+    peer.mustIdentify = this.isAddressBanned(peerAddress);
+    this.links.set(peerKey, peer);
+    
+    // Setup message handling
+    this.setupConnectionHandlers(connection, peerKey);
+  }
+
+  /**
+   * Setup connection event handlers; the transport hands over whole messages
+   */
+  setupConnectionHandlers(connection, peerKey) {
+    const queue = new SendQueue(connection, this.protocol);
+    this.sendQueues.set(peerKey, queue);
+    
+    // Hang up rather than buffer without end; outbound peers are redialed later
+    queue.onSlowPeer = () => {
+      const name = this.links.get(peerKey)?.nickname || peerKey;
+      console.warn(`Disconnecting ${name}: it has not kept up with our messages`);
+      if (this.onConnectionError) {
+        this.onConnectionError(new Error(`${name} could not keep up and was disconnected`));
+      }
+      connection.close();
+      this.handlePeerDisconnect(peerKey);
+    };
+    
+    connection.onMessage = (data) => {
+      try {
+        let message = this.protocol.parse(data);
+        
+        // Oversized messages arrive in fragments, dispatch them once complete
+        if (message.msgType === MessageType.FRAGMENT) {
+          message = this.reassembler.add(message, peerKey);
+        }
+        
+        if (message && !this.protocol.isDuplicate(message.msgId, message.payload, this.protocol.senderOf(message))) {
+          this.handleMessage(message, peerKey);
+        }
+      } catch (error) {
+        if (error instanceof ProtocolError) {
+          this.handleProtocolError(peerKey, error);
+        } else {
+          console.error('Error processing data:', error);
+        }
+      }
+    };
+
+    connection.onClose = () => {
+      console.log(`Connection closed: ${peerKey}`);
+      this.handlePeerDisconnect(peerKey);
+    };
+
+    connection.onError = (error) => {
+      // The transport refused a frame (too large) and closed the connection
+      if (error instanceof ProtocolError) {
+        this.disconnectMisbehavingPeer(peerKey, error);
+        return;
+      }
+      console.error(`Connection error for ${peerKey}:`, error);
+      this.handlePeerDisconnect(peerKey);
+    };
+  }
+
+  /**
+   * Count a malformed frame against the link's budget. The first one is
+   * reported; a link that keeps sending them is disconnected.
+   */
+  handleProtocolError(peerKey, error) {
+    const peer = this.links.get(peerKey);
+    if (!peer) return;
+    
+    const now = Date.now();
+    peer.protocolErrors = peer.protocolErrors.filter(time => now - time < PROTOCOL_ERROR_WINDOW);
+    peer.protocolErrors.push(now);
+    
+    if (peer.protocolErrors.length >= PROTOCOL_ERROR_BUDGET) {
+      this.disconnectMisbehavingPeer(peerKey, new ProtocolError(`${peer.protocolErrors.length} malformed frames in ${PROTOCOL_ERROR_WINDOW / 1000}s, last: ${error.message}`));
+      return;
+    }
+    
+    const name = peer.nickname || peerKey;
+    console.warn(`Malformed frame from ${name}: ${error.message}`);
+    if (peer.protocolErrors.length === 1 && this.onConnectionError) {
+      this.onConnectionError(new ProtocolError(`Malformed frame from ${name}: ${error.message}`));
+    }
+  }
+
+  /**
+   * Hang up on a peer that broke the protocol. It is not redialed; it can
+   * still dial us, or be connected to again by hand.
+   */
+  disconnectMisbehavingPeer(peerKey, error) {
+    const name = this.links.get(peerKey)?.nickname || peerKey;
+    console.warn(`Disconnecting ${name}: ${error.message}`);
+    
+    this.outboundPeers.delete(peerKey);
+    this.connections.get(peerKey)?.close();
+    this.handlePeerDisconnect(peerKey);
+    
+    if (this.onConnectionError) {
+      this.onConnectionError(new ProtocolError(`${name} broke the protocol and was disconnected: ${error.message}`));
+    }
+  }
+
+  /**
+   * Handle peer disconnect
+   */
+  handlePeerDisconnect(peerKey) {
+    const peer = this.links.get(peerKey);
+    
+    this.sendQueues.get(peerKey)?.close();
+    this.sendQueues.delete(peerKey);
+    this.connections.delete(peerKey);
+    this.links.delete(peerKey);
+    this.reassembler.dropLink(peerKey);
+    
+    // close and error both land here, only redial once
+    if (peer) {
+      this.scheduleReconnect(peerKey);
+    }
+    
+    // The node is only gone once its last link is
+    let remaining = null;
+    if (peer && peer.nodeId && this.peers.get(peer.nodeId) === peer) {
+      remaining = Array.from(this.links.values()).find(link => link.nodeId === peer.nodeId) || null;
+      if (remaining) {
+        this.peers.set(peer.nodeId, remaining);
+      } else {
+        this.peers.delete(peer.nodeId);
+      }
+    }
+    
+    // Everything reached through this peer is gone until re-advertised
+    let routesChanged = false;
+    this.routes.forEach((route, node) => {
+      if (route.nextHop === peerKey) {
+        this.routes.delete(node);
+        routesChanged = true;
+      }
+    });
+    if (remaining && !remaining.keyMismatch) {
+      routesChanged = this.setDirectRoute(remaining.nickname, remaining.linkKey, false) || routesChanged;
+    }
+    if (routesChanged) {
+      this.handleRoutesChanged();
+    }
+    
+    if (peer && peer.nodeId && !this.peers.has(peer.nodeId) && this.onPeerLeft) {
+      this.onPeerLeft(peer);
+    }
+  }
+
+  /**
+   * Handle received message
+   */
+  handleMessage(message, fromPeerKey) {
+    // Any traffic shows the link is alive
+    const peer = this.links.get(fromPeerKey);
+    if (peer) {
+      peer.lastSeen = Date.now();
+    }
+    
+    if (peer?.mustIdentify && message.msgType !== MessageType.PEER_ANNOUNCEMENT) {
+      console.warn(`Disconnecting ${fromPeerKey}: its address is banned and it has not identified itself`);
+      this.connections.get(fromPeerKey)?.close();
+      this.handlePeerDisconnect(fromPeerKey);
+      return;
+    }
+    if (!this.withinRateLimits(message, fromPeerKey)) return;
+    
+    const handler = this.messageHandlers[message.msgType];
+    if (handler) {
+      handler(message, fromPeerKey);
+    }
+    
+    // Forward message if TTL > 0 (mesh routing)
+    if (message.ttl > 0 &&
+        !DIRECTED_TYPES.has(message.msgType) &&
+        !LINK_LOCAL_TYPES.has(message.msgType)) {
+      message.ttl -= 1;
+      this.forwardMessage(message, fromPeerKey);
+    }
+  }
+
+  /**
+   * Take a token for the message from the link it came in on and, for chat,
+   * from the node that sent it. False if it is over a limit and must be dropped.
+   */
+  withinRateLimits(message, fromPeerKey) {
+    const peer = this.links.get(fromPeerKey);
+    const linkName = peer?.nickname || fromPeerKey;
+    const checks = [{ scope: 'connection', key: fromPeerKey, name: linkName }];
+    if (CONTROL_LIMITED_TYPES.has(message.msgType)) {
+      checks.push({ scope: 'control', key: fromPeerKey, name: linkName });
+    }
+    if (ORIGIN_LIMITED_TYPES.has(message.msgType)) {
+      const data = message.msgType === MessageType.CHAT_MESSAGE
+        ? this.protocol.decodeChatPayload(message)
+        : this.protocol.decodeJSONPayload(message);
+      // Older peers send bare text, which only the link limits cover
+      if (data && typeof data.from === 'string' && data.from !== this.nickname) {
+        // The sender is only known for the own messages of a neighbour that signed
+        // our challenge on this link. Anyone can claim a name further away, or
+        // replay a signed announcement, so those are limited per link and name,
+        // and never banned: that would cut the real sender off.
+        const direct = peer?.verified && peer.nickname === data.from;
+        checks.push(direct
+          ? { scope: 'origin', key: peer.nodeId, name: data.from, canBan: true }
+          : { scope: 'origin', key: `${fromPeerKey}>${data.from}`, name: data.from, canBan: false });
+      }
+    }
+    
+    for (const check of checks) {
+      const verdict = this.rateLimits[check.scope].check(check.key, check.canBan !== false);
+      if (verdict !== Verdict.ALLOW) {
+        this.handleThrottled(check, verdict);
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Report a link or sender that went over its limit, and hang up on a link
+   * that kept flooding. Later drops in the same episode are silent.
+   */
+  handleThrottled({ scope, key, name }, verdict) {
+    if (verdict === Verdict.DROP) return;
+    
+    const sender = scope === 'origin';
+    const banned = verdict === Verdict.BAN;
+    const { banDuration } = this.rateLimits[scope];
+    
+    if (banned) {
+      console.warn(`Banning ${name} for ${banDuration / 1000}s: it kept sending too many messages`);
+      if (!sender) {
+        this.banLink(key, banDuration);
+      }
+    } else {
+      console.warn(`Throttling ${name}: too many messages`);
+    }
+    
+    if (this.onPeerThrottled) {
+      this.onPeerThrottled({
+        nickname: name,
+        scope: sender ? 'sender' : 'link',
+        banned,
+        until: banned ? Date.now() + banDuration : null
+      });
+    }
+  }
+
+  /**
+   * Disconnect a link and refuse the node behind it until the ban runs out.
+   * The node is only banned by id once it has proven its key on this link;
+   * otherwise the address is banned, and other nodes at that address get in
+   * by proving theirs.
+   */
+  banLink(linkKey, duration) {
+    const peer = this.links.get(linkKey);
+    const until = Date.now() + duration;
+    if (peer?.verified) {
+      this.bannedNodes.set(peer.nodeId, until);
+    } else {
+      this.bannedAddresses.set(peer?.address || linkKey.slice(0, linkKey.lastIndexOf(':')), until);
+    }
+    
+    this.outboundPeers.delete(linkKey);
+    this.connections.get(linkKey)?.close();
+    this.handlePeerDisconnect(linkKey);
+  }
+
+  isNodeBanned(nodeId) {
+    return this.checkBan(this.bannedNodes, nodeId);
+  }
+
+  isAddressBanned(address) {
+    return this.checkBan(this.bannedAddresses, address);
+  }
+
+  /**
+   * Whether a ban in bans is still running; expired ones are removed
+   */
+  checkBan(bans, key) {
+    const until = bans.get(key);
+    if (until === undefined) return false;
+    if (until > Date.now()) return true;
+    
+    bans.delete(key);
+    return false;
+  }
+
+  /**
+   * Handle ping message
+   */
+  handlePing(message, fromPeerKey) {
+    this.sendToPeer(this.protocol.createPong(message.msgId), fromPeerKey);
+  }
+
+  /**
+   * Handle pong message: match it to our ping and update the peer's RTT
+   */
+  handlePong(message, fromPeerKey) {
+    let pingId = null;
+    if (message.payload.length > 0) {
+      const data = this.protocol.decodeJSONPayload(message);
+      pingId = data ? data.ping : null;
+    }
+    
+    // Older peers send empty pongs, attribute those to the oldest ping to that peer
+    if (!this.pendingPings.has(pingId)) {
+      pingId = null;
+      for (const [id, ping] of this.pendingPings) {
+        if (ping.peerKey === fromPeerKey) {
+          pingId = id;
+          break;
+        }
+      }
+    }
+    
+    const ping = this.pendingPings.get(pingId);
+    if (!ping || ping.peerKey !== fromPeerKey) return;
+    
+    clearTimeout(ping.timer);
+    this.pendingPings.delete(pingId);
+    
+    const rtt = Date.now() - ping.sentAt;
+    const peer = this.links.get(fromPeerKey);
+    if (peer) {
+      peer.rtt = peer.rtt === null ? rtt : Math.round(0.8 * peer.rtt + 0.2 * rtt);
+    }
+    ping.resolve(rtt);
+  }
+
+  /**
+   * Handle peer discovery message
+   */
+  handlePeerDiscovery(message, fromPeerKey) {
+    try {
+      const peerInfo = this.protocol.decodeJSONPayload(message);
+      console.log('Peer discovery:', peerInfo);
+    } catch (error) {
+      console.error('Invalid peer discovery message:', error);
+    }
+  }
+
+  /**
+   * Handle peer announcement message
+   */
+  handlePeerAnnouncement(message, fromPeerKey) {
+    try {
+      const peerData = this.protocol.decodeJSONPayload(message);
+      const peer = this.links.get(fromPeerKey);
+      if (!peer || !peerData.nickname) return;
+      
+      // Signed announcements identify the node by its key once it has signed our
+      // challenge; older peers are only known by their link
+      const signed = Boolean(peerData.signingKey) && typeof peerData.challenge === 'string';
+      let nodeId = `link:${fromPeerKey}`;
+      let proven = false;
+      if (signed) {
+        if (!NodeIdentity.verifyAnnouncement(peerData)) {
+          console.warn(`Ignoring announcement with a bad signature from ${fromPeerKey}`);
+          return;
+        }
+        if (peerData.proof !== undefined) {
+          if (!NodeIdentity.verifyLinkProof(peerData, peer.challenge) ||
+              Math.abs(Date.now() - peerData.timestamp) > ANNOUNCEMENT_MAX_SKEW) {
+            console.warn(`Ignoring announcement from ${fromPeerKey}: it does not prove its key on this link`);
+            return;
+          }
+          proven = true;
+        }
+        nodeId = nodeIdFromKey(peerData.signingKey);
+      }
+      
+      // We dialed ourselves: the dialing side hangs up for good
+      if (proven && nodeId === this.identity.nodeId) {
+        console.warn(`Dropping link to ourselves at ${fromPeerKey}`);
+        this.outboundPeers.delete(fromPeerKey);
+        this.connections.get(fromPeerKey)?.close();
+        this.handlePeerDisconnect(fromPeerKey);
+        return;
+      }
+      
+      // Answer a new challenge with our own proof
+      if (typeof peerData.challenge === 'string' && peerData.challenge !== peer.peerChallenge) {
+        peer.peerChallenge = peerData.challenge;
+        this.sendPeerAnnouncement(fromPeerKey);
+      }
+      // Anyone can replay a signed announcement; the peer joins once it has signed our challenge
+      if (signed && !proven) return;
+      
+      // Blocked and banned nodes are only known by their identity, whatever address
+      // they use; nodes without a proven key by their nickname
+      let refusal = null;
+      if (this.blockList.isBlocked(proven ? nodeId : this.nodeIdOf(peerData.nickname))) {
+        refusal = 'blocked';
+      } else if (this.isNodeBanned(nodeId)) {
+        refusal = 'banned for flooding';
+      } else if (peer.mustIdentify && !proven) {
+        refusal = 'its address is banned';
+      }
+      if (refusal) {
+        console.warn(`Disconnecting ${peerData.nickname} at ${fromPeerKey}: ${refusal}`);
+        this.outboundPeers.delete(fromPeerKey);
+        this.connections.get(fromPeerKey)?.close();
+        this.handlePeerDisconnect(fromPeerKey);
+        return;
+      }
+      if (peer.nodeId && peer.nodeId !== nodeId) {
+        console.warn(`Ignoring announcement for a different node on ${fromPeerKey}`);
+        return;
+      }
+      
+      const version = this.protocol.negotiateVersion(peerData);
+      if (version === null) {
+        this.rejectIncompatiblePeer(peer, peerData);
+        return;
+      }
+      this.incompatiblePeers.delete(fromPeerKey);
+      
+      const firstAnnouncement = !peer.nodeId;
+      peer.nickname = peerData.nickname;
+      peer.nodeId = nodeId;
+      peer.signingKey = proven ? peerData.signingKey : null;
+      peer.publicKey = peerData.publicKey || null;
+      peer.verified = proven;
+      peer.mustIdentify = false;
+      // Relayed in routing updates, so nodes further away can check our neighbour's key
+      peer.announcement = peer.verified ? {
+        nickname: peerData.nickname,
+        publicKey: peerData.publicKey,
+        signingKey: peerData.signingKey,
+        timestamp: peerData.timestamp,
+        signature: peerData.signature
+      } : null;
+      peer.lastSeen = Date.now();
+      peer.version = version;
+      peer.capabilities = this.protocol.announcedCapabilities(peerData);
+      peer.compression = peer.capabilities.has(COMPRESSION_FORMAT);
+      
+      const trusted = this.checkPinnedKey(peer);
+      
+      // Key exchange: a neighbour's own announcement is authoritative for its key
+      if (trusted && peer.publicKey) {
+        this.learnPeerKey(peer.nickname, peer.publicKey);
+      }
+      if (trusted && peer.announcement) {
+        this.announcements.set(peer.nickname, peer.announcement);
+      }
+      
+      // Introduce ourselves to older peers that dialed us, they only know our address
+      if (firstAnnouncement && peer.inbound && !peer.peerChallenge) {
+        this.sendPeerAnnouncement(fromPeerKey);
+      }
+      
+      // The link is only back once the peer has re-announced itself
+      const outbound = this.outboundPeers.get(fromPeerKey);
+      if (outbound) {
+        const reconnected = outbound.reconnecting;
+        outbound.nickname = peer.nickname;
+        outbound.attempts = 0;
+        outbound.reconnecting = false;
+        
+        if (reconnected) {
+          this.emitReconnectState();
+          if (this.onPeerReconnected) {
+            this.onPeerReconnected(peer);
+          }
+        }
+      }
+      
+      // A second link to a node we already know adds no peer
+      if (!this.peers.has(nodeId)) {
+        this.peers.set(nodeId, peer);
+        if (this.onPeerJoined) {
+          this.onPeerJoined(peer);
+        }
+      }
+      
+      if (trusted) {
+        this.setDirectRoute(peer.nickname, fromPeerKey);
+        
+        // Catch up on broadcasts sent while either of us was away
+        if (firstAnnouncement && peer.verified) {
+          this.history.sendSummary(fromPeerKey);
+        }
+      }
+    } catch (error) {
+      console.error('Invalid peer announcement:', error);
+    }
+  }
+
+  /**
+   * Hang up on a peer whose protocol versions don't overlap with ours. It is
+   * not redialed or auto-connected again until it announces a usable version.
+   */
+  rejectIncompatiblePeer(peer, peerData) {
+    const linkKey = peer.linkKey;
+    const info = {
+      nickname: peerData.nickname,
+      address: peer.address,
+      port: peer.port,
+      version: Number.isInteger(peerData.version) ? peerData.version : 1,
+      minVersion: Number.isInteger(peerData.minVersion) ? peerData.minVersion : null
+    };
+    console.warn(`Disconnecting ${info.nickname} at ${linkKey}: protocol v${info.version} is not supported`);
+    
+    // Let a peer that dialed us see our versions, so it gives up as well
+    if (peer.inbound) {
+      this.sendPeerAnnouncement(linkKey);
+    }
+    
+    this.incompatiblePeers.set(linkKey, info);
+    this.outboundPeers.delete(linkKey);
+    this.connections.get(linkKey)?.close();
+    this.handlePeerDisconnect(linkKey);
+    
+    if (this.onIncompatiblePeer) {
+      this.onIncompatiblePeer(info);
+    }
+  }
+
+  /**
+   * Peers we disconnected because they speak an unsupported protocol version
+   */
+  getIncompatiblePeers() {
+    return Array.from(this.incompatiblePeers.values());
+  }
+
+  /**
+   * Check a neighbour's key against the one pinned for its nickname, pinning
+   * it on first sight. Returns false, and warns once, if the keys differ or a
+   * pinned nickname shows up without a key.
+   */
+  checkPinnedKey(peer) {
+    const pinned = this.trust.getPin(peer.nickname);
+    if (!pinned && peer.signingKey) {
+      this.trust.pin(peer.nickname, peer.signingKey);
+    }
+    
+    peer.keyMismatch = Boolean(pinned) && pinned !== peer.signingKey;
+    if (peer.keyMismatch && !peer.identityWarned) {
+      peer.identityWarned = true;
+      console.warn(`${peer.nickname} presented a different identity key than before`);
+      if (this.onIdentityWarning) {
+        this.onIdentityWarning({
+          nickname: peer.nickname,
+          expected: shortFingerprint(nodeIdFromKey(pinned)),
+          presented: peer.verified ? shortFingerprint(peer.nodeId) : null
+        });
+      }
+    }
+    return !peer.keyMismatch;
+  }
+
+  /**
+   * Node id behind a nickname, as used for blocks and bans: from the identity
+   * key pinned for it. A node without a key is only known by its nickname,
+   * since its links change on every reconnect.
+   */
+  nodeIdOf(nickname) {
+    const pinned = this.trust.getPin(nickname);
+    return pinned ? nodeIdFromKey(pinned) : `nickname:${nickname}`;
+  }
+
+  /**
+   * Whether we ever saw a node by this nickname, directly or through the mesh
+   */
+  isKnownNode(nickname) {
+    return Boolean(this.trust.getPin(nickname)) || this.knownNodes.has(nickname) ||
+      Array.from(this.peers.values()).some(peer => peer.nickname === nickname);
+  }
+
+  /**
+   * Whether messages from a nickname are hidden because its node is blocked or muted
+   */
+  isHiddenSender(nickname) {
+    return this.blockList.isHidden(this.nodeIdOf(nickname));
+  }
+
+  /**
+   * Block the node behind a nickname: hide its messages, hang up on its links
+   * and refuse it when it announces itself again. Messages from it are still
+   * relayed. Returns false if we don't know the node.
+   */
+  blockPeer(nickname) {
+    if (!this.isKnownNode(nickname)) return false;
+    const nodeId = this.nodeIdOf(nickname);
+    this.blockList.add(nodeId, nickname, BlockMode.BLOCK);
+    
+    const blocked = Array.from(this.links.values())
+      .filter(peer => (peer.verified ? peer.nodeId : this.nodeIdOf(peer.nickname)) === nodeId);
+    blocked.forEach(peer => {
+      console.log(`Disconnecting ${nickname} at ${peer.linkKey}: blocked`);
+      this.outboundPeers.delete(peer.linkKey);
+      this.connections.get(peer.linkKey)?.close();
+      this.handlePeerDisconnect(peer.linkKey);
+    });
+    return true;
+  }
+
+  /**
+   * Mute the node behind a nickname: hide its messages, but stay linked to it.
+   * Returns false if we don't know the node.
+   */
+  mutePeer(nickname) {
+    if (!this.isKnownNode(nickname)) return false;
+    this.blockList.add(this.nodeIdOf(nickname), nickname, BlockMode.MUTE);
+    return true;
+  }
+
+  /**
+   * Lift the blocks and mutes listed under a nickname. Returns false if there were none.
+   */
+  unblockPeer(nickname) {
+    const nodeIds = this.blockList.findByNickname(nickname);
+    nodeIds.forEach(nodeId => this.blockList.remove(nodeId));
+    return nodeIds.length > 0;
+  }
+
+  /**
+   * Blocked and muted nodes as [{ nodeId, nickname, mode, fingerprint }]
+   */
+  getBlockedPeers() {
+    return this.blockList.list().map(entry => ({
+      ...entry,
+      // Nodes without a key are blocked by "nickname:<nickname>"
+      fingerprint: entry.nodeId.includes(':') ? null : shortFingerprint(entry.nodeId)
+    }));
+  }
+
+  /**
+   * Accept the key a neighbour now presents for its nickname, after a warning.
+   * Returns false if no such neighbour is waiting to be trusted.
+   */
+  trustPeer(nickname) {
+    const peer = Array.from(this.peers.values())
+      .find(candidate => candidate.nickname === nickname && candidate.keyMismatch);
+    if (!peer) return false;
+    
+    this.trust.pin(nickname, peer.signingKey);
+    peer.keyMismatch = false;
+    peer.identityWarned = false;
+    
+    if (peer.publicKey) {
+      this.learnPeerKey(nickname, peer.publicKey);
+    }
+    if (peer.announcement) {
+      this.announcements.set(nickname, peer.announcement);
+    }
+    this.setDirectRoute(nickname, peer.linkKey);
+    return true;
+  }
+
+  /**
+   * Handle chat message
+   */
+  handleChatMessage(message, fromPeerKey) {
+    try {
+      const data = this.protocol.decodeChatPayload(message);
+      const peer = this.links.get(fromPeerKey);
+      const sender = data.from || peer?.nickname || fromPeerKey;
+      const channel = typeof data.channel === 'string' ? data.channel : null;
+      
+      // Channels we haven't joined are relayed (in handleMessage), not delivered;
+      // the ACK only tells the sender to stop retransmitting to us
+      if (channel && !this.channels.has(channel)) {
+        if (data.id !== undefined && data.from && data.from !== this.nickname) {
+          this.sendAck(data.id, data.from, false);
+        }
+        return;
+      }
+      
+      if (data.id !== undefined && data.from) {
+        if (data.from === this.nickname) return; // Our own message echoed back
+        
+        // Always ACK, the sender may have missed our previous one
+        this.sendAck(data.id, data.from);
+        if (this.isDuplicateDelivery(data.from, data.id)) return;
+      }
+      
+      const { text, encrypted } = this.openEnvelope(data);
+      const stamp = this.receiveStamp(data);
+      
+      // Keep what we could read for neighbours that join later
+      if (data.id !== undefined && data.from && (encrypted || !data.enc)) {
+        this.history.record({
+          from: data.from,
+          id: data.id,
+          channel,
+          text,
+          enc: data.enc || null,
+          clock: stamp.clock,
+          timestamp: stamp.sentAt
+        });
+      }
+      
+      // Muted and blocked peers are still relayed and acknowledged, just not shown
+      if (this.onMessage && !this.isHiddenSender(sender)) {
+        this.onMessage(sender, text, false, { id: data.id, encrypted, channel, ...stamp });
+      }
+    } catch (error) {
+      console.error('Invalid chat message:', error);
+    }
+  }
+
+  /**
+   * Handle private message
+   */
+  handlePrivateMessage(message, fromPeerKey) {
+    const data = this.protocol.decodeJSONPayload(message);
+    if (!data || !data.from || !data.to || (typeof data.text !== 'string' && !data.enc)) {
+      console.error('Invalid private message from', fromPeerKey);
+      return;
+    }
+    
+    if (data.to !== this.nickname) {
+      this.routeDirectedMessage(message, data.to, fromPeerKey);
+      return;
+    }
+    
+    if (data.id !== undefined) {
+      this.sendAck(data.id, data.from);
+      if (this.isDuplicateDelivery(data.from, data.id)) return;
+    }
+    
+    // Relays above never get here, so only the recipient decrypts
+    const { text, encrypted } = this.openEnvelope(data);
+    const stamp = this.receiveStamp(data);
+    if (this.onPrivateMessage && !this.isHiddenSender(data.from)) {
+      this.onPrivateMessage(data.from, data.to, text, false, { id: data.id, encrypted, ...stamp });
+    }
+  }
+
+  /**
+   * Handle file offers, chunks and chunk requests: relay them towards their
+   * recipient, or hand them to the file transfer manager if they are for us
+   */
+  handleFileMessage(message, fromPeerKey) {
+    const data = this.protocol.decodeJSONPayload(message);
+    if (!data || data.id === undefined || !data.from || !data.to) {
+      console.error('Invalid file transfer message from', fromPeerKey);
+      return;
+    }
+    
+    if (data.to !== this.nickname) {
+      this.routeDirectedMessage(message, data.to, fromPeerKey);
+      return;
+    }
+    
+    switch (message.msgType) {
+      case MessageType.FILE_OFFER:
+        // Offers are sent reliably; repeats are resolved by the transfer manager
+        this.sendAck(data.id, data.from);
+        if (!this.isHiddenSender(data.from)) {
+          this.files.handleOffer(data);
+        }
+        break;
+      case MessageType.FILE_CHUNK:
+        this.files.handleChunk(data);
+        break;
+      case MessageType.FILE_REQUEST:
+        this.files.handleRequest(data);
+        break;
+    }
+  }
+
+  /**
+   * Handle history sync between neighbours whose identity checks out
+   */
+  handleHistoryMessage(message, fromPeerKey) {
+    const peer = this.links.get(fromPeerKey);
+    const data = this.protocol.decodeJSONPayload(message);
+    if (!peer || !peer.verified || peer.keyMismatch || !data || data.from !== peer.nickname) {
+      console.error('Ignoring history sync from', fromPeerKey);
+      return;
+    }
+    
+    switch (message.msgType) {
+      case MessageType.HISTORY_SUMMARY:
+        this.history.handleSummary(data, fromPeerKey);
+        break;
+      case MessageType.HISTORY_REQUEST:
+        this.history.handleRequest(data, fromPeerKey);
+        break;
+      case MessageType.HISTORY_RESPONSE:
+        this.history.handleResponse(data);
+        break;
+    }
+  }
+
+  /**
+   * Handle delivery acknowledgement
+   */
+  handleAck(message, fromPeerKey) {
+    const data = this.protocol.decodeJSONPayload(message);
+    if (!data || data.id === undefined || !data.from || !data.to) {
+      console.error('Invalid ACK from', fromPeerKey);
+      return;
+    }
+    
+    if (data.to !== this.nickname) {
+      this.routeDirectedMessage(message, data.to, fromPeerKey);
+      return;
+    }
+    
+    const entry = this.pendingAcks.get(data.id);
+    if (!entry || entry.reached.has(data.from)) return;
+    if (entry.recipient && entry.recipient !== data.from) return;
+    
+    entry.reached.add(data.from);
+    if (data.member !== false) {
+      entry.acks.add(data.from);
+    }
+    
+    if (!entry.settled && this.isAcknowledged(entry)) {
+      this.settlePending(entry);
+    }
+    
+    // Partial until every expected node answered; retransmits go on meanwhile
+    if (entry.acks.size > 0) {
+      this.emitMessageStatus(entry.id, 'delivered', entry.acks.size, this.expectedDeliveries(entry));
+    }
+  }
+
+  /**
+   * Handle routing update from a neighbour.
+   * Each update is the neighbour's full table, so routes through it that are
+   * no longer listed are withdrawn.
+   */
+  handleRoutingUpdate(message, fromPeerKey) {
+    const data = this.protocol.decodeJSONPayload(message);
+    const peer = this.links.get(fromPeerKey);
+    if (!peer || !data || !data.from || !Array.isArray(data.routes)) {
+      console.error('Invalid routing update from', fromPeerKey);
+      return;
+    }
+    
+    // A peer that sent a challenge is only heard once it has proven its key
+    if (peer.peerChallenge && !peer.nodeId) return;
+    
+    const now = Date.now();
+    let changed = false;
+    
+    peer.lastSeen = now;
+    if (!peer.nickname) {
+      peer.nickname = data.from;
+    }
+    
+    // Nothing is learned through a link whose identity doesn't check out
+    if (peer.nickname !== data.from || !this.checkPinnedKey(peer)) return;
+    
+    changed = this.setDirectRoute(data.from, fromPeerKey, false) || changed;
+    
+    const advertised = new Set();
+    data.routes.forEach(route => {
+      const { node, hops } = route;
+      if (!node || node === this.nickname || node === data.from || typeof hops !== 'number') return;
+      advertised.add(node);
+      
+      // Keys of remote nodes are learned on first sight; direct announcements win
+      if (route.signingKey && !this.e2e.hasPeerKey(node) && this.learnAnnouncedKey(node, route)) {
+        changed = true;
+      }
+      
+      const hopCount = Math.min(hops + 1, UNREACHABLE_HOPS);
+      const existing = this.routes.get(node);
+      
+      if (hopCount >= UNREACHABLE_HOPS) {
+        // Poisoned or too far: only withdraw a route that went through this neighbour
+        if (existing && existing.nextHop === fromPeerKey) {
+          this.routes.delete(node);
+          changed = true;
+        }
+        return;
+      }
+      
+      if (!existing || hopCount < existing.hopCount || existing.nextHop === fromPeerKey) {
+        if (!existing || existing.hopCount !== hopCount || existing.nextHop !== fromPeerKey) {
+          changed = true;
+        }
+        this.routes.set(node, { node, nextHop: fromPeerKey, hopCount, updatedAt: now });
+        this.knownNodes.add(node);
+      }
+    });
+    
+    this.routes.forEach((route, node) => {
+      if (route.nextHop === fromPeerKey && route.hopCount > 1 && !advertised.has(node)) {
+        this.routes.delete(node);
+        changed = true;
+      }
+    });
+    
+    if (changed) {
+      this.handleRoutesChanged();
+    }
+  }
+
+  /**
+   * Record a directly connected neighbour in the routing table.
+   * Returns true if the table changed; triggers an update unless told not to.
+   */
+  setDirectRoute(node, peerKey, notify = true) {
+    const existing = this.routes.get(node);
+    const changed = !existing || existing.hopCount !== 1 || existing.nextHop !== peerKey;
+    
+    this.routes.set(node, { node, nextHop: peerKey, hopCount: 1, updatedAt: Date.now() });
+    this.knownNodes.add(node);
+    
+    if (changed && notify) {
+      this.handleRoutesChanged();
+    }
+    return changed;
+  }
+
+  /**
+   * Propagate a routing table change immediately (triggered update)
+   */
+  handleRoutesChanged() {
+    this.sendRoutingUpdates();
+    this.flushOutboundQueue();
+    this.files.resume();
+    
+    if (this.onRoutesChanged) {
+      this.onRoutesChanged(this.getPeerList());
+    }
+  }
+
+  /**
+   * Send our routing table to every neighbour.
+   * Uses split horizon with poison reverse: routes learned from a neighbour
+   * are advertised back to it as unreachable.
+   */
+  sendRoutingUpdates() {
+    this.connections.forEach((connection, peerKey) => {
+      const routes = [];
+      this.routes.forEach(route => {
+        const announcement = this.announcements.get(route.node);
+        routes.push({
+          node: route.node,
+          hops: route.nextHop === peerKey ? UNREACHABLE_HOPS : route.hopCount,
+          publicKey: announcement?.publicKey,
+          signingKey: announcement?.signingKey,
+          timestamp: announcement?.timestamp,
+          signature: announcement?.signature
+        });
+      });
+      
+      const update = this.protocol.createRoutingUpdate(this.nickname, routes);
+      this.sendToPeer(update, peerKey);
+    });
+  }
+
+  /**
+   * Route a directed message towards its recipient.
+   * Follows the routing table when a next hop is known, otherwise relays to
+   * every other peer so it can still find the recipient.
+   */
+  routeDirectedMessage(message, recipient, fromPeerKey = null) {
+    if (fromPeerKey) {
+      // Relaying on behalf of another node costs one hop
+      if (message.ttl <= 0) return;
+      message.ttl -= 1;
+    }
+    
+    const route = this.routes.get(recipient);
+    if (route && route.nextHop !== fromPeerKey && this.connections.has(route.nextHop)) {
+      this.sendToPeer(message, route.nextHop);
+    } else {
+      this.forwardMessage(message, fromPeerKey);
+    }
+  }
+
+  /**
+   * Broadcast message to all connected peers
+   */
+  broadcastMessage(message) {
+    this.forwardMessage(message);
+  }
+
+  /**
+   * Forward message to peers (excluding specified peer)
+   */
+  forwardMessage(message, excludePeerKey = null) {
+    // Per peer, since compression is negotiated per link
+    this.connections.forEach((connection, peerKey) => {
+      if (peerKey !== excludePeerKey) {
+        this.sendToPeer(message, peerKey);
+      }
+    });
+  }
+
+  /**
+   * Send message to specific peer
+   */
+  sendToPeer(message, peerKey) {
+    const queue = this.sendQueues.get(peerKey);
+    if (!queue) return;
+    
+    const peer = this.links.get(peerKey);
+    const frames = this.protocol.fragment(message);
+    
+    // Older peers drop fragments they can't reassemble; don't fill their link with them
+    if (frames.length > 1 && !peer?.capabilities.has('fragments')) {
+      console.warn(`Not sending ${message.payload.length} byte message to ${peerKey}: peer cannot reassemble fragments`);
+      return;
+    }
+    
+    // Frames are serialized as the queue writes them, not all at once
+    queue.enqueue(frames, priorityOf(message.msgType), peer?.compression);
+  }
+
+  /**
+   * Send our peer announcement to a neighbour, ahead of queued chat
+   */
+  sendPeerAnnouncement(peerKey) {
+    const identity = {
+      nickname: this.nickname,
+      publicKey: this.e2e.publicKey,
+      signingKey: this.identity.signingKey,
+      timestamp: Date.now()
+    };
+    const peer = this.links.get(peerKey);
+    const announcement = this.protocol.createPeerAnnouncement({
+      ...identity,
+      signature: this.identity.signAnnouncement(identity),
+      // The signature above may be relayed; the proof only counts on this link
+      challenge: peer?.challenge,
+      proof: peer?.peerChallenge ? this.identity.signLinkProof(identity, peer.peerChallenge) : undefined,
+      version: PROTOCOL_VERSION,
+      minVersion: MIN_PROTOCOL_VERSION,
+      capabilities: CAPABILITIES,
+      // Still read by peers from before capability lists
+      compression: COMPRESSION_FORMAT
+    });
     
-    const serializedMessage = this.protocol.serialize(announcement);
-    const lengthBuffer = Buffer.allocUnsafe(4);
-    lengthBuffer.writeUInt32BE(serializedMessage.length, 0);
-    const fullMessage = Buffer.concat([lengthBuffer, Buffer.from(serializedMessage)]);
+    this.sendToPeer(announcement, peerKey);
+  }
+
+  /**
+   * Start periodic routing updates and expiry of routes that stopped being advertised
+   */
+  startRoutingTask() {
+    const tick = () => {
+      if (!this.isRunning) return;
+      
+      const now = Date.now();
+      let expired = false;
+      this.routes.forEach((route, node) => {
+        if (route.hopCount > 1 && now - route.updatedAt > ROUTE_EXPIRY) {
+          this.routes.delete(node);
+          expired = true;
+        }
+      });
+      
+      if (expired && this.onRoutesChanged) {
+        this.onRoutesChanged(this.getPeerList());
+      }
+      this.sendRoutingUpdates();
+      
+      this.routingTimer = setTimeout(tick, ROUTING_INTERVAL);
+    };
     
-    socket.write(fullMessage);
+    this.routingTimer = setTimeout(tick, ROUTING_INTERVAL);
   }
 
   /**
@@ -425,23 +2223,52 @@ export class P2PNetworkManager {
       if (!this.isRunning) return;
       
       const now = Date.now();
-      const staleThreshold = 5 * 60 * 1000; // 5 minutes
       
       const stalePeers = [];
-      this.peers.forEach((peer, key) => {
-        if (now - peer.lastSeen > staleThreshold) {
+      this.links.forEach((peer, key) => {
+        if (now - peer.lastSeen > STALE_PEER_THRESHOLD) {
           stalePeers.push(key);
         }
       });
       
+      // Heartbeats keep live links fresh, so these are dead; close the connection too
       stalePeers.forEach(peerKey => {
+        const connection = this.connections.get(peerKey);
         this.handlePeerDisconnect(peerKey);
+        if (connection) {
+          connection.close();
+        }
       });
       
+      this.expireOutboundQueue();
+      this.files.expireStalled();
+      this.reassembler.prune();
+      Object.values(this.rateLimits).forEach(limiter => limiter.prune());
+      this.bannedNodes.forEach((until, nodeId) => this.isNodeBanned(nodeId));
+      this.bannedAddresses.forEach((until, address) => this.isAddressBanned(address));
+      
       // Schedule next cleanup
-      setTimeout(cleanup, 60000); // Run every minute
+      this.cleanupTimer = setTimeout(cleanup, 60000); // Run every minute
+    };
+    
+    this.cleanupTimer = setTimeout(cleanup, 60000);
+  }
+
+  /**
+   * Ping every neighbour periodically to keep links alive and track RTT
+   */
+  startHeartbeatTask() {
+    const heartbeat = () => {
+      if (!this.isRunning) return;
+      
+      this.connections.forEach((connection, peerKey) => {
+        // Missed pongs are fine here, staleness is judged by lastSeen
+        this.pingPeer(peerKey).catch(() => {});
+      });
+      
+      this.heartbeatTimer = setTimeout(heartbeat, HEARTBEAT_INTERVAL);
     };
     
-    setTimeout(cleanup, 60000);
+    this.heartbeatTimer = setTimeout(heartbeat, HEARTBEAT_INTERVAL);
   }
 }
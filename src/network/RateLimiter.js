@@ -0,0 +1,115 @@
+/**
+ * Rate limiter
+ * Token buckets, one per key (a link, or the node that sent a message). Each
+ * bucket holds up to burst tokens and refills at rate tokens per second; a
+ * message takes one token and is dropped when there is none left.
+ *
+ * The first drop starts a throttling episode, which ends when the bucket
+ * lets a message through again. A key that keeps sending through an episode
+ * until banAfter messages were dropped is banned for banDuration.
+ */
+
+export const DEFAULT_RATE_LIMITS = {
+  connection: { rate: 500, burst: 1000 }, // any message on one link
+  control: { rate: 2, burst: 20 }, // pings, announcements and discovery on one link
+  origin: { rate: 10, burst: 50 }, // chat and private messages from one neighbour, or one claimed sender per link
+  banAfter: 100, // drops in one episode before a temporary ban
+  banDuration: 60000
+};
+
+export const Verdict = {
+  ALLOW: 'allow',
+  THROTTLE: 'throttle', // dropped, first in an episode
+  DROP: 'drop',
+  BAN: 'ban' // dropped, and the key is banned from now on
+};
+
+class TokenBucket {
+  constructor(rate, burst) {
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.refilledAt = Date.now();
+    this.dropped = 0; // in the current episode
+  }
+
+  take() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.refilledAt) / 1000) * this.rate);
+    this.refilledAt = now;
+
+    if (this.tokens < 1) return false;
+    this.tokens -= 1;
+    return true;
+  }
+
+  // A full bucket behaves like a new one and can be forgotten
+  get idle() {
+    return this.tokens + ((Date.now() - this.refilledAt) / 1000) * this.rate >= this.burst;
+  }
+}
+
+export class RateLimiter {
+  constructor({ rate, burst }, { banAfter = DEFAULT_RATE_LIMITS.banAfter, banDuration = DEFAULT_RATE_LIMITS.banDuration } = {}) {
+    this.rate = rate;
+    this.burst = burst;
+    this.banAfter = banAfter;
+    this.banDuration = banDuration;
+
+    this.buckets = new Map();
+    this.bans = new Map(); // key -> banned until
+    this.dropped = 0;
+  }
+
+  /**
+   * Count a message from key and say what to do with it. Keys that don't
+   * prove who sent the message pass canBan false: they are throttled, never banned.
+   */
+  check(key, canBan = true) {
+    if (this.isBanned(key)) {
+      this.dropped += 1;
+      return Verdict.DROP;
+    }
+
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = new TokenBucket(this.rate, this.burst);
+      this.buckets.set(key, bucket);
+    }
+
+    if (bucket.take()) {
+      bucket.dropped = 0;
+      return Verdict.ALLOW;
+    }
+
+    this.dropped += 1;
+    bucket.dropped += 1;
+    if (canBan && bucket.dropped >= this.banAfter) {
+      this.buckets.delete(key);
+      this.bans.set(key, Date.now() + this.banDuration);
+      return Verdict.BAN;
+    }
+    return bucket.dropped === 1 ? Verdict.THROTTLE : Verdict.DROP;
+  }
+
+  isBanned(key) {
+    const until = this.bans.get(key);
+    if (until === undefined) return false;
+    if (until > Date.now()) return true;
+
+    this.bans.delete(key);
+    return false;
+  }
+
+  /**
+   * Forget full buckets and expired bans
+   */
+  prune() {
+    this.buckets.forEach((bucket, key) => {
+      if (bucket.idle) {
+        this.buckets.delete(key);
+      }
+    });
+    this.bans.forEach((until, key) => this.isBanned(key));
+  }
+}
@@ -0,0 +1,161 @@
+/**
+ * Send queue
+ * Sits between the network manager and one transport connection. Messages
+ * are written while the connection accepts them and held while it reports a
+ * full buffer, until it drains. Held messages go out by priority: control
+ * messages first, then chat, then bulk transfers.
+ *
+ * Past HIGH_WATER queued bytes the peer is congested: new chat and bulk
+ * messages are dropped (their senders retransmit or re-request them) until
+ * the queue is back under LOW_WATER. A peer that stays congested for
+ * SLOW_PEER_TIMEOUT is reported through onSlowPeer.
+ */
+
+export const Priority = {
+  CONTROL: 0, // pings, ACKs, routing; never dropped
+  CHAT: 1,
+  BULK: 2 // file chunks and history
+};
+
+const HIGH_WATER = 2 * 1024 * 1024;
+const LOW_WATER = 512 * 1024;
+const SLOW_PEER_TIMEOUT = 30000;
+
+// Bytes written per turn of the event loop, so a large broadcast to many
+// peers doesn't block the UI while it is serialized and written
+const WRITE_BUDGET = 128 * 1024;
+
+export class SendQueue {
+  constructor(connection, protocol, { highWater = HIGH_WATER, lowWater = LOW_WATER, slowPeerTimeout = SLOW_PEER_TIMEOUT } = {}) {
+    this.connection = connection;
+    this.protocol = protocol;
+    this.highWater = highWater;
+    this.lowWater = lowWater;
+    this.slowPeerTimeout = slowPeerTimeout;
+
+    // One FIFO per priority, items: { frames, next, compression }
+    this.queues = Object.values(Priority).map(() => []);
+    this.queuedBytes = 0;
+    this.blocked = false; // connection buffer is full, wait for onDrain
+    this.congested = false;
+    this.congestedTimer = null;
+    this.writeTimer = null;
+    this.closed = false;
+
+    // Counters
+    this.sent = 0;
+    this.dropped = 0;
+
+    // Event callbacks
+    this.onSlowPeer = null;
+
+    connection.onDrain = () => {
+      this.blocked = false;
+      this.flush();
+    };
+  }
+
+  /**
+   * Queue a message, already split into wire frames, and send what the
+   * connection accepts right away. Returns false if the message was dropped
+   * because the peer is congested.
+   */
+  enqueue(frames, priority = Priority.CHAT, compression = false) {
+    if (this.closed) return false;
+
+    if (this.congested && priority !== Priority.CONTROL) {
+      this.dropped += 1;
+      return false;
+    }
+
+    this.queues[priority].push({ frames, next: 0, compression });
+    this.queuedBytes += frames.reduce((total, frame) => total + this.protocol.HEADER_SIZE + frame.payload.length, 0);
+    this.updateCongestion();
+
+    this.flush();
+    return true;
+  }
+
+  /**
+   * Write queued frames, highest priority first, until the connection is
+   * full, the queue is empty or this turn's budget is used up
+   */
+  flush() {
+    if (this.closed || this.blocked || this.writeTimer) return;
+
+    let written = 0;
+    while (!this.blocked && written < WRITE_BUDGET) {
+      const queue = this.queues.find(items => items.length > 0);
+      if (!queue) break;
+
+      // A control message may go out between the fragments of a large one
+      const item = queue[0];
+      const frame = item.frames[item.next];
+      item.next += 1;
+      if (item.next === item.frames.length) {
+        queue.shift();
+        this.sent += 1;
+      }
+
+      const frameBytes = this.protocol.HEADER_SIZE + frame.payload.length;
+      this.queuedBytes -= frameBytes;
+      written += frameBytes;
+
+      try {
+        this.blocked = this.connection.send(this.protocol.serialize(frame, item.compression)) === false;
+      } catch (error) {
+        console.error('Failed to send frame:', error);
+      }
+    }
+    this.updateCongestion();
+
+    // Out of budget: carry on after the event loop had a turn
+    if (!this.blocked && this.queuedBytes > 0) {
+      this.writeTimer = setTimeout(() => {
+        this.writeTimer = null;
+        this.flush();
+      }, 0);
+    }
+  }
+
+  /**
+   * Enter congestion at the high-water mark, leave it at the low-water mark,
+   * and report the peer as slow if it stays congested
+   */
+  updateCongestion() {
+    if (!this.congested && this.queuedBytes >= this.highWater) {
+      this.congested = true;
+      console.warn(`Send queue for ${this.connection.remoteAddress}:${this.connection.remotePort} is full, dropping chat and bulk messages`);
+      this.congestedTimer = setTimeout(() => {
+        if (this.onSlowPeer) {
+          this.onSlowPeer();
+        }
+      }, this.slowPeerTimeout);
+    } else if (this.congested && this.queuedBytes <= this.lowWater) {
+      this.congested = false;
+      clearTimeout(this.congestedTimer);
+      this.congestedTimer = null;
+    }
+  }
+
+  /**
+   * Drop everything queued and stop writing, e.g. when the connection closed
+   */
+  close() {
+    this.closed = true;
+    clearTimeout(this.congestedTimer);
+    clearTimeout(this.writeTimer);
+    this.queues.forEach(queue => queue.splice(0));
+    this.queuedBytes = 0;
+    this.connection.onDrain = null;
+  }
+
+  getStats() {
+    return {
+      queuedBytes: this.queuedBytes,
+      congested: this.congested,
+      sent: this.sent,
+      dropped: this.dropped
+    };
+  }
+}
@@ -0,0 +1,16 @@
+/**
+ * Platform services for the React Native app
+ */
+
+import TcpSocket from 'react-native-tcp-socket';
+import dgram from 'react-native-udp';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import RNFS from 'react-native-fs';
+import { TcpTransport } from '../transport/TcpTransport.js';
+
+export const nativePlatform = {
+  transport: new TcpTransport(TcpSocket),
+  storage: AsyncStorage,
+  fs: RNFS,
+  udp: dgram,
+};
@@ -0,0 +1,17 @@
+/**
+ * Platform services for the Expo web build, which Metro picks over native.js
+ *
+ * Browsers have no TCP or UDP sockets and no file system: the node dials
+ * peers over WebSockets, LAN discovery is unavailable and files can't be
+ * received.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { WebSocketTransport } from '../transport/WebSocketTransport.js';
+
+export const nativePlatform = {
+  transport: new WebSocketTransport(),
+  storage: AsyncStorage,
+  fs: null,
+  udp: null,
+};
@@ -0,0 +1,160 @@
+/**
+ * Platform services for running a node headless under Node.js
+ *
+ * Everything the app keeps in AsyncStorage and the document directory goes
+ * into one data directory, so several nodes can run side by side on one
+ * machine with different directories.
+ */
+
+import net from 'net';
+import dgram from 'dgram';
+import { promises as fsp } from 'fs';
+import path from 'path';
+import { TcpTransport } from '../transport/TcpTransport.js';
+
+/**
+ * Key-value store with the AsyncStorage API, saved as a JSON file
+ */
+export class FileStorage {
+  constructor(file) {
+    this.file = file;
+    this.items = null;
+    this.loading = null;
+    this.writing = Promise.resolve();
+    // setItem and removeItem calls that haven't settled, see flush
+    this.pending = new Set();
+  }
+
+  // Read once, shared by calls made while the read is in progress
+  load() {
+    if (!this.loading) {
+      this.loading = fsp.readFile(this.file, 'utf8')
+        .then(text => JSON.parse(text))
+        .catch(error => {
+          if (error.code !== 'ENOENT') {
+            console.error('Failed to read storage file:', error);
+          }
+          return {};
+        })
+        .then(items => {
+          this.items = items;
+          return items;
+        });
+    }
+    return this.loading;
+  }
+
+  // Writes are chained so an older snapshot never overwrites a newer one
+  save() {
+    const snapshot = JSON.stringify(this.items);
+    this.writing = this.writing
+      .catch(() => {}) // the caller of the failed write was told
+      .then(() => fsp.mkdir(path.dirname(this.file), { recursive: true }))
+      .then(() => fsp.writeFile(this.file, snapshot));
+    return this.writing;
+  }
+
+  async getItem(key) {
+    const items = await this.load();
+    return key in items ? items[key] : null;
+  }
+
+  setItem(key, value) {
+    return this.track(this.load().then(items => {
+      items[key] = value;
+      return this.save();
+    }));
+  }
+
+  removeItem(key) {
+    return this.track(this.load().then(items => {
+      delete items[key];
+      return this.save();
+    }));
+  }
+
+  track(operation) {
+    this.pending.add(operation);
+    const settled = () => this.pending.delete(operation);
+    operation.then(settled, settled);
+    return operation;
+  }
+
+  /**
+   * Resolves once every change made so far is written (or failed to be),
+   * for callers about to exit the process
+   */
+  async flush() {
+    await Promise.allSettled([...this.pending]);
+  }
+}
+
+/**
+ * The part of the react-native-fs API used by FileTransferManager
+ */
+export class NodeFileSystem {
+  constructor(documentDirectory) {
+    this.DocumentDirectoryPath = documentDirectory;
+  }
+
+  async exists(file) {
+    try {
+      await fsp.access(file);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async mkdir(directory) {
+    await fsp.mkdir(directory, { recursive: true });
+  }
+
+  async stat(file) {
+    const stats = await fsp.stat(file);
+    return { size: stats.size, isFile: () => stats.isFile(), isDirectory: () => stats.isDirectory() };
+  }
+
+  async writeFile(file, contents, encoding = 'utf8') {
+    await fsp.writeFile(file, Buffer.from(contents, encoding));
+  }
+
+  async write(file, contents, position, encoding = 'utf8') {
+    const handle = await fsp.open(file, 'r+');
+    try {
+      await handle.write(Buffer.from(contents, encoding), 0, undefined, position);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async read(file, length, position, encoding = 'utf8') {
+    const handle = await fsp.open(file, 'r');
+    try {
+      const buffer = Buffer.alloc(length);
+      const { bytesRead } = await handle.read(buffer, 0, length, position);
+      return buffer.subarray(0, bytesRead).toString(encoding);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async moveFile(from, to) {
+    await fsp.rename(from, to);
+  }
+
+  async unlink(file) {
+    await fsp.rm(file, { recursive: true });
+  }
+}
+
+/**
+ * Platform services keeping this node's state in dataDirectory; links use
+ * TCP unless another transport is given
+ */
+export const createNodePlatform = (dataDirectory, transport = new TcpTransport(net)) => ({
+  transport,
+  storage: new FileStorage(path.join(dataDirectory, 'storage.json')),
+  fs: new NodeFileSystem(dataDirectory),
+  udp: dgram,
+});
@@ -0,0 +1,152 @@
+/**
+ * Payload compression for the P2P protocol
+ *
+ * Implements the LZ4 block format in plain JavaScript: fast, no dependencies,
+ * and good at the repetitive text (pasted logs, JSON routing tables) chat sends.
+ */
+
+const MIN_MATCH = 4;
+const MAX_OFFSET = 65535;
+const LAST_LITERALS = 5; // the block must end with at least 5 literals
+const MF_LIMIT = 12; // no match may start within the last 12 bytes
+const HASH_LOG = 12;
+
+const read32 = (bytes, i) =>
+  bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16) | (bytes[i + 3] << 24);
+
+const hash = (sequence) => Math.imul(sequence, 2654435761) >>> (32 - HASH_LOG);
+
+// Lengths above 15 continue in extra bytes of 255 until a smaller byte
+const writeLength = (out, op, length) => {
+  while (length >= 255) {
+    out[op++] = 255;
+    length -= 255;
+  }
+  out[op++] = length;
+  return op;
+};
+
+const readLength = (input, ip, length) => {
+  let byte;
+  do {
+    if (ip >= input.length) {
+      throw new Error('Truncated compressed payload');
+    }
+    byte = input[ip++];
+    length += byte;
+  } while (byte === 255);
+  return { ip, length };
+};
+
+const writeSequence = (out, op, input, anchor, literalLength, offset, matchLength) => {
+  const matchCode = matchLength > 0 ? matchLength - MIN_MATCH : 0;
+  out[op++] = (Math.min(literalLength, 15) << 4) | Math.min(matchCode, 15);
+
+  if (literalLength >= 15) {
+    op = writeLength(out, op, literalLength - 15);
+  }
+  out.set(input.subarray(anchor, anchor + literalLength), op);
+  op += literalLength;
+
+  if (matchLength > 0) {
+    out[op++] = offset & 0xFF;
+    out[op++] = offset >>> 8;
+    if (matchCode >= 15) {
+      op = writeLength(out, op, matchCode - 15);
+    }
+  }
+  return op;
+};
+
+/**
+ * Compress bytes into an LZ4 block
+ */
+export const compress = (input) => {
+  const length = input.length;
+  const out = new Uint8Array(length + Math.ceil(length / 255) + 16);
+  const table = new Int32Array(1 << HASH_LOG).fill(-1);
+  const matchLimit = length - LAST_LITERALS;
+
+  let op = 0;
+  let ip = 0;
+  let anchor = 0;
+
+  while (ip < length - MF_LIMIT) {
+    const sequence = read32(input, ip);
+    const slot = hash(sequence);
+    const ref = table[slot];
+    table[slot] = ip;
+    
+    if (ref < 0 || ip - ref > MAX_OFFSET || read32(input, ref) !== sequence) {
+      ip++;
+      continue;
+    }
+    
+    let matchLength = MIN_MATCH;
+    while (ip + matchLength < matchLimit && input[ref + matchLength] === input[ip + matchLength]) {
+      matchLength++;
+    }
+    
+    op = writeSequence(out, op, input, anchor, ip - anchor, ip - ref, matchLength);
+    ip += matchLength;
+    anchor = ip;
+  }
+
+  // Remaining bytes go out as a final literal-only sequence
+  op = writeSequence(out, op, input, anchor, length - anchor, 0, 0);
+  return out.slice(0, op);
+};
+
+/**
+ * Decompress an LZ4 block. Throws on malformed input or if the
+ * output would exceed maxSize bytes.
+ */
+export const decompress = (input, maxSize) => {
+  const out = new Uint8Array(maxSize);
+  let op = 0;
+  let ip = 0;
+
+  while (ip < input.length) {
+    const token = input[ip++];
+    
+    let literalLength = token >>> 4;
+    if (literalLength === 15) {
+      ({ ip, length: literalLength } = readLength(input, ip, literalLength));
+    }
+    if (ip + literalLength > input.length || op + literalLength > maxSize) {
+      throw new Error('Corrupt compressed payload');
+    }
+    out.set(input.subarray(ip, ip + literalLength), op);
+    ip += literalLength;
+    op += literalLength;
+    
+    // The last sequence has literals only
+    if (ip === input.length) break;
+    
+    if (ip + 2 > input.length) {
+      throw new Error('Truncated compressed payload');
+    }
+    const offset = input[ip] | (input[ip + 1] << 8);
+    ip += 2;
+    if (offset === 0 || offset > op) {
+      throw new Error('Corrupt compressed payload');
+    }
+    
+    let matchLength = token & 15;
+    if (matchLength === 15) {
+      ({ ip, length: matchLength } = readLength(input, ip, matchLength));
+    }
+    matchLength += MIN_MATCH;
+    if (op + matchLength > maxSize) {
+      throw new Error('Decompressed payload too large');
+    }
+    
+    // Byte by byte, matches may overlap the bytes they produce
+    for (let i = 0; i < matchLength; i++) {
+      out[op] = out[op - offset];
+      op++;
+    }
+  }
+
+  return out.slice(0, op);
+};
@@ -0,0 +1,231 @@
+/**
+ * Dedup cache
+ * Remembers which messages were already handled, keyed by (origin, sequence),
+ * so copies flooded back through the mesh are dropped. Entries expire after
+ * DEDUP_TTL instead of being evicted in bulk.
+ *
+ * - 'exact' keeps every key, with fingerprints of the payloads seen under it.
+ *   A repeat with a different fingerprint is a collision (two messages that
+ *   share an id) and is let through instead of silently dropped.
+ * - 'bloom' keeps two rotating Bloom filters of fixed size, for phones short
+ *   on memory. The fingerprint is part of the key there, so a different
+ *   payload under a seen id isn't dropped, but collisions can't be counted.
+ *   It has rare false positives, whose estimated rate is reported in the stats.
+ */
+
+export const DEDUP_TTL = 10 * 60 * 1000; // longer than any retransmit or queue timeout
+const MAX_ENTRIES = 20000; // exact mode: oldest keys make way beyond this
+const BLOOM_BITS = 1 << 17; // per filter, 16 KB
+const BLOOM_HASHES = 4;
+const BLOOM_CAPACITY = 10000; // keys per filter before it is rotated early
+
+/**
+ * 32-bit FNV-1a hash of a string or byte array
+ */
+const fnv1a = (data, seed = 0x811c9dc5) => {
+  let hash = seed;
+  const text = typeof data === 'string';
+  for (let i = 0; i < data.length; i++) {
+    hash ^= text ? data.charCodeAt(i) : data[i];
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// MurmurHash3 finalizer: spreads FNV's output over all bits, so positions
+// derived from similar keys (sequence numbers) don't cluster
+const mix = (hash) => {
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+};
+
+/**
+ * Fingerprint of a payload, to tell a repeated message from a different one
+ * that happens to carry the same id
+ */
+export const fingerprintPayload = (payload) => fnv1a(payload);
+
+class BloomFilter {
+  constructor(bits, hashes) {
+    this.bits = new Uint8Array(bits >>> 3);
+    this.size = bits;
+    this.hashes = hashes;
+    this.count = 0; // keys added
+    this.setBits = 0;
+    this.createdAt = Date.now();
+  }
+
+  // Double hashing: position i is h1 + i * h2
+  positions(key) {
+    const hash = fnv1a(key);
+    const h1 = mix(hash);
+    const h2 = mix(hash ^ 0x9747b28c) | 1;
+    return Array.from({ length: this.hashes }, (_, i) => ((h1 + Math.imul(i, h2)) >>> 0) % this.size);
+  }
+
+  has(key) {
+    return this.positions(key).every(bit => this.bits[bit >>> 3] & (1 << (bit & 7)));
+  }
+
+  add(key) {
+    this.positions(key).forEach(bit => {
+      const mask = 1 << (bit & 7);
+      if (!(this.bits[bit >>> 3] & mask)) {
+        this.bits[bit >>> 3] |= mask;
+        this.setBits += 1;
+      }
+    });
+    this.count += 1;
+  }
+
+  // Chance that a key never added is reported as present
+  get falsePositiveRate() {
+    return Math.pow(this.setBits / this.size, this.hashes);
+  }
+}
+
+export class DedupCache {
+  constructor({ mode = 'exact', ttl = DEDUP_TTL, maxEntries = MAX_ENTRIES } = {}) {
+    if (mode !== 'exact' && mode !== 'bloom') {
+      throw new Error(`Unknown dedup mode: ${mode}`);
+    }
+
+    this.mode = mode;
+    this.ttl = ttl;
+    this.maxEntries = maxEntries;
+
+    // Exact mode, oldest first. key: "origin:sequence", value: { seenAt, fingerprints }
+    this.entries = new Map();
+
+    // Bloom mode: keys are looked up in both, added to the current one, and
+    // the previous one is dropped when the current one is ttl / 2 old
+    this.current = null;
+    this.previous = null;
+
+    this.checks = 0;
+    this.hits = 0; // copies dropped
+    this.collisions = 0; // different payloads under a key already seen
+    this.evictions = 0; // keys dropped before they expired
+
+    this.clear();
+  }
+
+  /**
+   * Record a message. Returns true if it was already seen, false if it is new
+   * (or, in exact mode, a different payload reusing a known key).
+   * fingerprint is optional; without one any repeat of the key counts as seen.
+   */
+  check(origin, sequence, fingerprint = null) {
+    const key = `${origin}:${sequence}`;
+    this.checks += 1;
+
+    const seen = this.mode === 'bloom'
+      ? this.checkBloom(fingerprint === null ? key : `${key}:${fingerprint}`)
+      : this.checkExact(key, fingerprint);
+    if (seen) {
+      this.hits += 1;
+    }
+    return seen;
+  }
+
+  checkExact(key, fingerprint) {
+    this.expire();
+
+    const entry = this.entries.get(key);
+    if (entry) {
+      if (fingerprint === null || entry.fingerprints.length === 0 || entry.fingerprints.includes(fingerprint)) {
+        return true;
+      }
+
+      // Remember this payload too, so its own copies are still dropped
+      this.collisions += 1;
+      entry.fingerprints.push(fingerprint);
+      return false;
+    }
+
+    this.entries.set(key, { seenAt: Date.now(), fingerprints: fingerprint === null ? [] : [fingerprint] });
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions += 1;
+    }
+    return false;
+  }
+
+  checkBloom(key) {
+    this.rotate();
+
+    if (this.current.has(key) || (this.previous && this.previous.has(key))) {
+      return true;
+    }
+    this.current.add(key);
+    return false;
+  }
+
+  /**
+   * Drop exact-mode entries older than the ttl
+   */
+  expire() {
+    const cutoff = Date.now() - this.ttl;
+    for (const [key, entry] of this.entries) {
+      if (entry.seenAt > cutoff) break;
+      this.entries.delete(key);
+    }
+  }
+
+  /**
+   * Start a new Bloom filter once the current one is half a ttl old or full
+   */
+  rotate() {
+    if (Date.now() - this.current.createdAt < this.ttl / 2 && this.current.count < BLOOM_CAPACITY) {
+      return;
+    }
+
+    if (this.previous && this.current.count >= BLOOM_CAPACITY) {
+      this.evictions += this.previous.count;
+    }
+    this.previous = this.current;
+    this.current = new BloomFilter(BLOOM_BITS, BLOOM_HASHES);
+  }
+
+  /**
+   * Forget everything seen; counters are kept
+   */
+  clear() {
+    this.entries.clear();
+    this.current = this.mode === 'bloom' ? new BloomFilter(BLOOM_BITS, BLOOM_HASHES) : null;
+    this.previous = null;
+  }
+
+  /**
+   * Counters and rates for diagnostics
+   */
+  getStats() {
+    let size;
+    let falsePositiveRate = 0;
+    if (this.mode === 'bloom') {
+      this.rotate();
+      size = this.current.count + (this.previous ? this.previous.count : 0);
+      const previousRate = this.previous ? this.previous.falsePositiveRate : 0;
+      falsePositiveRate = 1 - (1 - this.current.falsePositiveRate) * (1 - previousRate);
+    } else {
+      this.expire();
+      size = this.entries.size;
+    }
+
+    return {
+      mode: this.mode,
+      size,
+      checks: this.checks,
+      hits: this.hits,
+      collisions: this.collisions,
+      evictions: this.evictions,
+      hitRate: this.checks > 0 ? this.hits / this.checks : 0,
+      collisionRate: this.checks > 0 ? this.collisions / this.checks : 0,
+      falsePositiveRate
+    };
+  }
+}
@@ -3,6 +3,10 @@
  * Implements the same binary protocol as the Python version
  */
 
+import { randomBytes } from '@noble/hashes/utils';
+import { compress, decompress } from './Compression.js';
+import { DedupCache, DEDUP_TTL, fingerprintPayload } from './DedupCache.js';
+
 export const MessageType = {
   PING: 0x01,
   PONG: 0x02,
@@ -12,15 +16,74 @@ export const MessageType = {
   PRIVATE_MESSAGE: 0x06,
   ROUTING_UPDATE: 0x07,
   ACK: 0x08,
+  FILE_OFFER: 0x09,
+  FILE_CHUNK: 0x0A,
+  FILE_REQUEST: 0x0B,
+  FRAGMENT: 0x0C,
+  HISTORY_SUMMARY: 0x0D,
+  HISTORY_REQUEST: 0x0E,
+  HISTORY_RESPONSE: 0x0F,
 };
 
+// High bit of the type byte marks a compressed payload. Only set towards peers
+// that advertised COMPRESSION_FORMAT in their announcement.
+const COMPRESSED_FLAG = 0x80;
+export const COMPRESSION_FORMAT = 'lz4';
+const COMPRESSION_THRESHOLD = 256; // bytes; smaller payloads are not worth it
+
+// Version of what travels inside the header; the header itself never changes,
+// so the Python peers keep working. Nodes announce the version they speak and
+// the oldest one they still accept. Announcements without one are version 1.
+export const PROTOCOL_VERSION = 2;
+export const MIN_PROTOCOL_VERSION = 1;
+
+// Optional features this node supports, announced to its neighbours
+export const CAPABILITIES = [COMPRESSION_FORMAT, 'e2e', 'fragments', 'files', 'channels', 'history'];
+
+// Payloads above the 16-bit wire limit travel as FRAGMENT messages:
+// [OriginalType:1][GroupID:4][Index:2][Count:2][Data], where the group id is
+// the original message id. Fragments are reassembled at every hop.
+export const MAX_MESSAGE_SIZE = 1024 * 1024;
+const MAX_WIRE_PAYLOAD = 65535;
+const HEADER_SIZE = 8; // Type(1) + TTL(1) + ID(4) + Length(2)
+const FRAGMENT_HEADER_SIZE = 9;
+const FRAGMENT_DATA_SIZE = 60000;
+const MAX_FRAGMENTS = Math.ceil(MAX_MESSAGE_SIZE / FRAGMENT_DATA_SIZE);
+const REASSEMBLY_TIMEOUT = 30000; // ms to wait for the rest of a group
+const MAX_REASSEMBLY_BYTES = 4 * MAX_MESSAGE_SIZE; // buffered across all groups
+
+// Largest valid frame; transports refuse longer ones before buffering them
+export const MAX_FRAME_SIZE = HEADER_SIZE + MAX_WIRE_PAYLOAD;
+
+const KNOWN_TYPES = new Set(Object.values(MessageType));
+
+// Types whose JSON payload names the node that wrote them in `from`
+const SENDER_TYPES = new Set([
+  MessageType.CHAT_MESSAGE,
+  MessageType.PRIVATE_MESSAGE,
+  MessageType.ACK,
+  MessageType.FILE_OFFER,
+  MessageType.FILE_CHUNK,
+  MessageType.FILE_REQUEST,
+]);
+
+/**
+ * Thrown for bytes from a peer that don't follow the protocol
+ */
+export class ProtocolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProtocolError';
+  }
+}
+
 export class Message {
   constructor(msgType, ttl, msgId, payload) {
     if (ttl < 0 || ttl > 7) {
       throw new Error('TTL must be between 0 and 7');
     }
-    if (payload.length > 65535) {
-      throw new Error('Payload too large (max 65535 bytes)');
+    if (payload.length > MAX_MESSAGE_SIZE) {
+      throw new Error(`Message too large (max ${MAX_MESSAGE_SIZE} bytes)`);
     }
     
     this.msgType = msgType;
@@ -30,20 +93,206 @@ export class Message {
   }
 }
 
+/**
+ * Collects FRAGMENT messages per link and rebuilds the original message.
+ * Incomplete groups are dropped after REASSEMBLY_TIMEOUT, and the oldest
+ * groups make way when buffered fragments exceed MAX_REASSEMBLY_BYTES.
+ */
+export class FragmentReassembler {
+  constructor() {
+    this.groups = new Map(); // key: "link:groupId", value: { msgType, ttl, count, parts, received, bytes, startedAt }
+    this.bufferedBytes = 0;
+  }
+
+  /**
+   * Add a fragment received on a link.
+   * Returns the reassembled Message once all fragments are in, otherwise null.
+   * Throws a ProtocolError for a malformed fragment.
+   */
+  add(fragment, link) {
+    this.prune();
+    
+    const data = fragment.payload;
+    if (data.length <= FRAGMENT_HEADER_SIZE) {
+      throw new ProtocolError(`Fragment of ${data.length} bytes carries no data`);
+    }
+    
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const msgType = view.getUint8(0);
+    const groupId = view.getUint32(1, false);
+    const index = view.getUint16(5, false);
+    const count = view.getUint16(7, false);
+    if (count < 2 || count > MAX_FRAGMENTS || index >= count) {
+      throw new ProtocolError(`Fragment ${index} of ${count} is out of range`);
+    }
+    if (!KNOWN_TYPES.has(msgType) || msgType === MessageType.FRAGMENT) {
+      throw new ProtocolError(`Fragment of unknown or nested type 0x${msgType.toString(16)}`);
+    }
+    
+    const key = `${link}:${groupId}`;
+    let group = this.groups.get(key);
+    if (!group) {
+      group = {
+        msgType,
+        ttl: fragment.ttl,
+        count,
+        parts: new Array(count),
+        received: 0,
+        bytes: 0,
+        startedAt: Date.now()
+      };
+      this.groups.set(key, group);
+    }
+    if (group.count !== count || group.msgType !== msgType) {
+      throw new ProtocolError(`Fragment ${index} does not match the rest of group ${groupId}`);
+    }
+    if (group.parts[index]) {
+      return null;
+    }
+    
+    const part = data.slice(FRAGMENT_HEADER_SIZE);
+    if (group.bytes + part.length > MAX_MESSAGE_SIZE) {
+      this.drop(key);
+      throw new ProtocolError(`Fragment group ${groupId} exceeds ${MAX_MESSAGE_SIZE} bytes`);
+    }
+    
+    group.parts[index] = part;
+    group.received += 1;
+    group.bytes += part.length;
+    this.bufferedBytes += part.length;
+    
+    if (group.received < group.count) {
+      this.enforceMemoryLimit(key);
+      return null;
+    }
+    
+    this.drop(key);
+    const payload = new Uint8Array(group.bytes);
+    let offset = 0;
+    group.parts.forEach(p => {
+      payload.set(p, offset);
+      offset += p.length;
+    });
+    
+    try {
+      return new Message(group.msgType, group.ttl, groupId, payload);
+    } catch (error) {
+      console.error('Error reassembling message:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Drop groups that have been incomplete for too long
+   */
+  prune() {
+    const now = Date.now();
+    this.groups.forEach((group, key) => {
+      if (now - group.startedAt > REASSEMBLY_TIMEOUT) {
+        this.drop(key);
+      }
+    });
+  }
+
+  /**
+   * Evict the oldest groups (never the one just added to) while over the limit
+   */
+  enforceMemoryLimit(keepKey) {
+    for (const key of this.groups.keys()) {
+      if (this.bufferedBytes <= MAX_REASSEMBLY_BYTES) break;
+      if (key !== keepKey) {
+        this.drop(key);
+      }
+    }
+  }
+
+  drop(key) {
+    const group = this.groups.get(key);
+    if (group) {
+      this.bufferedBytes -= group.bytes;
+      this.groups.delete(key);
+    }
+  }
+
+  /**
+   * Forget everything buffered for a link, e.g. when it disconnects
+   */
+  dropLink(link) {
+    Array.from(this.groups.keys())
+      .filter(key => key.startsWith(`${link}:`))
+      .forEach(key => this.drop(key));
+  }
+}
+
+const randomUint16 = () => {
+  const bytes = randomBytes(2);
+  return (bytes[0] << 8) | bytes[1];
+};
+
 export class P2PProtocol {
-  constructor(enableCompression = false) {
+  /**
+   * dedupMode is 'exact' or 'bloom', see DedupCache
+   */
+  constructor(enableCompression = false, { dedupMode = 'exact' } = {}) {
     this.enableCompression = enableCompression;
-    this.messageCache = new Set(); // For deduplication
-    this.HEADER_SIZE = 8; // Type(1) + TTL(1) + ID(4) + Length(2)
-    this.MAX_PAYLOAD_SIZE = 65535;
+    this.dedup = new DedupCache({ mode: dedupMode });
+    
+    // Message ids are [origin:16][sequence:16], see generateMessageId
+    this.originTag = randomUint16();
+    this.sequence = randomUint16();
+    // Origin tags seen within DEDUP_TTL, oldest first. key: tag, value: last seen
+    this.originsSeen = new Map();
+    this.HEADER_SIZE = HEADER_SIZE;
+    this.MAX_PAYLOAD_SIZE = MAX_WIRE_PAYLOAD;
   }
 
   /**
-   * Serialize a message to binary format
+   * Split a message into wire-sized messages. Messages that fit are returned
+   * as they are; larger ones become FRAGMENT messages sharing the original
+   * message id as their group id.
    */
-  serialize(message) {
-    const payload = message.payload;
-    const msgType = message.msgType;
+  fragment(message) {
+    if (message.payload.length <= this.MAX_PAYLOAD_SIZE) {
+      return [message];
+    }
+    
+    const count = Math.ceil(message.payload.length / FRAGMENT_DATA_SIZE);
+    const fragments = [];
+    for (let index = 0; index < count; index++) {
+      const data = message.payload.subarray(index * FRAGMENT_DATA_SIZE, (index + 1) * FRAGMENT_DATA_SIZE);
+      const payload = new Uint8Array(FRAGMENT_HEADER_SIZE + data.length);
+      const view = new DataView(payload.buffer);
+      view.setUint8(0, message.msgType);
+      view.setUint32(1, message.msgId >>> 0, false);
+      view.setUint16(5, index, false);
+      view.setUint16(7, count, false);
+      payload.set(data, FRAGMENT_HEADER_SIZE);
+      
+      fragments.push(new Message(MessageType.FRAGMENT, message.ttl, this.generateMessageId(), payload));
+    }
+    return fragments;
+  }
+
+  /**
+   * Serialize a message to binary format.
+   * With useCompression (the receiving peer supports it), large payloads are
+   * compressed if that makes them smaller.
+   */
+  serialize(message, useCompression = false) {
+    let payload = message.payload;
+    let msgType = message.msgType;
+    
+    if (payload.length > this.MAX_PAYLOAD_SIZE) {
+      throw new Error('Payload too large for one frame, fragment the message first');
+    }
+    
+    if (useCompression && this.enableCompression && payload.length >= COMPRESSION_THRESHOLD) {
+      const compressed = this.compressPayload(payload);
+      if (compressed.length < payload.length) {
+        payload = compressed;
+        msgType |= COMPRESSED_FLAG;
+      }
+    }
     
     // Create header buffer: Type(1) + TTL(1) + ID(4) + Length(2)
     const headerBuffer = new ArrayBuffer(this.HEADER_SIZE);
@@ -63,71 +312,145 @@ export class P2PProtocol {
   }
 
   /**
-   * Deserialize binary data to a message
+   * Parse one frame. Throws a ProtocolError if it is shorter than its header
+   * or declared length, has an unknown type or a TTL above 7, or carries a
+   * compressed payload that doesn't decompress. Bytes after the declared
+   * payload are ignored.
    */
-  deserialize(data) {
-    if (data.length < this.HEADER_SIZE) {
-      return null;
+  parse(data) {
+    if (data.length < HEADER_SIZE) {
+      throw new ProtocolError(`Frame of ${data.length} bytes is shorter than the header`);
     }
 
-    const view = new DataView(data.buffer || data);
+    // data may be a view into a larger buffer, e.g. a Buffer from Node's pool
+    const view = data.buffer
+      ? new DataView(data.buffer, data.byteOffset, data.byteLength)
+      : new DataView(data);
     
-    const msgType = view.getUint8(0);
+    const typeByte = view.getUint8(0);
+    const msgType = typeByte & ~COMPRESSED_FLAG;
     const ttl = view.getUint8(1);
     const msgId = view.getUint32(2, false); // Big-endian
     const payloadLength = view.getUint16(6, false); // Big-endian
     
-    if (data.length < this.HEADER_SIZE + payloadLength) {
-      return null;
+    if (data.length < HEADER_SIZE + payloadLength) {
+      throw new ProtocolError(`Frame declares ${payloadLength} payload bytes but carries ${data.length - HEADER_SIZE}`);
+    }
+    if (!KNOWN_TYPES.has(msgType)) {
+      throw new ProtocolError(`Unknown message type 0x${msgType.toString(16)}`);
+    }
+    if (ttl > 7) {
+      throw new ProtocolError(`Invalid TTL ${ttl}`);
     }
     
-    const payload = new Uint8Array(data.slice(this.HEADER_SIZE, this.HEADER_SIZE + payloadLength));
-    
+    let payload = new Uint8Array(data.slice(HEADER_SIZE, HEADER_SIZE + payloadLength));
+    if (typeByte & COMPRESSED_FLAG) {
+      try {
+        payload = decompress(payload, this.MAX_PAYLOAD_SIZE);
+      } catch (error) {
+        throw new ProtocolError(`Bad compressed payload: ${error.message}`);
+      }
+    }
+    return new Message(msgType, ttl, msgId, payload);
+  }
+
+  /**
+   * Parse one frame, or return null if it is malformed
+   */
+  deserialize(data) {
     try {
-      return new Message(msgType, ttl, msgId, payload);
+      return this.parse(data);
     } catch (error) {
-      console.error('Error creating message:', error);
-      return null;
+      if (error instanceof ProtocolError) {
+        return null;
+      }
+      throw error;
     }
   }
 
   /**
-   * Generate a unique message ID
+   * Compress a payload, falling back to the original if compression fails
    */
-  generateMessageId(content = '') {
-    const timestamp = Date.now() & 0xFFFF;
-    const random = Math.floor(Math.random() * 0xFFFF);
-    
-    // Simple hash for content if provided
-    let contentHash = 0;
-    if (content) {
-      for (let i = 0; i < content.length; i++) {
-        contentHash = ((contentHash << 5) - contentHash + content.charCodeAt(i)) & 0xFFFF;
-      }
+  compressPayload(payload) {
+    try {
+      return compress(payload);
+    } catch (error) {
+      console.error('Error compressing payload:', error);
+      return payload;
     }
-    
-    return (timestamp << 16) | (random ^ contentHash);
   }
 
   /**
-   * Check if message ID has been seen before
+   * Generate a message id: a random 16-bit tag for this node followed by a
+   * 16-bit sequence number from a random start. Ids from one node never repeat
+   * while peers still remember them, since a fresh tag is drawn whenever the
+   * sequence wraps, so (sender, id) names a message. Messages that don't carry
+   * their sender only have the tag to tell nodes apart; getDedupStats
+   * estimates how likely two of those tags are to be the same.
+   */
+  generateMessageId() {
+    if (this.sequence > 0xFFFF) {
+      let tag;
+      do {
+        tag = randomUint16();
+      } while (tag === this.originTag);
+      this.originTag = tag;
+      this.sequence = randomUint16();
+    }
+    return ((this.originTag << 16) | this.sequence++) >>> 0;
+  }
+
+  /**
+   * Nickname of the node that wrote a message, for chat, private messages,
+   * acks and file transfers, or null
    */
-  isDuplicate(msgId) {
-    if (this.messageCache.has(msgId)) {
-      return true;
+  senderOf(message) {
+    if (!SENDER_TYPES.has(message.msgType)) return null;
+    try {
+      const data = JSON.parse(this.decodeTextPayload(message));
+      return typeof data?.from === 'string' ? data.from : null;
+    } catch (error) {
+      return null; // plain text chat from an older node
+    }
+  }
+
+  /**
+   * Check if a message has been seen before, recording it if not.
+   * With its sender (see senderOf) the message is keyed on (sender, id), which
+   * two nodes can't share; without, on the id's (tag, sequence) halves.
+   * With the payload, a different message that reuses a seen key is counted
+   * as a collision and let through rather than dropped.
+   */
+  isDuplicate(msgId, payload = null, sender = null) {
+    const id = msgId >>> 0;
+    const fingerprint = payload ? fingerprintPayload(payload) : null;
+    if (sender !== null) {
+      return this.dedup.check(`@${sender}`, id, fingerprint);
     }
     
-    // Add to cache with size limit
-    this.messageCache.add(msgId);
-    if (this.messageCache.size > 10000) {
-      // Simple cleanup - remove some entries
-      const entries = Array.from(this.messageCache);
-      this.messageCache.clear();
-      // Keep the most recent half
-      entries.slice(entries.length / 2).forEach(id => this.messageCache.add(id));
+    this.originsSeen.delete(id >>> 16);
+    this.originsSeen.set(id >>> 16, Date.now());
+    return this.dedup.check(id >>> 16, id & 0xFFFF, fingerprint);
+  }
+
+  /**
+   * Dedup cache counters, plus the number of origin tags seen recently on
+   * messages without a sender and the chance that two of them are the same
+   * (birthday bound over 2^16 tags), in which case their ids can collide
+   */
+  getDedupStats() {
+    const cutoff = Date.now() - DEDUP_TTL;
+    for (const [tag, seenAt] of this.originsSeen) {
+      if (seenAt > cutoff) break;
+      this.originsSeen.delete(tag);
     }
     
-    return false;
+    const origins = new Set([...this.originsSeen.keys(), this.originTag]).size;
+    return {
+      ...this.dedup.getStats(),
+      origins,
+      tagCollisionRisk: 1 - Math.exp(-(origins * (origins - 1)) / 2 / 0x10000)
+    };
   }
 
   /**
@@ -143,16 +466,194 @@ export class P2PProtocol {
   }
 
   /**
-   * Create a chat message
+   * Create a pong answering a ping; the payload carries the ping's id
+   * so the sender can match it up and measure the round trip
+   */
+  createPong(pingId) {
+    return new Message(
+      MessageType.PONG,
+      1,
+      this.generateMessageId(),
+      new TextEncoder().encode(JSON.stringify({ ping: pingId }))
+    );
+  }
+
+  /**
+   * Create a chat message.
+   * With an envelope (e.g. { id, from }) the payload is JSON carrying the
+   * content, which is either the text or { enc } for an encrypted box;
+   * without one it is the bare text understood by older peers.
    */
-  createChatMessage(text, ttl = 3) {
+  createChatMessage(content, ttl = 3, envelope = null) {
     const encoder = new TextEncoder();
-    const payload = encoder.encode(text);
+    const text = typeof content === 'string' ? content : '';
+    const payload = envelope
+      ? encoder.encode(JSON.stringify({ ...envelope, ...this.wrapContent(content) }))
+      : encoder.encode(text);
     
     return new Message(
       MessageType.CHAT_MESSAGE,
       ttl,
-      this.generateMessageId(text),
+      this.generateMessageId(),
+      payload
+    );
+  }
+
+  /**
+   * Create a private message addressed to a single node.
+   * Content is either the text or { enc } for an encrypted box; stamp
+   * ({ clock, timestamp }) orders the message for the recipient.
+   */
+  createPrivateMessage(from, to, content, ttl = 3, id = this.generateMessageId(), stamp = null) {
+    const encoder = new TextEncoder();
+    const text = typeof content === 'string' ? content : '';
+    const payload = encoder.encode(JSON.stringify({
+      id,
+      from,
+      to,
+      ...this.wrapContent(content),
+      timestamp: Date.now(),
+      ...stamp
+    }));
+    
+    return new Message(
+      MessageType.PRIVATE_MESSAGE,
+      ttl,
+      this.generateMessageId(),
+      payload
+    );
+  }
+
+  /**
+   * Create an acknowledgement for a chat or private message. A node outside
+   * a channel acknowledges the channel's messages with member false: it got
+   * the message, but it is not shown there.
+   */
+  createAck(ackedId, from, to, member = true) {
+    const encoder = new TextEncoder();
+    const payload = encoder.encode(JSON.stringify({ id: ackedId, from, to, ...(member ? {} : { member: false }) }));
+    
+    return new Message(
+      MessageType.ACK,
+      3,
+      this.generateMessageId(),
+      payload
+    );
+  }
+
+  /**
+   * Create a file offer. Details (name, type, checksum) are the content,
+   * either a JSON string or { enc } for an encrypted box.
+   */
+  createFileOffer(from, to, id, offer, details) {
+    const encoder = new TextEncoder();
+    const payload = encoder.encode(JSON.stringify({
+      id,
+      from,
+      to,
+      ...offer,
+      ...this.wrapContent(details),
+      timestamp: Date.now()
+    }));
+    
+    return new Message(
+      MessageType.FILE_OFFER,
+      3,
+      this.generateMessageId(),
+      payload
+    );
+  }
+
+  /**
+   * Create a file chunk; content is { data } (base64) or { enc }
+   */
+  createFileChunk(from, to, id, index, content) {
+    const encoder = new TextEncoder();
+    const payload = encoder.encode(JSON.stringify({ id, from, to, index, ...content }));
+    
+    return new Message(
+      MessageType.FILE_CHUNK,
+      3,
+      this.generateMessageId(),
+      payload
+    );
+  }
+
+  /**
+   * Create a request for missing chunks of a file, sent by the receiver.
+   * Also reports progress, completion or rejection back to the sender.
+   */
+  createFileRequest(from, to, id, request) {
+    const encoder = new TextEncoder();
+    const payload = encoder.encode(JSON.stringify({ id, from, to, ...request }));
+    
+    return new Message(
+      MessageType.FILE_REQUEST,
+      3,
+      this.generateMessageId(),
+      payload
+    );
+  }
+
+  /**
+   * Create a routing update advertising the nodes reachable through the sender.
+   * Routing updates are exchanged between neighbours only, so TTL is 0.
+   */
+  createRoutingUpdate(from, routes) {
+    const encoder = new TextEncoder();
+    const payload = encoder.encode(JSON.stringify({ from, routes }));
+    
+    return new Message(
+      MessageType.ROUTING_UPDATE,
+      0,
+      this.generateMessageId(),
+      payload
+    );
+  }
+
+  /**
+   * Create a summary of the broadcasts a node holds, entries are [from, id, channel],
+   * along with the channels it has joined.
+   * Like routing updates, history sync stays between neighbours (TTL 0).
+   */
+  createHistorySummary(from, entries, channels, reply = false) {
+    const encoder = new TextEncoder();
+    const payload = encoder.encode(JSON.stringify({ from, entries, channels, reply }));
+    
+    return new Message(
+      MessageType.HISTORY_SUMMARY,
+      0,
+      this.generateMessageId(),
+      payload
+    );
+  }
+
+  /**
+   * Create a request for broadcasts missing from a summary, wanted are [from, id]
+   */
+  createHistoryRequest(from, to, wanted) {
+    const encoder = new TextEncoder();
+    const payload = encoder.encode(JSON.stringify({ from, to, wanted }));
+    
+    return new Message(
+      MessageType.HISTORY_REQUEST,
+      0,
+      this.generateMessageId(),
+      payload
+    );
+  }
+
+  /**
+   * Create a response carrying requested broadcasts; content is { enc }
+   */
+  createHistoryResponse(from, to, content) {
+    const encoder = new TextEncoder();
+    const payload = encoder.encode(JSON.stringify({ from, to, ...content }));
+    
+    return new Message(
+      MessageType.HISTORY_RESPONSE,
+      0,
+      this.generateMessageId(),
       payload
     );
   }
@@ -167,7 +668,7 @@ export class P2PProtocol {
     return new Message(
       MessageType.PEER_DISCOVERY,
       2,
-      this.generateMessageId(JSON.stringify(peerInfo)),
+      this.generateMessageId(),
       payload
     );
   }
@@ -187,6 +688,40 @@ export class P2PProtocol {
     );
   }
 
+  /**
+   * Pick the protocol version to speak with the sender of an announcement:
+   * the highest one both sides accept, or null if there is none
+   */
+  negotiateVersion(announcement) {
+    const version = Number.isInteger(announcement.version) ? announcement.version : 1;
+    const minVersion = Number.isInteger(announcement.minVersion) ? announcement.minVersion : version;
+    
+    if (version < MIN_PROTOCOL_VERSION || minVersion > PROTOCOL_VERSION) {
+      return null;
+    }
+    return Math.min(version, PROTOCOL_VERSION);
+  }
+
+  /**
+   * Capabilities announced by a peer. Older peers don't list them, so they
+   * are inferred from the fields those versions did send: signing keys came
+   * after fragmentation and file transfer, compression was its own field.
+   */
+  announcedCapabilities(announcement) {
+    if (Array.isArray(announcement.capabilities)) {
+      return new Set(announcement.capabilities.filter(capability => typeof capability === 'string'));
+    }
+    
+    const capabilities = new Set();
+    if (announcement.compression === COMPRESSION_FORMAT) capabilities.add(COMPRESSION_FORMAT);
+    if (announcement.publicKey) capabilities.add('e2e');
+    if (announcement.signingKey) {
+      capabilities.add('fragments');
+      capabilities.add('files');
+    }
+    return capabilities;
+  }
+
   /**
    * Decode text payload from message
    */
@@ -195,6 +730,32 @@ export class P2PProtocol {
     return decoder.decode(message.payload);
   }
 
+  /**
+   * Turn message content into payload fields: { text } or { enc }
+   */
+  wrapContent(content) {
+    return typeof content === 'string' ? { text: content } : { enc: content.enc };
+  }
+
+  /**
+   * Decode a chat payload into { text | enc, id?, from?, channel?, clock?, timestamp? }.
+   * Accepts both JSON envelopes and bare text from older peers.
+   */
+  decodeChatPayload(message) {
+    const text = this.decodeTextPayload(message);
+    if (text.startsWith('{')) {
+      try {
+        const envelope = JSON.parse(text);
+        if (envelope && (typeof envelope.text === 'string' || envelope.enc)) {
+          return envelope;
+        }
+      } catch (error) {
+        // Not an envelope, just text that happens to start with a brace
+      }
+    }
+    return { text };
+  }
+
   /**
    * Decode JSON payload from message
    */
@@ -10,14 +10,80 @@ import {
   TextInput,
   TouchableOpacity,
   FlatList,
+  ScrollView,
   StyleSheet,
   Alert,
   KeyboardAvoidingView,
   Platform,
   StatusBar,
   SafeAreaView,
+  Image,
 } from 'react-native';
-import { P2PNetworkManager } from '../network/P2PNetworkManager';
+import * as DocumentPicker from 'expo-document-picker';
+import { P2PNetworkManager, UNREADABLE_MESSAGE } from '../network/P2PNetworkManager';
+import { PROTOCOL_VERSION, MIN_PROTOCOL_VERSION } from '../protocol/P2PProtocol';
+import { ChatHistoryStore } from '../storage/ChatHistoryStore';
+import { nativePlatform } from '../platform/native';
+import {
+  GLOBAL_THREAD,
+  dmThread,
+  channelThread,
+  isDmThread,
+  isChannelThread,
+  formatFileSize,
+  formatIdentityWarning,
+  connectCommand,
+  blockCommand,
+  showNearbyPeers,
+  runCommand
+} from '../commands';
+
+// Stored messages loaded per "Load earlier messages" tap
+const HISTORY_PAGE_SIZE = 50;
+
+// Long pastes are fine, messages over 64 KB are sent in fragments
+const MAX_MESSAGE_LENGTH = 100000;
+
+// A message arriving after newer ones moves up past them, but only past
+// messages received in the last few minutes, so a peer whose clock restarted
+// can't bury its messages deep in the history
+const REORDER_WINDOW = 5 * 60 * 1000;
+
+// Causal order: Lamport clock, ties broken by sender so every node agrees
+const compareCausal = (a, b) =>
+  a.clock - b.clock || (a.sender < b.sender ? -1 : a.sender > b.sender ? 1 : 0);
+
+// Insert a message after the last message in its thread that comes before it.
+// Messages without a clock (system notes, older peers' history) stay in arrival order.
+const insertCausally = (list, message) => {
+  if (typeof message.clock !== 'number') {
+    return [...list, message];
+  }
+  
+  let index = list.length;
+  for (let i = list.length - 1; i >= 0; i--) {
+    const other = list[i];
+    if (other.thread !== message.thread || typeof other.clock !== 'number') continue;
+    if (message.receivedAt - other.receivedAt > REORDER_WINDOW || compareCausal(other, message) <= 0) break;
+    index = i;
+  }
+  return [...list.slice(0, index), message, ...list.slice(index)];
+};
+
+// File transfer states that only last as long as the app is running
+const ACTIVE_FILE_STATES = ['preparing', 'offered', 'transferring', 'verifying'];
+
+// Stored messages keep timestamps as ISO strings
+// The outbound queue and file transfers live in memory, so messages still
+// queued or transferring when the app was closed will never finish
+const reviveMessage = (stored) => ({
+  ...stored,
+  timestamp: new Date(stored.timestamp),
+  ...(stored.status === 'queued' ? { status: 'failed' } : {}),
+  ...(stored.file && ACTIVE_FILE_STATES.includes(stored.file.state)
+    ? { file: { ...stored.file, state: 'failed', error: 'Interrupted' } }
+    : {})
+});
 
 const ChatScreen = ({ route, navigation }) => {
   const { nickname, port } = route.params;
@@ -27,9 +93,23 @@ const ChatScreen = ({ route, navigation }) => {
   const [peers, setPeers] = useState([]);
   const [isConnected, setIsConnected] = useState(false);
   const [networkStatus, setNetworkStatus] = useState('Connecting...');
+  const [activeThread, setActiveThread] = useState(GLOBAL_THREAD);
+  const [unreadThreads, setUnreadThreads] = useState({});
+  const [nearbyPeers, setNearbyPeers] = useState([]);
+  const [encryptionStatus, setEncryptionStatus] = useState({ total: 0, secured: 0 });
+  const [hasOlderHistory, setHasOlderHistory] = useState({});
+  const [channels, setChannels] = useState([]);
   
   const networkManager = useRef(null);
+  const historyStore = useRef(null);
+  // Per thread: how many of the newest stored messages are already on screen
+  const historyLoaded = useRef({});
   const flatListRef = useRef(null);
+  // Network callbacks are registered once, so they read the active thread from a ref
+  const activeThreadRef = useRef(GLOBAL_THREAD);
+  const fileMessages = useRef(new Set()); // fileKeys of transfers already shown
+  // Per thread: the causally latest message so far, to spot messages that arrive late
+  const latestMessages = useRef({});
 
   useEffect(() => {
     initializeNetwork();
@@ -42,14 +122,47 @@ const ChatScreen = ({ route, navigation }) => {
   }, []);
 
   const initializeNetwork = async () => {
+    const restored = await loadHistory();
+    
     try {
-      networkManager.current = new P2PNetworkManager(port, nickname);
+      networkManager.current = new P2PNetworkManager(port, nickname, nativePlatform);
       
       // Set up event handlers
       networkManager.current.onMessage = handleMessage;
+      networkManager.current.onPrivateMessage = handlePrivateMessage;
+      networkManager.current.onMessageStatus = handleMessageStatus;
       networkManager.current.onPeerJoined = handlePeerJoined;
       networkManager.current.onPeerLeft = handlePeerLeft;
       networkManager.current.onConnectionError = handleConnectionError;
+      networkManager.current.onPeersDiscovered = setNearbyPeers;
+      networkManager.current.onRoutesChanged = refreshNetworkState;
+      networkManager.current.onReconnectStateChanged = handleReconnectStateChanged;
+      networkManager.current.onPeerReconnected = handlePeerReconnected;
+      networkManager.current.onFileTransfer = handleFileTransfer;
+      networkManager.current.onIdentityWarning = handleIdentityWarning;
+      networkManager.current.onIncompatiblePeer = handleIncompatiblePeer;
+      networkManager.current.onPeerThrottled = handlePeerThrottled;
+      
+      // Stored broadcasts are neither shown again nor fetched from neighbours
+      restored
+        .filter(message => message.type === 'message' && message.msgId !== undefined && message.text !== UNREADABLE_MESSAGE)
+        .forEach(message => networkManager.current.restoreHistory({
+          from: message.sender,
+          id: message.msgId,
+          channel: isChannelThread(message.thread) ? message.thread.substring(1) : null,
+          text: message.text,
+          clock: message.clock,
+          timestamp: message.timestamp.getTime()
+        }));
+      
+      // Carry on from the logical clock of the stored conversations
+      const clocks = Object.values(latestMessages.current).map(message => message.clock);
+      networkManager.current.tickClock(Math.max(0, ...clocks));
+      
+      // Rejoin the channels from last time
+      const joined = await historyStore.current.getChannels().catch(() => []);
+      joined.forEach(channel => networkManager.current.joinChannel(channel));
+      setChannels(networkManager.current.getChannels());
       
       // Start the network
       await networkManager.current.start();
@@ -59,8 +172,18 @@ const ChatScreen = ({ route, navigation }) => {
       // Add system message
       addSystemMessage(`🚀 P2P Chat started on port ${port}`);
       addSystemMessage(`📱 Your nickname: ${nickname}`);
+      addSystemMessage(`🔑 Your fingerprint: ${networkManager.current.identity.fingerprint}`);
       addSystemMessage(`💡 Tip: Use commands like /connect <ip:port> to connect to peers`);
       
+      // LAN discovery is a convenience, chat still works without it
+      try {
+        await networkManager.current.startDiscovery();
+        addSystemMessage('📡 Looking for nearby peers on the local network...');
+      } catch (error) {
+        console.error('Failed to start LAN discovery:', error);
+        addSystemMessage(`⚠️ LAN discovery unavailable: ${error.message}`);
+      }
+      
     } catch (error) {
       console.error('Failed to start network:', error);
       setNetworkStatus('Connection Failed');
@@ -68,17 +191,175 @@ const ChatScreen = ({ route, navigation }) => {
     }
   };
 
-  const handleMessage = (sender, text, isOwn) => {
+  const loadHistory = async () => {
+    try {
+      historyStore.current = new ChatHistoryStore(nickname);
+      const threads = await historyStore.current.getThreads();
+      const pages = await Promise.all(threads.map(thread =>
+        historyStore.current.loadPage(thread, 0, HISTORY_PAGE_SIZE)
+      ));
+      
+      const restored = [];
+      const hasOlder = {};
+      threads.forEach((thread, index) => {
+        historyLoaded.current[thread] = pages[index].messages.length;
+        hasOlder[thread] = pages[index].hasMore;
+        
+        const page = pages[index].messages.map(reviveMessage).reduce(insertCausally, []);
+        page.forEach(trackLatest);
+        restored.push(...page);
+      });
+      
+      setHasOlderHistory(hasOlder);
+      setMessages(prev => [...restored, ...prev]);
+      return restored;
+    } catch (error) {
+      console.error('Failed to load chat history:', error);
+      return [];
+    }
+  };
+
+  const loadOlderMessages = async (thread) => {
+    if (!historyStore.current) return;
+    
+    try {
+      const { messages: older, hasMore } = await historyStore.current.loadPage(
+        thread,
+        historyLoaded.current[thread] || 0,
+        HISTORY_PAGE_SIZE
+      );
+      historyLoaded.current[thread] = (historyLoaded.current[thread] || 0) + older.length;
+      setHasOlderHistory(prev => ({ ...prev, [thread]: hasMore }));
+      setMessages(prev => [...older.map(reviveMessage).reduce(insertCausally, []), ...prev]);
+    } catch (error) {
+      console.error('Failed to load older messages:', error);
+    }
+  };
+
+  const persistMessage = (message) => {
+    if (!historyStore.current) return;
+    
+    historyLoaded.current[message.thread] = (historyLoaded.current[message.thread] || 0) + 1;
+    historyStore.current.append(message.thread, message).catch(error => {
+      console.error('Failed to save message:', error);
+    });
+  };
+
+  const handleMessage = (sender, text, isOwn, meta = {}) => {
     const message = {
       id: Date.now() + Math.random(),
+      msgId: meta.id,
+      status: isOwn ? 'sent' : null,
+      encrypted: !!meta.encrypted,
       sender,
       text,
-      timestamp: new Date(),
+      timestamp: meta.sentAt ? new Date(meta.sentAt) : new Date(),
+      receivedAt: Date.now(),
+      clock: meta.clock,
+      syncedFrom: meta.syncedFrom,
+      unverified: !!meta.unverified,
       isOwn,
-      type: 'message'
+      type: 'message',
+      thread: meta.channel ? channelThread(meta.channel) : GLOBAL_THREAD
     };
     
-    setMessages(prev => [...prev, message]);
+    appendThreadMessage(message);
+  };
+
+  const handlePrivateMessage = (from, to, text, isOwn, meta = {}) => {
+    const message = {
+      id: Date.now() + Math.random(),
+      msgId: meta.id,
+      status: isOwn ? 'sent' : null,
+      encrypted: !!meta.encrypted,
+      sender: from,
+      text,
+      timestamp: meta.sentAt ? new Date(meta.sentAt) : new Date(),
+      receivedAt: Date.now(),
+      clock: meta.clock,
+      isOwn,
+      type: 'private',
+      thread: dmThread(isOwn ? to : from)
+    };
+    
+    appendThreadMessage(message);
+  };
+
+  const handleMessageStatus = (msgId, status, deliveredCount, expectedCount) => {
+    setMessages(prev => prev.map(message =>
+      message.isOwn && message.msgId === msgId
+        ? { ...message, status, deliveredCount, expectedCount }
+        : message
+    ));
+    
+    if (historyStore.current) {
+      historyStore.current.updateMessage(msgId, { status, deliveredCount, expectedCount });
+    }
+  };
+
+  const handleFileTransfer = (transfer) => {
+    const file = {
+      name: transfer.name,
+      size: transfer.size,
+      mimeType: transfer.mimeType,
+      progress: transfer.progress,
+      state: transfer.status,
+      path: transfer.path,
+      error: transfer.error
+    };
+    
+    if (!fileMessages.current.has(transfer.key)) {
+      fileMessages.current.add(transfer.key);
+      appendThreadMessage({
+        id: Date.now() + Math.random(),
+        fileKey: transfer.key,
+        sender: transfer.from,
+        text: `📎 ${transfer.name}`,
+        timestamp: new Date(),
+        isOwn: transfer.isOwn,
+        type: 'file',
+        file,
+        thread: dmThread(transfer.isOwn ? transfer.to : transfer.from)
+      });
+      return;
+    }
+    
+    setMessages(prev => prev.map(message =>
+      message.fileKey === transfer.key ? { ...message, file } : message
+    ));
+    
+    // Progress ticks are not worth a storage write, the outcome is
+    if (historyStore.current && !ACTIVE_FILE_STATES.includes(file.state)) {
+      historyStore.current.updateFileMessage(transfer.key, { file });
+    }
+  };
+
+  // Remember the causally latest message of each thread
+  const trackLatest = (message) => {
+    const latest = latestMessages.current[message.thread];
+    if (typeof message.clock === 'number' && (!latest || compareCausal(latest, message) < 0)) {
+      latestMessages.current[message.thread] = message;
+    }
+  };
+
+  const appendThreadMessage = (incoming) => {
+    // Flag messages that belong before ones already shown, e.g. after a detour through the mesh
+    const latest = latestMessages.current[incoming.thread];
+    const message = typeof incoming.clock === 'number' && latest && compareCausal(incoming, latest) < 0
+      ? { ...incoming, late: true }
+      : incoming;
+    trackLatest(message);
+    
+    setMessages(prev => insertCausally(prev, message));
+    persistMessage(message);
+    
+    if (message.thread !== activeThreadRef.current) {
+      setUnreadThreads(prev => ({
+        ...prev,
+        [message.thread]: (prev[message.thread] || 0) + 1
+      }));
+      return;
+    }
     
     // Auto-scroll to bottom
     setTimeout(() => {
@@ -88,16 +369,70 @@ const ChatScreen = ({ route, navigation }) => {
     }, 100);
   };
 
+  const switchThread = (thread) => {
+    activeThreadRef.current = thread;
+    setActiveThread(thread);
+    setUnreadThreads(prev => {
+      const { [thread]: _, ...rest } = prev;
+      return rest;
+    });
+  };
+
   const handlePeerJoined = (peer) => {
     setPeers(prev => [...prev.filter(p => p.key !== peer.key), peer]);
+    refreshNetworkState();
     addSystemMessage(`→ ${peer.nickname || peer.key} joined the network`);
   };
 
   const handlePeerLeft = (peer) => {
     setPeers(prev => prev.filter(p => p.key !== peer.key));
+    refreshNetworkState();
     addSystemMessage(`← ${peer.nickname || peer.key} left the network`);
   };
 
+  const handleReconnectStateChanged = (reconnecting) => {
+    if (reconnecting.length === 0) {
+      setNetworkStatus('Connected');
+      return;
+    }
+    
+    const names = reconnecting.map(peer => peer.nickname || `${peer.address}:${peer.port}`);
+    setNetworkStatus(`Reconnecting to ${names.join(', ')}…`);
+  };
+
+  const handlePeerReconnected = (peer) => {
+    addSystemMessage(`↻ ${peer.nickname} is back`);
+  };
+
+  const handleIdentityWarning = (warning) => {
+    addSystemMessage(formatIdentityWarning(warning));
+  };
+
+  const handleIncompatiblePeer = ({ nickname, address, port, version }) => {
+    addSystemMessage(
+      `⛔ Disconnected from ${nickname} (${address}:${port}): it speaks protocol v${version}, ` +
+      `this app supports v${MIN_PROTOCOL_VERSION}-v${PROTOCOL_VERSION}. One of you needs to update the app.`
+    );
+    refreshNetworkState();
+  };
+
+  const handlePeerThrottled = ({ nickname, scope, banned, until }) => {
+    if (!banned) {
+      addSystemMessage(`🐢 ${nickname} is sending too many messages, dropping some of them`);
+      return;
+    }
+    const minutes = Math.max(1, Math.round((until - Date.now()) / 60000));
+    const action = scope === 'sender' ? 'ignoring its messages' : 'disconnected and refused';
+    addSystemMessage(`🚫 ${nickname} kept flooding the room: ${action} for ${minutes} min`);
+  };
+
+  const refreshNetworkState = () => {
+    if (networkManager.current) {
+      setNearbyPeers(networkManager.current.getDiscoveredPeers());
+      setEncryptionStatus(networkManager.current.getEncryptionStatus());
+    }
+  };
+
   const handleConnectionError = (error) => {
     addSystemMessage(`⚠️ Connection error: ${error.message}`);
   };
@@ -109,7 +444,8 @@ const ChatScreen = ({ route, navigation }) => {
       text,
       timestamp: new Date(),
       isOwn: false,
-      type: 'system'
+      type: 'system',
+      thread: activeThreadRef.current
     };
     
     setMessages(prev => [...prev, message]);
@@ -122,101 +458,189 @@ const ChatScreen = ({ route, navigation }) => {
     if (text.startsWith('/')) {
       handleCommand(text.substring(1));
     } else {
-      if (networkManager.current && peers.length > 0) {
-        networkManager.current.sendMessage(text);
+      // Without peers the network manager queues the message until a link comes up
+      if (networkManager.current) {
+        if (activeThread === GLOBAL_THREAD) {
+          networkManager.current.sendMessage(text);
+        } else if (isChannelThread(activeThread)) {
+          networkManager.current.sendMessage(text, 3, activeThread.substring(1));
+        } else {
+          networkManager.current.sendPrivateMessage(activeThread.substring(1), text);
+        }
         setInputText('');
-      } else {
-        Alert.alert('No Peers', 'Connect to peers first using /connect command');
       }
     }
   };
 
-  const handleCommand = (command) => {
-    const [cmd, ...args] = command.split(' ');
-    const argString = args.join(' ');
+  const pickAndSendFile = async () => {
+    if (!networkManager.current || !isDmThread(activeThread)) return;
     
-    switch (cmd.toLowerCase()) {
-      case 'connect':
-        if (argString.includes(':')) {
-          const [host, portStr] = argString.split(':');
-          const targetPort = parseInt(portStr);
-          
-          if (host && targetPort) {
-            connectToPeer(host, targetPort);
-          } else {
-            addSystemMessage('❌ Invalid format. Use: /connect <ip:port>');
-          }
-        } else {
-          addSystemMessage('❌ Invalid format. Use: /connect <ip:port>');
-        }
-        break;
-        
-      case 'peers':
-      case 'who':
-        showPeerList();
-        break;
-        
-      case 'ping':
-        if (networkManager.current) {
-          const pingMessage = networkManager.current.protocol.createPing();
-          networkManager.current.broadcastMessage(pingMessage);
-          addSystemMessage('📡 Ping sent to all peers');
-        }
-        break;
-        
-      case 'help':
-        showHelp();
-        break;
-        
-      case 'clear':
-        setMessages([]);
-        addSystemMessage('🧹 Chat cleared');
-        break;
-        
-      default:
-        addSystemMessage(`❌ Unknown command: /${cmd}. Type /help for available commands.`);
+    const recipient = activeThread.substring(1);
+    try {
+      const result = await DocumentPicker.getDocumentAsync({ copyToCacheDirectory: true });
+      if (result.canceled || !result.assets || result.assets.length === 0) return;
+      
+      await networkManager.current.sendFile(recipient, result.assets[0]);
+    } catch (error) {
+      console.error('Failed to send file:', error);
+      addSystemMessage(`❌ Could not send file: ${error.message}`);
     }
-    
+  };
+
+  // What the shared slash commands need, plus the commands only the app has
+  const commandContext = () => ({
+    network: networkManager.current,
+    nickname,
+    print: addSystemMessage,
+    activeThread: activeThreadRef.current,
+    switchThread,
+    channelsChanged: updateChannels,
+    nearbyHint: 'tap one above to connect',
+    help: {
+      commands: [
+        '/clear [history|all] - Clear this conversation (history: also delete it from storage, all: delete every stored conversation)'
+      ],
+      notes: [
+        '📝 Just type a message to send it to the open conversation',
+        '📎 In a private conversation, tap 📎 to send a file or image'
+      ]
+    },
+    commands: {
+      clear: (args, argString) => clearConversation(argString.toLowerCase()),
+      nearby: () => {
+        if (!networkManager.current) return;
+        setNearbyPeers(networkManager.current.getDiscoveredPeers());
+        showNearbyPeers(commandContext());
+      }
+    }
+  });
+
+  const handleCommand = (command) => {
+    runCommand(command, commandContext());
     setInputText('');
   };
 
-  const connectToPeer = async (host, port) => {
+  const clearConversation = async (scope) => {
+    if (scope && scope !== 'history' && scope !== 'all') {
+      addSystemMessage('❌ Invalid format. Use: /clear [history|all]');
+      return;
+    }
+    
+    if (scope === 'all') {
+      setMessages([]);
+    } else {
+      setMessages(prev => prev.filter(m => m.thread !== activeThread));
+    }
+    
+    if (!scope) {
+      addSystemMessage('🧹 Chat cleared');
+      return;
+    }
+    
     try {
-      addSystemMessage(`🔌 Connecting to ${host}:${port}...`);
-      await networkManager.current.connectToPeer(host, port);
-      addSystemMessage(`✅ Connected to ${host}:${port}`);
+      if (scope === 'all') {
+        await historyStore.current.clearAll();
+        historyLoaded.current = {};
+        setHasOlderHistory({});
+        addSystemMessage('🗑️ Stored history deleted for all conversations');
+      } else {
+        await historyStore.current.clearThread(activeThread);
+        historyLoaded.current[activeThread] = 0;
+        setHasOlderHistory(prev => ({ ...prev, [activeThread]: false }));
+        addSystemMessage('🗑️ Stored history deleted for this conversation');
+      }
     } catch (error) {
-      addSystemMessage(`❌ Failed to connect to ${host}:${port}: ${error.message}`);
+      addSystemMessage(`❌ Failed to delete history: ${error.message}`);
     }
   };
 
-  const showPeerList = () => {
-    if (peers.length === 0) {
-      addSystemMessage('📭 No peers connected');
-      return;
-    }
+  const updateChannels = () => {
+    const joined = networkManager.current.getChannels();
+    setChannels(joined);
+    historyStore.current.saveChannels(joined);
+  };
+
+  // Long-press on someone else's message
+  const showMessageActions = (item) => {
+    if (item.type === 'system' || item.isOwn) return;
     
-    addSystemMessage(`👥 Connected peers (${peers.length}):`);
-    peers.forEach(peer => {
-      const nickname = peer.nickname || 'Unknown';
-      const lastSeen = new Date(peer.lastSeen).toLocaleTimeString();
-      addSystemMessage(`  • ${nickname} (${peer.address}:${peer.port}) - Last seen: ${lastSeen}`);
-    });
+    Alert.alert(item.sender, 'Muting hides their messages. Blocking also disconnects them and refuses their connections.', [
+      { text: 'Mute', onPress: () => blockCommand(item.sender, 'mute', commandContext()) },
+      { text: 'Block', style: 'destructive', onPress: () => blockCommand(item.sender, 'block', commandContext()) },
+      { text: 'Cancel', style: 'cancel' }
+    ]);
+  };
+
+  const formatDeliveryStatus = (item) => {
+    switch (item.status) {
+      case 'delivered':
+        // Broadcasts are acknowledged by every peer that received them
+        if (item.expectedCount && item.deliveredCount < item.expectedCount) {
+          return `✓✓ Delivered to ${item.deliveredCount} of ${item.expectedCount}`;
+        }
+        return item.type === 'private' || item.deliveredCount <= 1
+          ? '✓✓ Delivered'
+          : `✓✓ Delivered to ${item.deliveredCount}`;
+      case 'partial':
+        // Retransmits ran out before everyone acknowledged
+        return `⚠️ Delivered to ${item.deliveredCount} of ${item.expectedCount}`;
+      case 'queued':
+        return '🕓 Queued';
+      case 'failed':
+        return '⚠️ Not delivered';
+      default:
+        return '✓ Sent';
+    }
   };
 
-  const showHelp = () => {
-    const helpText = [
-      '💬 P2P Chat Commands:',
-      '/connect <ip:port> - Connect to peer',
-      '/peers or /who - List connected peers',
-      '/ping - Ping all peers',
-      '/clear - Clear chat history',
-      '/help - Show this help',
-      '',
-      '📝 Just type a message to send to all peers'
-    ];
+  const formatFileState = (file, isOwn) => {
+    switch (file.state) {
+      case 'preparing':
+        return 'Preparing…';
+      case 'offered':
+        return '🕓 Waiting for the other side';
+      case 'transferring':
+        return `${isOwn ? 'Sending' : 'Receiving'} ${Math.round(file.progress * 100)}%`;
+      case 'verifying':
+        return 'Verifying…';
+      case 'complete':
+        return isOwn ? '✓✓ Sent' : '✓ Saved to device';
+      default:
+        return `⚠️ Failed${file.error ? `: ${file.error}` : ''}`;
+    }
+  };
+
+  const renderFile = (item) => {
+    const { file } = item;
+    const showPreview = file.path && file.mimeType.startsWith('image/') &&
+      (item.isOwn || file.state === 'complete');
     
-    helpText.forEach(line => addSystemMessage(line));
+    return (
+      <View>
+        {showPreview && (
+          <Image
+            source={{ uri: file.path.startsWith('file://') ? file.path : `file://${file.path}` }}
+            style={styles.imagePreview}
+            resizeMode="cover"
+          />
+        )}
+        <Text style={item.isOwn ? styles.ownMessageText : styles.peerMessageText}>
+          📎 {file.name} ({formatFileSize(file.size)})
+        </Text>
+        {ACTIVE_FILE_STATES.includes(file.state) && (
+          <View style={styles.progressTrack}>
+            <View style={[styles.progressFill, { width: `${Math.round(file.progress * 100)}%` }]} />
+          </View>
+        )}
+        <Text style={[
+          styles.fileState,
+          !item.isOwn && styles.peerFileState,
+          file.state === 'failed' && styles.deliveryFailed
+        ]}>
+          {formatFileState(file, item.isOwn)}
+        </Text>
+      </View>
+    );
   };
 
   const renderMessage = ({ item }) => {
@@ -233,17 +657,79 @@ const ChatScreen = ({ route, navigation }) => {
         : styles.peerMessageText;
 
     return (
-      <View style={[styles.messageContainer, messageStyle]}>
+      <TouchableOpacity
+        style={[styles.messageContainer, messageStyle]}
+        activeOpacity={1}
+        onLongPress={() => showMessageActions(item)}
+      >
         {item.type !== 'system' && (
           <Text style={styles.senderName}>
+            {item.encrypted && '🔒 '}
             {item.sender} • {item.timestamp.toLocaleTimeString()}
           </Text>
         )}
-        <Text style={textStyle}>{item.text}</Text>
-      </View>
+        {item.type === 'file'
+          ? renderFile(item)
+          : <Text style={textStyle}>{item.text}</Text>}
+        {item.syncedFrom ? (
+          <Text style={styles.lateMarker}>
+            ↺ caught up from {item.syncedFrom}{item.unverified && ', sender not verified'}
+          </Text>
+        ) : item.late && (
+          <Text style={styles.lateMarker}>⏱ received late</Text>
+        )}
+        {item.isOwn && item.status && (
+          <Text style={[styles.deliveryStatus, item.status === 'failed' && styles.deliveryFailed]}>
+            {formatDeliveryStatus(item)}
+          </Text>
+        )}
+      </TouchableOpacity>
     );
   };
 
+  const getThreadList = () => {
+    const threads = [GLOBAL_THREAD, ...channels.map(channelThread)];
+    messages.forEach(message => {
+      if ((message.type === 'private' || message.type === 'file') && !threads.includes(message.thread)) {
+        threads.push(message.thread);
+      }
+    });
+    if (!threads.includes(activeThread)) {
+      threads.push(activeThread);
+    }
+    return threads;
+  };
+
+  const renderThreadTab = (thread) => {
+    const isActive = thread === activeThread;
+    const unread = unreadThreads[thread];
+    
+    return (
+      <TouchableOpacity
+        key={thread}
+        style={[styles.threadTab, isActive && styles.activeThreadTab]}
+        onPress={() => switchThread(thread)}
+      >
+        <Text style={[styles.threadTabText, isActive && styles.activeThreadTabText]}>
+          {thread === GLOBAL_THREAD ? '🌐 Everyone' : thread}
+          {unread ? ` (${unread})` : ''}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  const isFullyEncrypted = () =>
+    encryptionStatus.total > 0 && encryptionStatus.secured === encryptionStatus.total;
+
+  const showEncryptionStatus = () => {
+    const { total, secured } = encryptionStatus;
+    if (isFullyEncrypted()) {
+      addSystemMessage(`🔒 Messages are end-to-end encrypted for all ${total} reachable peers`);
+    } else {
+      addSystemMessage(`🔓 Only ${secured} of ${total} reachable peers have exchanged keys, group messages are sent unencrypted`);
+    }
+  };
+
   const getStatusColor = () => {
     if (networkStatus === 'Connected') return '#4CAF50';
     if (networkStatus === 'Connection Failed') return '#F44336';
@@ -263,7 +749,16 @@ const ChatScreen = ({ route, navigation }) => {
           <Text style={styles.backButtonText}>←</Text>
         </TouchableOpacity>
         <View style={styles.headerInfo}>
-          <Text style={styles.headerTitle}>P2P Chat</Text>
+          <View style={styles.headerTitleRow}>
+            <Text style={styles.headerTitle}>P2P Chat</Text>
+            {encryptionStatus.total > 0 && (
+              <TouchableOpacity onPress={showEncryptionStatus}>
+                <Text style={styles.lockIcon}>
+                  {isFullyEncrypted() ? '🔒' : '🔓'}
+                </Text>
+              </TouchableOpacity>
+            )}
+          </View>
           <Text style={styles.headerSubtitle}>
             {nickname} • {peers.length} peers • 
             <Text style={[styles.statusText, { color: getStatusColor() }]}>
@@ -273,12 +768,47 @@ const ChatScreen = ({ route, navigation }) => {
         </View>
       </View>
 
+      {/* Conversations */}
+      <View style={styles.threadBar}>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+          {getThreadList().map(renderThreadTab)}
+        </ScrollView>
+      </View>
+
+      {/* Nearby peers found by LAN discovery */}
+      {nearbyPeers.length > 0 && (
+        <View style={styles.nearbyBar}>
+          <Text style={styles.nearbyLabel}>📡 Nearby</Text>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+            {nearbyPeers.map(peer => (
+              <TouchableOpacity
+                key={`${peer.address}:${peer.port}`}
+                style={styles.nearbyChip}
+                onPress={() => connectCommand(`${peer.address}:${peer.port}`, commandContext())}
+              >
+                <Text style={styles.nearbyChipText}>
+                  {peer.nickname || `${peer.address}:${peer.port}`} {peer.incompatible ? '⛔' : '＋'}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        </View>
+      )}
+
       {/* Messages */}
       <FlatList
         ref={flatListRef}
-        data={messages}
+        data={messages.filter(m => m.thread === activeThread)}
         keyExtractor={(item) => item.id.toString()}
         renderItem={renderMessage}
+        ListHeaderComponent={hasOlderHistory[activeThread] ? (
+          <TouchableOpacity
+            style={styles.loadEarlierButton}
+            onPress={() => loadOlderMessages(activeThread)}
+          >
+            <Text style={styles.loadEarlierText}>Load earlier messages</Text>
+          </TouchableOpacity>
+        ) : null}
         style={styles.messagesList}
         contentContainerStyle={styles.messagesContainer}
         showsVerticalScrollIndicator={false}
@@ -289,14 +819,21 @@ const ChatScreen = ({ route, navigation }) => {
         behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
         style={styles.inputContainer}
       >
+        {isDmThread(activeThread) && (
+          <TouchableOpacity style={styles.attachButton} onPress={pickAndSendFile}>
+            <Text style={styles.attachButtonText}>📎</Text>
+          </TouchableOpacity>
+        )}
         <TextInput
           style={styles.textInput}
           value={inputText}
           onChangeText={setInputText}
-          placeholder="Type a message or /command..."
+          placeholder={activeThread === GLOBAL_THREAD
+            ? 'Type a message or /command...'
+            : `Message ${activeThread}...`}
           placeholderTextColor="#999"
           multiline
-          maxLength={1000}
+          maxLength={MAX_MESSAGE_LENGTH}
           onSubmitEditing={sendMessage}
           blurOnSubmit={false}
         />
@@ -341,6 +878,14 @@ const styles = StyleSheet.create({
   headerInfo: {
     flex: 1,
   },
+  headerTitleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  lockIcon: {
+    fontSize: 16,
+    marginLeft: 8,
+  },
   headerTitle: {
     color: '#FFF',
     fontSize: 18,
@@ -354,6 +899,60 @@ const styles = StyleSheet.create({
   statusText: {
     fontWeight: 'bold',
   },
+  threadBar: {
+    backgroundColor: '#FFF',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  threadTab: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    marginRight: 8,
+    backgroundColor: '#E3F2FD',
+  },
+  activeThreadTab: {
+    backgroundColor: '#1976D2',
+  },
+  threadTabText: {
+    color: '#1976D2',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  activeThreadTabText: {
+    color: '#FFF',
+  },
+  nearbyBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#E8F5E9',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#C8E6C9',
+  },
+  nearbyLabel: {
+    color: '#2E7D32',
+    fontSize: 13,
+    fontWeight: 'bold',
+    marginRight: 8,
+  },
+  nearbyChip: {
+    backgroundColor: '#FFF',
+    borderWidth: 1,
+    borderColor: '#4CAF50',
+    borderRadius: 14,
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+    marginRight: 8,
+  },
+  nearbyChipText: {
+    color: '#2E7D32',
+    fontSize: 13,
+    fontWeight: '600',
+  },
   messagesList: {
     flex: 1,
   },
@@ -361,6 +960,19 @@ const styles = StyleSheet.create({
     padding: 16,
     paddingBottom: 8,
   },
+  loadEarlierButton: {
+    alignSelf: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    marginBottom: 12,
+    borderRadius: 16,
+    backgroundColor: '#E3F2FD',
+  },
+  loadEarlierText: {
+    color: '#1976D2',
+    fontSize: 13,
+    fontWeight: '600',
+  },
   messageContainer: {
     marginBottom: 12,
     padding: 12,
@@ -405,6 +1017,55 @@ const styles = StyleSheet.create({
     marginBottom: 4,
     fontWeight: '500',
   },
+  deliveryStatus: {
+    fontSize: 11,
+    color: '#BBDEFB',
+    marginTop: 4,
+    alignSelf: 'flex-end',
+  },
+  lateMarker: {
+    fontSize: 11,
+    color: '#999',
+    fontStyle: 'italic',
+    marginTop: 4,
+  },
+  deliveryFailed: {
+    color: '#FFCDD2',
+    fontWeight: 'bold',
+  },
+  imagePreview: {
+    width: 200,
+    height: 150,
+    borderRadius: 8,
+    marginBottom: 6,
+  },
+  progressTrack: {
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: 'rgba(0, 0, 0, 0.15)',
+    marginTop: 6,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: 4,
+    backgroundColor: '#4CAF50',
+  },
+  fileState: {
+    fontSize: 11,
+    color: '#BBDEFB',
+    marginTop: 4,
+  },
+  peerFileState: {
+    color: '#666',
+  },
+  attachButton: {
+    paddingHorizontal: 8,
+    paddingVertical: 12,
+    marginRight: 4,
+  },
+  attachButtonText: {
+    fontSize: 20,
+  },
   inputContainer: {
     flexDirection: 'row',
     padding: 16,
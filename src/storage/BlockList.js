@@ -0,0 +1,84 @@
+/**
+ * Blocked and muted peers, persisted in a store with the AsyncStorage API
+ *
+ * Both hide a peer's messages; blocking also refuses its connections once it
+ * has announced itself. Entries are keyed by node id, so a block follows the
+ * peer's identity key rather than its nickname or address, and doesn't catch
+ * other nodes behind the same address. The nickname is kept for display.
+ */
+
+const BLOCK_LIST_KEY = '@p2pchat:blockList';
+
+export const BlockMode = {
+  BLOCK: 'block',
+  MUTE: 'mute'
+};
+
+export class BlockList {
+  constructor(storage) {
+    this.storage = storage;
+    this.entries = new Map(); // key: node id, value: { nickname, mode }
+  }
+
+  async load() {
+    try {
+      const stored = await this.storage.getItem(BLOCK_LIST_KEY);
+      if (stored) {
+        this.entries = new Map(Object.entries(JSON.parse(stored)));
+      }
+    } catch (error) {
+      console.error('Failed to load the block list:', error);
+    }
+  }
+
+  /**
+   * Block or mute a node, replacing an earlier entry for it
+   */
+  add(nodeId, nickname, mode) {
+    this.entries.set(nodeId, { nickname, mode });
+    this.save();
+  }
+
+  /**
+   * Lift a block or mute; false if the node was neither
+   */
+  remove(nodeId) {
+    if (!this.entries.delete(nodeId)) return false;
+    this.save();
+    return true;
+  }
+
+  /**
+   * Node ids of the entries shown under a nickname
+   */
+  findByNickname(nickname) {
+    return Array.from(this.entries.keys()).filter(nodeId => this.entries.get(nodeId).nickname === nickname);
+  }
+
+  getMode(nodeId) {
+    return this.entries.get(nodeId)?.mode || null;
+  }
+
+  isBlocked(nodeId) {
+    return this.getMode(nodeId) === BlockMode.BLOCK;
+  }
+
+  // Blocked or muted: messages are not shown
+  isHidden(nodeId) {
+    return this.entries.has(nodeId);
+  }
+
+  /**
+   * Entries as [{ nodeId, nickname, mode }], sorted by nickname
+   */
+  list() {
+    return Array.from(this.entries, ([nodeId, entry]) => ({ nodeId, ...entry }))
+      .sort((a, b) => a.nickname.localeCompare(b.nickname));
+  }
+
+  save() {
+    this.storage.setItem(BLOCK_LIST_KEY, JSON.stringify(Object.fromEntries(this.entries))).catch(error => {
+      console.error('Failed to save the block list:', error);
+    });
+  }
+}
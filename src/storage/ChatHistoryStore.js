@@ -0,0 +1,185 @@
+/**
+ * Chat History Store
+ * Persists conversations with AsyncStorage, one key per conversation
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const STORAGE_PREFIX = '@p2pchat';
+const MAX_MESSAGES_PER_THREAD = 500;
+
+export class ChatHistoryStore {
+  constructor(owner) {
+    // Scoped by nickname so several identities on one device keep separate history
+    this.prefix = `${STORAGE_PREFIX}:${owner}`;
+    this.cache = new Map(); // key: thread, value: array of messages, oldest first
+    this.loads = new Map(); // key: thread, value: pending load, so concurrent loads share one array
+    this.threads = null; // conversation index, loaded on first use
+    this.writeQueue = Promise.resolve();
+  }
+
+  threadKey(thread) {
+    return `${this.prefix}:history:${thread}`;
+  }
+
+  get threadsKey() {
+    return `${this.prefix}:threads`;
+  }
+
+  get channelsKey() {
+    return `${this.prefix}:channels`;
+  }
+
+  /**
+   * List conversations that have stored history
+   */
+  async getThreads() {
+    if (!this.threads) {
+      const raw = await AsyncStorage.getItem(this.threadsKey);
+      this.threads = this.threads || (raw ? JSON.parse(raw) : []);
+    }
+    return this.threads;
+  }
+
+  /**
+   * Get the channels the user has joined
+   */
+  async getChannels() {
+    const raw = await AsyncStorage.getItem(this.channelsKey);
+    return raw ? JSON.parse(raw) : [];
+  }
+
+  /**
+   * Remember the joined channels
+   */
+  saveChannels(channels) {
+    return this.enqueueWrite(() => AsyncStorage.setItem(this.channelsKey, JSON.stringify(channels)));
+  }
+
+  /**
+   * Load a conversation into the cache
+   */
+  loadThread(thread) {
+    if (!this.loads.has(thread)) {
+      this.loads.set(thread, AsyncStorage.getItem(this.threadKey(thread)).then(raw => {
+        const messages = raw ? JSON.parse(raw) : [];
+        this.cache.set(thread, messages);
+        return messages;
+      }));
+    }
+    return this.loads.get(thread);
+  }
+
+  /**
+   * Load a page of messages older than the `loadedCount` newest ones
+   */
+  async loadPage(thread, loadedCount, pageSize) {
+    const messages = await this.loadThread(thread);
+    const end = Math.max(0, messages.length - loadedCount);
+    const start = Math.max(0, end - pageSize);
+    
+    return {
+      messages: messages.slice(start, end),
+      hasMore: start > 0
+    };
+  }
+
+  /**
+   * Append a message to a conversation
+   */
+  async append(thread, message) {
+    const messages = await this.loadThread(thread);
+    const threads = await this.getThreads();
+    
+    messages.push(message);
+    if (messages.length > MAX_MESSAGES_PER_THREAD) {
+      messages.splice(0, messages.length - MAX_MESSAGES_PER_THREAD);
+    }
+    
+    if (!threads.includes(thread)) {
+      threads.push(thread);
+      this.saveThreads();
+    }
+    this.save(thread);
+  }
+
+  /**
+   * Update a stored message found by its network message id
+   */
+  updateMessage(msgId, changes) {
+    this.cache.forEach((messages, thread) => {
+      const message = messages.find(m => m.isOwn && m.msgId === msgId);
+      if (message) {
+        Object.assign(message, changes);
+        this.save(thread);
+      }
+    });
+  }
+
+  /**
+   * Apply changes to a stored file transfer message, sent or received
+   */
+  updateFileMessage(fileKey, changes) {
+    this.cache.forEach((messages, thread) => {
+      const message = messages.find(m => m.fileKey === fileKey);
+      if (message) {
+        Object.assign(message, changes);
+        this.save(thread);
+      }
+    });
+  }
+
+  /**
+   * Delete the stored history of one conversation
+   */
+  async clearThread(thread) {
+    const threads = await this.getThreads();
+    this.cache.delete(thread);
+    this.loads.delete(thread);
+    this.threads = threads.filter(t => t !== thread);
+    
+    this.saveThreads();
+    await this.enqueueWrite(() => AsyncStorage.removeItem(this.threadKey(thread)));
+  }
+
+  /**
+   * Delete the stored history of every conversation
+   */
+  async clearAll() {
+    const threads = await this.getThreads();
+    this.cache.clear();
+    this.loads.clear();
+    this.threads = [];
+    
+    await this.enqueueWrite(() =>
+      AsyncStorage.multiRemove([this.threadsKey, ...threads.map(thread => this.threadKey(thread))])
+    );
+  }
+
+  /**
+   * Write a cached conversation back to storage
+   */
+  save(thread) {
+    return this.enqueueWrite(() => {
+      const messages = this.cache.get(thread);
+      return messages ? AsyncStorage.setItem(this.threadKey(thread), JSON.stringify(messages)) : null;
+    });
+  }
+
+  /**
+   * Write the conversation index back to storage
+   */
+  saveThreads() {
+    return this.enqueueWrite(() => AsyncStorage.setItem(this.threadsKey, JSON.stringify(this.threads)));
+  }
+
+  /**
+   * Serialize writes so a slow write never overwrites a newer one
+   */
+  enqueueWrite(write) {
+    this.writeQueue = this.writeQueue
+      .then(write)
+      .catch(error => console.error('Failed to write chat history:', error));
+    return this.writeQueue;
+  }
+}
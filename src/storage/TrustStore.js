@@ -0,0 +1,48 @@
+/**
+ * Pinned identity keys, persisted in a store with the AsyncStorage API
+ *
+ * The first signing key seen for a nickname is remembered (trust on first
+ * use), so a different key presented for that nickname later can be flagged.
+ */
+
+const PINS_KEY = '@p2pchat:pinnedKeys';
+
+export class TrustStore {
+  constructor(storage) {
+    this.storage = storage;
+    this.pins = new Map(); // key: nickname, value: base64 signing key
+  }
+
+  async load() {
+    try {
+      const stored = await this.storage.getItem(PINS_KEY);
+      if (stored) {
+        this.pins = new Map(Object.entries(JSON.parse(stored)));
+      }
+    } catch (error) {
+      console.error('Failed to load pinned keys:', error);
+    }
+  }
+
+  /**
+   * Get the signing key pinned for a nickname, if any
+   */
+  getPin(nickname) {
+    return this.pins.get(nickname) || null;
+  }
+
+  /**
+   * Pin a signing key for a nickname; null removes the pin
+   */
+  pin(nickname, signingKey) {
+    if (signingKey) {
+      this.pins.set(nickname, signingKey);
+    } else {
+      this.pins.delete(nickname);
+    }
+    
+    this.storage.setItem(PINS_KEY, JSON.stringify(Object.fromEntries(this.pins))).catch(error => {
+      console.error('Failed to save pinned keys:', error);
+    });
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * In-memory transport
+ * Links nodes running in one process, for tests and simulations. Every node
+ * gets its transport from a shared MemoryNetwork, which delivers messages
+ * after a configurable latency and can drop a share of them to simulate a
+ * lossy mesh. A node can be given limited bandwidth, to simulate a slow
+ * peer. Messages on one connection always arrive in the order sent.
+ *
+ *   const mesh = new MemoryNetwork({ latency: 20, jitter: 10, loss: 0.05 });
+ *   const alice = new P2PNetworkManager(1, 'alice', { transport: mesh.createTransport(), ... });
+ */
+
+const FIRST_EPHEMERAL_PORT = 40000;
+const SEND_BUFFER_SIZE = 64 * 1024; // bytes in flight before send() reports a full buffer
+
+class MemoryConnection {
+  constructor(network, remoteAddress, remotePort, bandwidth = Infinity) {
+    this.network = network;
+    this.remoteAddress = remoteAddress;
+    this.remotePort = remotePort;
+    this.bandwidth = bandwidth; // bytes per second
+    this.peer = null; // the other end
+    this.closed = false;
+    
+    // Messages on their way to the other end, in the order sent: { deliverAt, bytes }
+    this.inFlight = [];
+    this.inFlightBytes = 0;
+    this.linkFreeAt = 0; // when the last message has been put on the link
+    this.full = false;
+    this.timer = null;
+    
+    // Event callbacks
+    this.onMessage = null;
+    this.onClose = null;
+    this.onError = null;
+    this.onDrain = null;
+  }
+
+  send(bytes) {
+    if (this.closed || this.network.shouldDrop()) return true;
+    
+    // Messages take their turn on the link, and never overtake an earlier one whatever the jitter
+    const now = Date.now();
+    this.linkFreeAt = Math.max(now, this.linkFreeAt) + (bytes.length / this.bandwidth) * 1000;
+    const last = this.inFlight[this.inFlight.length - 1];
+    const deliverAt = Math.max(this.linkFreeAt + this.network.delay(), last ? last.deliverAt : 0);
+    this.inFlight.push({ deliverAt, bytes: Uint8Array.from(bytes) });
+    this.inFlightBytes += bytes.length;
+    this.scheduleDelivery();
+    
+    this.full = this.inFlightBytes >= SEND_BUFFER_SIZE;
+    return !this.full;
+  }
+
+  // One timer per connection, so messages due in the same millisecond keep their order
+  scheduleDelivery() {
+    if (this.timer || this.inFlight.length === 0) return;
+    
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      const now = Date.now();
+      while (this.inFlight.length > 0 && this.inFlight[0].deliverAt <= now) {
+        const { bytes } = this.inFlight.shift();
+        this.inFlightBytes -= bytes.length;
+        if (!this.peer.closed && this.peer.onMessage) {
+          this.peer.onMessage(bytes);
+        }
+      }
+      
+      if (this.full && this.inFlightBytes < SEND_BUFFER_SIZE && !this.closed) {
+        this.full = false;
+        if (this.onDrain) {
+          this.onDrain();
+        }
+      }
+      this.scheduleDelivery();
+    }, Math.max(0, this.inFlight[0].deliverAt - Date.now()));
+  }
+
+  close() {
+    if (this.closed) return;
+    
+    this.closed = true;
+    setTimeout(() => {
+      if (this.onClose) {
+        this.onClose();
+      }
+    }, 0);
+    
+    // The other end notices once the last message has arrived
+    const peer = this.peer;
+    const last = this.inFlight[this.inFlight.length - 1];
+    setTimeout(() => {
+      if (peer.closed) return;
+      peer.closed = true;
+      if (peer.onClose) {
+        peer.onClose();
+      }
+    }, Math.max(0, (last ? last.deliverAt : 0) - Date.now()) + this.network.delay());
+  }
+}
+
+class MemoryTransport {
+  constructor(network, address, bandwidth) {
+    this.network = network;
+    this.address = address;
+    this.bandwidth = bandwidth;
+  }
+
+  listen(port, onConnection) {
+    const key = `${this.address}:${port}`;
+    if (this.network.listeners.has(key)) {
+      return Promise.reject(new Error(`listen EADDRINUSE ${key}`));
+    }
+    
+    this.network.listeners.set(key, { onConnection, bandwidth: this.bandwidth });
+    return Promise.resolve({
+      onError: null,
+      close: () => this.network.listeners.delete(key)
+    });
+  }
+
+  connect(address, port) {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const listener = this.network.listeners.get(`${address}:${port}`);
+        if (!listener) {
+          reject(new Error(`connect ECONNREFUSED ${address}:${port}`));
+          return;
+        }
+        
+        // The slower of the two nodes sets the pace in both directions
+        const bandwidth = Math.min(this.bandwidth, listener.bandwidth);
+        const local = new MemoryConnection(this.network, address, port, bandwidth);
+        const remote = new MemoryConnection(this.network, this.address, this.network.nextPort++, bandwidth);
+        local.peer = remote;
+        remote.peer = local;
+        
+        listener.onConnection(remote);
+        resolve(local);
+      }, this.network.delay());
+    });
+  }
+}
+
+export class MemoryNetwork {
+  /**
+   * latency and jitter are in ms; each message takes latency plus up to
+   * jitter to arrive. loss is the share of messages dropped, 0 to 1.
+   */
+  constructor({ latency = 0, jitter = 0, loss = 0 } = {}) {
+    this.latency = latency;
+    this.jitter = jitter;
+    this.loss = loss;
+    
+    // key: "address:port", value: { onConnection, bandwidth } of the listening node
+    this.listeners = new Map();
+    this.nextPort = FIRST_EPHEMERAL_PORT;
+  }
+
+  /**
+   * Transport for one node; nodes on different addresses can share ports.
+   * bandwidth, in bytes per second, limits every link of the node.
+   */
+  createTransport(address = '127.0.0.1', { bandwidth = Infinity } = {}) {
+    return new MemoryTransport(this, address, bandwidth);
+  }
+
+  delay() {
+    return this.latency + Math.random() * this.jitter;
+  }
+
+  shouldDrop() {
+    return this.loss > 0 && Math.random() < this.loss;
+  }
+}
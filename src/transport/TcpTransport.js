@@ -0,0 +1,146 @@
+/**
+ * TCP transport
+ * Carries messages over stream sockets, each prefixed with its 4-byte
+ * big-endian length, the framing the Python version uses. Works with any
+ * module with the net API: react-native-tcp-socket in the app, net in Node.
+ *
+ * Every transport offers the same interface to P2PNetworkManager:
+ * - listen(port, onConnection) resolves to a listener with close() and an
+ *   onError callback; onConnection receives each accepted connection
+ * - connect(address, port) resolves to a connection once it is open
+ * - a connection has remoteAddress, remotePort, send(bytes) for one whole
+ *   message, close(), and onMessage, onClose and onError callbacks, which
+ *   must be set as soon as the connection is handed over
+ * - send() returns false once the connection's outgoing buffer is full; the
+ *   message is still sent, and onDrain is called when the buffer has room
+ *   again, so callers can hold further messages back (see SendQueue)
+ * - a message larger than MAX_FRAME_SIZE is refused: the connection reports
+ *   a ProtocolError through onError and closes
+ */
+
+import { MAX_FRAME_SIZE, ProtocolError } from '../protocol/P2PProtocol.js';
+
+const CONNECT_TIMEOUT = 10000;
+
+class TcpConnection {
+  constructor(socket, remoteAddress, remotePort) {
+    this.socket = socket;
+    this.remoteAddress = remoteAddress;
+    this.remotePort = remotePort;
+    
+    // Event callbacks
+    this.onMessage = null;
+    this.onClose = null;
+    this.onError = null;
+    this.onDrain = null;
+    
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (data) => {
+      buffer = Buffer.concat([buffer, Buffer.from(data)]);
+      
+      // Hand over every complete message, keep the rest for the next chunk
+      while (buffer.length >= 4) {
+        const length = buffer.readUInt32BE(0);
+        if (length > MAX_FRAME_SIZE) {
+          // Don't buffer up to 4 GB for a broken or hostile peer
+          buffer = Buffer.alloc(0);
+          if (this.onError) {
+            this.onError(new ProtocolError(`Frame of ${length} bytes from ${remoteAddress}:${remotePort} exceeds ${MAX_FRAME_SIZE} bytes`));
+          }
+          socket.destroy();
+          return;
+        }
+        if (buffer.length < 4 + length) break;
+        
+        const message = new Uint8Array(buffer.subarray(4, 4 + length));
+        buffer = buffer.subarray(4 + length);
+        if (this.onMessage) {
+          this.onMessage(message);
+        }
+      }
+    });
+    
+    socket.on('drain', () => {
+      if (this.onDrain) {
+        this.onDrain();
+      }
+    });
+    
+    socket.on('close', () => {
+      if (this.onClose) {
+        this.onClose();
+      }
+    });
+    
+    socket.on('error', (error) => {
+      if (this.onError) {
+        this.onError(error);
+      }
+    });
+  }
+
+  send(bytes) {
+    const lengthBuffer = Buffer.allocUnsafe(4);
+    lengthBuffer.writeUInt32BE(bytes.length, 0);
+    return this.socket.write(Buffer.concat([lengthBuffer, Buffer.from(bytes)]));
+  }
+
+  close() {
+    this.socket.destroy();
+  }
+}
+
+export class TcpTransport {
+  constructor(net) {
+    this.net = net;
+  }
+
+  listen(port, onConnection) {
+    return new Promise((resolve, reject) => {
+      const listener = { onError: null, close: () => server.close() };
+      let listening = false;
+      
+      const server = this.net.createServer((socket) => {
+        onConnection(new TcpConnection(socket, socket.remoteAddress, socket.remotePort));
+      });
+      
+      server.on('error', (error) => {
+        // Node reports a failed listen here rather than to the listen callback
+        if (!listening) {
+          reject(error);
+        } else if (listener.onError) {
+          listener.onError(error);
+        }
+      });
+      
+      server.listen({ port, host: '0.0.0.0' }, (error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        listening = true;
+        resolve(listener);
+      });
+    });
+  }
+
+  connect(address, port) {
+    return new Promise((resolve, reject) => {
+      const socket = this.net.createConnection({ port, host: address, timeout: CONNECT_TIMEOUT });
+      const connection = new TcpConnection(socket, address, port);
+      
+      socket.on('connect', () => {
+        // The timeout option is an idle timer, only the connect should be limited by it
+        socket.setTimeout(0);
+        resolve(connection);
+      });
+      // The timer only reports the timeout, the socket has to be dropped here
+      socket.on('timeout', () => {
+        socket.destroy();
+        reject(new Error(`Connection to ${address}:${port} timed out after ${CONNECT_TIMEOUT / 1000}s`));
+      });
+      // Errors once connected go to the connection's onError instead
+      socket.on('error', reject);
+    });
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * WebSocket transport
+ * Carries each message in one binary WebSocket message, for nodes in the
+ * Expo web build, which cannot open TCP sockets. Browsers can only dial out,
+ * so a web node links to a node that listens for WebSockets, e.g. the
+ * terminal client started with --transport websocket.
+ *
+ * Dialing uses a WebSocket class with the browser API (the global one by
+ * default). Listening needs a server class with the API of the ws package,
+ * passed as WebSocketServer; without one, listen() only logs that this node
+ * can't accept connections.
+ */
+
+import { MAX_FRAME_SIZE, ProtocolError } from '../protocol/P2PProtocol.js';
+
+const OPEN = 1; // WebSocket readyState
+
+// WebSockets have no drain event; once bufferedAmount passes this, it is
+// polled until it falls back below
+const SEND_BUFFER_SIZE = 256 * 1024;
+const DRAIN_POLL_INTERVAL = 50;
+
+class WebSocketConnection {
+  constructor(socket, remoteAddress, remotePort) {
+    this.socket = socket;
+    this.remoteAddress = remoteAddress;
+    this.remotePort = remotePort;
+    
+    // Event callbacks
+    this.onMessage = null;
+    this.onClose = null;
+    this.onError = null;
+    this.onDrain = null;
+    this.drainTimer = null;
+    
+    socket.binaryType = 'arraybuffer';
+    socket.onmessage = (event) => {
+      // Text frames are not part of the protocol
+      if (typeof event.data === 'string') return;
+      
+      // Browsers have no limit of their own, ws servers get maxPayload
+      if (event.data.byteLength > MAX_FRAME_SIZE) {
+        if (this.onError) {
+          this.onError(new ProtocolError(`Frame of ${event.data.byteLength} bytes from ${remoteAddress}:${remotePort} exceeds ${MAX_FRAME_SIZE} bytes`));
+        }
+        socket.close();
+        return;
+      }
+      
+      if (this.onMessage) {
+        this.onMessage(new Uint8Array(event.data));
+      }
+    };
+    
+    socket.onclose = () => {
+      clearInterval(this.drainTimer);
+      if (this.onClose) {
+        this.onClose();
+      }
+    };
+    
+    // Browsers don't say what went wrong
+    socket.onerror = (event) => {
+      if (this.onError) {
+        this.onError(event.error || new Error(`WebSocket error on ${remoteAddress}:${remotePort}`));
+      }
+    };
+  }
+
+  send(bytes) {
+    if (this.socket.readyState !== OPEN) return true;
+    
+    this.socket.send(bytes);
+    if (this.socket.bufferedAmount < SEND_BUFFER_SIZE) return true;
+    
+    if (!this.drainTimer) {
+      this.drainTimer = setInterval(() => {
+        if (this.socket.bufferedAmount >= SEND_BUFFER_SIZE && this.socket.readyState === OPEN) return;
+        
+        clearInterval(this.drainTimer);
+        this.drainTimer = null;
+        if (this.onDrain) {
+          this.onDrain();
+        }
+      }, DRAIN_POLL_INTERVAL);
+    }
+    return false;
+  }
+
+  close() {
+    clearInterval(this.drainTimer);
+    this.socket.close();
+  }
+}
+
+export class WebSocketTransport {
+  constructor({ WebSocket = globalThis.WebSocket, WebSocketServer = null } = {}) {
+    this.WebSocket = WebSocket;
+    this.WebSocketServer = WebSocketServer;
+  }
+
+  listen(port, onConnection) {
+    if (!this.WebSocketServer) {
+      console.log('WebSocket transport can only dial out here, not accepting connections');
+      return Promise.resolve({ onError: null, close: () => {} });
+    }
+    
+    return new Promise((resolve, reject) => {
+      const server = new this.WebSocketServer({ port, maxPayload: MAX_FRAME_SIZE });
+      const listener = { onError: null, close: () => server.close() };
+      let listening = false;
+      
+      server.on('connection', (socket, request) => {
+        const { remoteAddress, remotePort } = request.socket;
+        onConnection(new WebSocketConnection(socket, remoteAddress, remotePort));
+      });
+      
+      server.on('listening', () => {
+        listening = true;
+        resolve(listener);
+      });
+      
+      server.on('error', (error) => {
+        if (!listening) {
+          reject(error);
+        } else if (listener.onError) {
+          listener.onError(error);
+        }
+      });
+    });
+  }
+
+  connect(address, port) {
+    return new Promise((resolve, reject) => {
+      const host = address.includes(':') ? `[${address}]` : address;
+      const socket = new this.WebSocket(`ws://${host}:${port}`);
+      
+      socket.onopen = () => resolve(new WebSocketConnection(socket, address, port));
+      socket.onerror = () => reject(new Error(`Could not open a WebSocket to ${address}:${port}`));
+    });
+  }
+}
@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAddress, parseCommand, runCommand, GLOBAL_THREAD } from '../src/commands.js';
+
+// Context with a network that only knows the calls a test needs
+const commandContext = (network, overrides = {}) => {
+  const lines = [];
+  const context = {
+    network,
+    nickname: 'alice',
+    print: line => lines.push(line),
+    activeThread: GLOBAL_THREAD,
+    switchThread: thread => { context.activeThread = thread; },
+    channelsChanged: () => {},
+    ...overrides
+  };
+  return { context, lines };
+};
+
+describe('command parsing', () => {
+  it('splits the name, words and rest of the line', () => {
+    assert.deepEqual(parseCommand('MSG bob hi  there'), {
+      name: 'msg', args: ['bob', 'hi', '', 'there'], argString: 'bob hi  there'
+    });
+  });
+
+  it('parses host:port, keeping colons in the host', () => {
+    assert.deepEqual(parseAddress('10.0.0.2:8888'), ['10.0.0.2', 8888]);
+    assert.deepEqual(parseAddress('::1:8888'), ['::1', 8888]);
+    assert.equal(parseAddress('10.0.0.2'), null);
+    assert.equal(parseAddress(':8888'), null);
+  });
+});
+
+describe('runCommand', () => {
+  it('blocks through the network manager, and refuses to block ourselves', () => {
+    const blocked = [];
+    const { context, lines } = commandContext({
+      blockPeer: nickname => blocked.push(nickname) > 0,
+      getBlockedPeers: () => blocked.map(nickname => ({ nickname, fingerprint: 'ab12 cd34' }))
+    });
+
+    runCommand('block bob', context);
+    runCommand('block alice', context);
+
+    assert.deepEqual(blocked, ['bob']);
+    assert.match(lines[0], /Blocked bob/);
+    assert.match(lines[1], /can't block yourself/);
+  });
+
+  it('says when a block goes by nickname', () => {
+    const { context, lines } = commandContext({
+      blockPeer: () => true,
+      getBlockedPeers: () => [{ nickname: 'legacy', fingerprint: null }]
+    });
+
+    runCommand('block legacy', context);
+
+    assert.equal(lines.length, 2);
+    assert.match(lines[1], /no identity key, so this goes by nickname/);
+  });
+
+  it('switches to the conversation of a private message', () => {
+    const sent = [];
+    const { context } = commandContext({ sendPrivateMessage: (to, text) => sent.push([to, text]) });
+
+    runCommand('msg bob hi there', context);
+
+    assert.deepEqual(sent, [['bob', 'hi there']]);
+    assert.equal(context.activeThread, '@bob');
+  });
+
+  it('prefers the front end\'s commands, and lists them in /help', () => {
+    const cleared = [];
+    const { context, lines } = commandContext(null, {
+      help: { commands: ['/clear - Clear the screen'], notes: ['📝 note'] },
+      commands: { clear: (args, argString) => cleared.push(argString) }
+    });
+
+    runCommand('clear all', context);
+    runCommand('help', context);
+
+    assert.deepEqual(cleared, ['all']);
+    assert.ok(lines.includes('/clear - Clear the screen'));
+    assert.equal(lines[lines.length - 1], '📝 note');
+  });
+
+  it('reports unknown commands, and commands run before the network is up', () => {
+    const { context, lines } = commandContext(null);
+
+    runCommand('frobnicate', context);
+    runCommand('peers', context);
+
+    assert.match(lines[0], /Unknown command: \/frobnicate/);
+    assert.match(lines[1], /still starting/);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DedupCache, DEDUP_TTL } from '../src/protocol/DedupCache.js';
+
+describe('DedupCache', () => {
+  afterEach(() => mock.timers.reset());
+
+  it('keys entries by origin and sequence', () => {
+    const cache = new DedupCache();
+    assert.equal(cache.check(1, 5), false);
+    assert.equal(cache.check(1, 5), true);
+    assert.equal(cache.check(2, 5), false);
+    assert.equal(cache.check(1, 6), false);
+    assert.equal(cache.check('alice', 5), false);
+  });
+
+  it('forgets entries once they expire', () => {
+    mock.timers.enable({ apis: ['Date'] });
+    const cache = new DedupCache();
+    cache.check(1, 1);
+    mock.timers.tick(DEDUP_TTL / 2);
+    cache.check(1, 2);
+    
+    mock.timers.tick(DEDUP_TTL / 2 + 1);
+    assert.equal(cache.getStats().size, 1);
+    assert.equal(cache.check(1, 2), true);
+    assert.equal(cache.check(1, 1), false);
+  });
+
+  it('evicts the oldest entries beyond its size limit', () => {
+    const cache = new DedupCache({ maxEntries: 100 });
+    for (let sequence = 0; sequence <= 100; sequence++) {
+      cache.check(1, sequence);
+    }
+    
+    assert.equal(cache.getStats().size, 100);
+    assert.equal(cache.getStats().evictions, 1);
+    assert.equal(cache.check(1, 100), true);
+    assert.equal(cache.check(1, 0), false);
+  });
+
+  it('reports hit and collision rates', () => {
+    const cache = new DedupCache();
+    cache.check(1, 1, 0xAAAA);
+    cache.check(1, 1, 0xAAAA);
+    cache.check(1, 1, 0xBBBB);
+    cache.check(1, 2, 0xAAAA);
+    
+    const stats = cache.getStats();
+    assert.equal(stats.checks, 4);
+    assert.equal(stats.hits, 1);
+    assert.equal(stats.collisions, 1);
+    assert.equal(stats.hitRate, 0.25);
+    assert.equal(stats.collisionRate, 0.25);
+  });
+
+  it('refuses an unknown mode', () => {
+    assert.throws(() => new DedupCache({ mode: 'lru' }), /Unknown dedup mode/);
+  });
+});
+
+describe('DedupCache in bloom mode', () => {
+  afterEach(() => mock.timers.reset());
+
+  it('catches repeats with few false positives', () => {
+    const cache = new DedupCache({ mode: 'bloom' });
+    let falsePositives = 0;
+    for (let sequence = 0; sequence < 5000; sequence++) {
+      if (cache.check(7, sequence)) falsePositives++;
+    }
+    for (let sequence = 0; sequence < 5000; sequence++) {
+      assert.equal(cache.check(7, sequence), true);
+    }
+    for (let sequence = 5000; sequence < 10000; sequence++) {
+      if (cache.check(8, sequence)) falsePositives++;
+    }
+    
+    assert.ok(falsePositives < 40, `${falsePositives} false positives`);
+    assert.ok(cache.getStats().falsePositiveRate < 0.01);
+  });
+
+  it('lets a different payload under a seen key through', () => {
+    const cache = new DedupCache({ mode: 'bloom' });
+    assert.equal(cache.check(3, 9, 111), false);
+    assert.equal(cache.check(3, 9, 222), false);
+    assert.equal(cache.check(3, 9, 222), true);
+  });
+
+  it('forgets keys after one to two half-ttls', () => {
+    mock.timers.enable({ apis: ['Date'] });
+    const cache = new DedupCache({ mode: 'bloom' });
+    cache.check(1, 1);
+    
+    mock.timers.tick(DEDUP_TTL / 2);
+    assert.equal(cache.check(1, 1), true);
+    mock.timers.tick(DEDUP_TTL / 2);
+    assert.equal(cache.check(1, 1), false);
+  });
+});
@@ -0,0 +1,243 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import net from 'net';
+import { TcpTransport } from '../src/transport/TcpTransport.js';
+import { MAX_FRAME_SIZE, ProtocolError } from '../src/protocol/P2PProtocol.js';
+import { waitFor, seededRandom } from './helpers.js';
+
+const bytes = (length, seed = 0) => Uint8Array.from({ length }, (_, i) => (i + seed) % 256);
+
+// The length prefix a frame carries on the wire
+const frame = (payload) => {
+  const wire = Buffer.alloc(4 + payload.length);
+  wire.writeUInt32BE(payload.length, 0);
+  wire.set(payload, 4);
+  return wire;
+};
+
+/**
+ * Socket stand-in: the test pushes raw chunks in with receive() and sees
+ * what the transport writes in written
+ */
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.remoteAddress = '10.0.0.2';
+    this.remotePort = 40000;
+    this.written = [];
+  }
+
+  receive(chunk) {
+    this.emit('data', chunk);
+  }
+
+  write(data) {
+    this.written.push(Buffer.from(data));
+  }
+
+  setTimeout(timeout) {
+    this.timeout = timeout;
+  }
+
+  destroy() {
+    this.destroyed = true;
+    this.emit('close');
+  }
+}
+
+// A port nothing is listening on right now
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.on('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+// An accepted connection over a FakeSocket, collecting the messages it hands over
+const acceptFake = async () => {
+  const socket = new FakeSocket();
+  const fakeNet = {
+    createServer(onSocket) {
+      const server = new EventEmitter();
+      server.listen = (options, callback) => {
+        onSocket(socket);
+        callback();
+      };
+      return server;
+    }
+  };
+  
+  let connection;
+  await new TcpTransport(fakeNet).listen(8888, (accepted) => {
+    connection = accepted;
+  });
+  
+  const messages = [];
+  connection.onMessage = (message) => messages.push(message);
+  return { socket, connection, messages };
+};
+
+describe('TcpTransport framing', () => {
+  it('hands over a message that arrives in one chunk', async () => {
+    const { socket, messages } = await acceptFake();
+    socket.receive(frame(bytes(10)));
+    
+    assert.equal(messages.length, 1);
+    assert.deepEqual(messages[0], bytes(10));
+  });
+
+  it('reassembles a message split across chunks, down to single bytes', async () => {
+    const { socket, messages } = await acceptFake();
+    const wire = frame(bytes(300));
+    
+    for (let i = 0; i < wire.length; i++) {
+      socket.receive(wire.subarray(i, i + 1));
+      assert.equal(messages.length, i === wire.length - 1 ? 1 : 0);
+    }
+    assert.deepEqual(messages[0], bytes(300));
+  });
+
+  it('waits for a length prefix split between chunks', async () => {
+    const { socket, messages } = await acceptFake();
+    const wire = frame(bytes(65000));
+    
+    socket.receive(wire.subarray(0, 2));
+    socket.receive(wire.subarray(2, 5));
+    assert.equal(messages.length, 0);
+    socket.receive(wire.subarray(5));
+    
+    assert.equal(messages.length, 1);
+    assert.deepEqual(messages[0], bytes(65000));
+  });
+
+  it('splits coalesced messages in one chunk', async () => {
+    const { socket, messages } = await acceptFake();
+    socket.receive(Buffer.concat([frame(bytes(5, 1)), frame(bytes(0)), frame(bytes(9, 2))]));
+    
+    assert.deepEqual(messages, [bytes(5, 1), new Uint8Array(0), bytes(9, 2)]);
+  });
+
+  it('handles coalesced and split messages mixed together', async () => {
+    const { socket, messages } = await acceptFake();
+    const payloads = [bytes(3, 1), bytes(1000, 2), bytes(17, 3), bytes(65535, 4)];
+    const wire = Buffer.concat(payloads.map(frame));
+    
+    // Chunk boundaries that fall inside prefixes, payloads and between frames
+    const cuts = [1, 6, 7, 500, 1011, 1012, 1030, 40000, wire.length];
+    let start = 0;
+    cuts.forEach(end => {
+      socket.receive(wire.subarray(start, end));
+      start = end;
+    });
+    
+    assert.deepEqual(messages, payloads);
+  });
+
+  it('reassembles frames cut at random points', async () => {
+    const random = seededRandom(23);
+    const { socket, messages } = await acceptFake();
+    const payloads = Array.from({ length: 50 }, (_, i) => bytes(Math.floor(random() * 3000), i));
+    const wire = Buffer.concat(payloads.map(frame));
+    
+    let start = 0;
+    while (start < wire.length) {
+      const end = Math.min(wire.length, start + 1 + Math.floor(random() * 4000));
+      socket.receive(wire.subarray(start, end));
+      start = end;
+    }
+    
+    assert.deepEqual(messages, payloads);
+  });
+
+  it('refuses a length prefix over MAX_FRAME_SIZE and closes the connection', async () => {
+    const { socket, connection, messages } = await acceptFake();
+    const errors = [];
+    let closed = false;
+    connection.onError = (error) => errors.push(error);
+    connection.onClose = () => {
+      closed = true;
+    };
+    
+    socket.receive(frame(bytes(MAX_FRAME_SIZE)));
+    const prefix = Buffer.alloc(4);
+    prefix.writeUInt32BE(0xffffffff, 0);
+    socket.receive(prefix);
+    
+    assert.equal(messages.length, 1);
+    assert.equal(errors.length, 1);
+    assert.ok(errors[0] instanceof ProtocolError);
+    assert.ok(closed);
+  });
+
+  it('hands over copies that later chunks cannot change', async () => {
+    const { socket, messages } = await acceptFake();
+    const chunk = Buffer.concat([frame(bytes(4)), frame(bytes(4, 9)).subarray(0, 2)]);
+    socket.receive(chunk);
+    chunk.fill(0xff);
+    
+    assert.deepEqual(messages[0], bytes(4));
+  });
+
+  it('prefixes what it sends with the big-endian length', async () => {
+    const { socket, connection } = await acceptFake();
+    connection.send(bytes(258));
+    
+    assert.equal(socket.written.length, 1);
+    assert.deepEqual(Array.from(socket.written[0].subarray(0, 4)), [0, 0, 1, 2]);
+    assert.deepEqual(new Uint8Array(socket.written[0].subarray(4)), bytes(258));
+  });
+
+  it('carries messages both ways over real sockets', async () => {
+    const transport = new TcpTransport(net);
+    const received = [];
+    let accepted;
+    const port = await freePort();
+    const listener = await transport.listen(port, (connection) => {
+      accepted = connection;
+      connection.onMessage = (message) => received.push(message);
+    });
+    
+    try {
+      const connection = await transport.connect('127.0.0.1', port);
+      const replies = [];
+      connection.onMessage = (message) => replies.push(message);
+      
+      const payloads = [bytes(1), bytes(MAX_FRAME_SIZE, 7), bytes(0), bytes(12, 3)];
+      payloads.forEach(payload => connection.send(payload));
+      await waitFor(() => received.length === payloads.length, 5000, 'messages over TCP');
+      assert.deepEqual(received, payloads);
+      
+      accepted.send(bytes(5));
+      await waitFor(() => replies.length === 1, 5000, 'reply over TCP');
+      assert.deepEqual(replies[0], bytes(5));
+      
+      connection.close();
+    } finally {
+      listener.close();
+    }
+  });
+
+  it('gives up on a connect that times out, and stops the idle timer once connected', async () => {
+    const sockets = [];
+    const fakeNet = {
+      createConnection() {
+        sockets.push(new FakeSocket());
+        return sockets[sockets.length - 1];
+      }
+    };
+    const transport = new TcpTransport(fakeNet);
+    
+    const stalled = transport.connect('10.0.0.2', 8888);
+    sockets[0].emit('timeout');
+    await assert.rejects(stalled, /10\.0\.0\.2:8888 timed out/);
+    assert.equal(sockets[0].destroyed, true);
+    
+    const connecting = transport.connect('10.0.0.3', 8888);
+    sockets[1].emit('connect');
+    await connecting;
+    assert.equal(sockets[1].timeout, 0);
+  });
+});
@@ -0,0 +1,175 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  P2PProtocol,
+  Message,
+  MessageType,
+  FragmentReassembler,
+  ProtocolError,
+  MAX_MESSAGE_SIZE
+} from '../src/protocol/P2PProtocol.js';
+import { seededRandom } from './helpers.js';
+
+const protocol = new P2PProtocol(true);
+
+// Header: [Type:1][TTL:1][ID:4][Len:2], then the payload
+const header = (type, ttl, length) => [type, ttl, 0, 0, 0, 1, length >> 8, length & 0xff];
+const wire = (...parts) => Uint8Array.from(parts.flat());
+
+// Fragment payload: [OriginalType:1][GroupID:4][Index:2][Count:2][Data]
+const fragment = (type, group, index, count, data = [1, 2, 3]) => new Message(
+  MessageType.FRAGMENT, 3, group,
+  wire([type, 0, 0, 0, group, index >> 8, index & 0xff, count >> 8, count & 0xff], Array.from(data))
+);
+
+const randomBytes = (random, length) => Uint8Array.from({ length }, () => Math.floor(random() * 256));
+
+/**
+ * Parse, and fail the test on anything but a Message or a ProtocolError
+ */
+const parseOrReject = (data, context) => {
+  try {
+    const message = protocol.parse(data);
+    assert.ok(message instanceof Message, context);
+    assert.ok(message.payload.length <= MAX_MESSAGE_SIZE, context);
+    return message;
+  } catch (error) {
+    if (!(error instanceof ProtocolError)) {
+      assert.fail(`${context}: ${error.stack}`);
+    }
+    return null;
+  }
+};
+
+// Frames that must be refused, with what is wrong with them
+const MALFORMED_FRAMES = {
+  'empty': wire(),
+  'one byte': wire([MessageType.PING]),
+  'header cut short': wire(header(MessageType.PING, 1, 0).slice(0, 7)),
+  'length past the end': wire(header(MessageType.CHAT_MESSAGE, 3, 10), [1, 2, 3]),
+  'maximum length, no payload': wire(header(MessageType.CHAT_MESSAGE, 3, 0xffff)),
+  'type zero': wire(header(0x00, 3, 0)),
+  'unknown type': wire(header(0x7f, 3, 0)),
+  'unknown compressed type': wire(header(0xff, 3, 0)),
+  'TTL above 7': wire(header(MessageType.PING, 8, 0)),
+  'TTL 255': wire(header(MessageType.PING, 255, 0)),
+  'compressed, garbage': wire(header(MessageType.CHAT_MESSAGE | 0x80, 3, 4), [0xff, 0xff, 0xff, 0xff]),
+  'compressed, match before the start': wire(header(MessageType.CHAT_MESSAGE | 0x80, 3, 4), [0x14, 0x41, 0x09, 0x00]),
+  'compressed, literal run past the end': wire(header(MessageType.CHAT_MESSAGE | 0x80, 3, 3), [0xf0, 0xff, 0x10])
+};
+
+// Fragments the reassembler must refuse
+const MALFORMED_FRAGMENTS = {
+  'no data': new Message(MessageType.FRAGMENT, 3, 1, wire([MessageType.CHAT_MESSAGE, 0, 0, 0, 1, 0, 0, 0, 2])),
+  'count of one': fragment(MessageType.CHAT_MESSAGE, 2, 0, 1),
+  'count of zero': fragment(MessageType.CHAT_MESSAGE, 3, 0, 0),
+  'index past the count': fragment(MessageType.CHAT_MESSAGE, 4, 2, 2),
+  'count past the size limit': fragment(MessageType.CHAT_MESSAGE, 5, 0, 0xffff),
+  'nested fragment': fragment(MessageType.FRAGMENT, 6, 0, 2),
+  'unknown type': fragment(0x7f, 7, 0, 2)
+};
+
+describe('P2PProtocol.parse on malformed input', () => {
+  Object.entries(MALFORMED_FRAMES).forEach(([name, data]) => {
+    it(`refuses a frame: ${name}`, () => {
+      assert.throws(() => protocol.parse(data), ProtocolError);
+      assert.equal(protocol.deserialize(data), null);
+    });
+  });
+
+  it('ignores bytes after the declared payload', () => {
+    const message = protocol.parse(wire(header(MessageType.PING, 1, 2), [7, 8, 9, 10]));
+    assert.deepEqual(Array.from(message.payload), [7, 8]);
+  });
+
+  it('only returns messages or throws ProtocolError for random bytes', () => {
+    const random = seededRandom(1);
+    for (let i = 0; i < 3000; i++) {
+      parseOrReject(randomBytes(random, Math.floor(random() * 300)), `random frame ${i}`);
+    }
+  });
+
+  it('only returns messages or throws ProtocolError for mutated valid frames', () => {
+    const random = seededRandom(2);
+    const valid = [
+      protocol.serialize(protocol.createPing()),
+      protocol.serialize(protocol.createChatMessage('hello')),
+      protocol.serialize(protocol.createChatMessage('compress me '.repeat(100)), true),
+      protocol.serialize(protocol.createRoutingUpdate('alice', [{ node: 'bob', hops: 1 }])),
+      ...protocol.fragment(new Message(MessageType.CHAT_MESSAGE, 3, 9, randomBytes(random, 70000)))
+        .map(part => protocol.serialize(part))
+    ];
+
+    for (let i = 0; i < 3000; i++) {
+      const source = valid[Math.floor(random() * valid.length)];
+      let data = Uint8Array.from(source);
+      const mutation = Math.floor(random() * 4);
+      if (mutation === 0) {
+        // Flip a few bits, often in the header
+        for (let flips = 1 + Math.floor(random() * 4); flips > 0; flips--) {
+          const at = random() < 0.5 ? Math.floor(random() * 8) : Math.floor(random() * data.length);
+          data[at] ^= 1 << Math.floor(random() * 8);
+        }
+      } else if (mutation === 1) {
+        data = data.slice(0, Math.floor(random() * data.length));
+      } else if (mutation === 2) {
+        data = wire(Array.from(data), Array.from(randomBytes(random, 1 + Math.floor(random() * 50))));
+      } else {
+        // Overwrite the declared length
+        data[6] = Math.floor(random() * 256);
+        data[7] = Math.floor(random() * 256);
+      }
+      parseOrReject(data, `mutation ${mutation} of frame ${valid.indexOf(source)}, case ${i}`);
+    }
+  });
+});
+
+describe('FragmentReassembler on malformed input', () => {
+  Object.entries(MALFORMED_FRAGMENTS).forEach(([name, message]) => {
+    it(`refuses a fragment: ${name}`, () => {
+      assert.throws(() => new FragmentReassembler().add(message, 'link'), ProtocolError);
+    });
+  });
+
+  it('refuses a fragment that contradicts the rest of its group', () => {
+    const reassembler = new FragmentReassembler();
+    assert.equal(reassembler.add(fragment(MessageType.CHAT_MESSAGE, 8, 0, 3), 'link'), null);
+    assert.throws(() => reassembler.add(fragment(MessageType.CHAT_MESSAGE, 8, 1, 4), 'link'), ProtocolError);
+    assert.throws(() => reassembler.add(fragment(MessageType.FILE_CHUNK, 8, 1, 3), 'link'), ProtocolError);
+  });
+
+  it('refuses a group that grows past the size limit', () => {
+    const reassembler = new FragmentReassembler();
+    const data = new Uint8Array(65000);
+    const count = Math.ceil(MAX_MESSAGE_SIZE / 60000);
+
+    assert.throws(() => {
+      for (let index = 0; index < count; index++) {
+        reassembler.add(fragment(MessageType.CHAT_MESSAGE, 9, index, count, data), 'link');
+      }
+    }, ProtocolError);
+  });
+
+  it('only returns messages, null or throws ProtocolError for random fragments', () => {
+    const random = seededRandom(3);
+    const reassembler = new FragmentReassembler();
+    for (let i = 0; i < 3000; i++) {
+      // Small counts and groups, so some groups get completed
+      const count = Math.floor(random() * 4);
+      const message = random() < 0.2
+        ? new Message(MessageType.FRAGMENT, 3, i, randomBytes(random, Math.floor(random() * 20)))
+        : fragment(random() < 0.9 ? MessageType.CHAT_MESSAGE : Math.floor(random() * 256),
+          Math.floor(random() * 8), Math.floor(random() * (count + 1)), count,
+          randomBytes(random, 1 + Math.floor(random() * 100)));
+
+      try {
+        const result = reassembler.add(message, `link${Math.floor(random() * 2)}`);
+        assert.ok(result === null || result instanceof Message, `fragment ${i}`);
+      } catch (error) {
+        if (!(error instanceof ProtocolError)) {
+          assert.fail(`fragment ${i}: ${error.stack}`);
+        }
+      }
+    }
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Shared helpers for the test suite
+ */
+
+import { P2PNetworkManager } from '../src/network/P2PNetworkManager.js';
+import { NodeIdentity } from '../src/crypto/NodeIdentity.js';
+
+/**
+ * Key-value store with the AsyncStorage API, kept in memory
+ */
+export class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  async getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  async setItem(key, value) {
+    this.items.set(key, value);
+  }
+
+  async removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+/**
+ * A started node on a MemoryNetwork that records what it receives in
+ * node.received: { from, to?, text, channel?, own }. transportOptions are
+ * passed to createTransport, e.g. { bandwidth }, options to the manager,
+ * e.g. { rateLimits }, except port (8888 unless given).
+ */
+export const startNode = async (network, nickname, address, transportOptions = {}, options = {}) => {
+  const { port = 8888, ...managerOptions } = options;
+  const node = new P2PNetworkManager(port, nickname, {
+    transport: network.createTransport(address, transportOptions),
+    storage: new MemoryStorage(),
+    identity: NodeIdentity.generate(),
+    ...managerOptions
+  });
+  
+  node.received = [];
+  node.statuses = new Map(); // key: msgId, value: latest status
+  node.onMessage = (from, text, own, meta) => {
+    node.received.push({ from, text, channel: meta.channel || null, own });
+  };
+  node.onPrivateMessage = (from, to, text, own) => {
+    node.received.push({ from, to, text, own });
+  };
+  node.onMessageStatus = (msgId, status) => node.statuses.set(msgId, status);
+  
+  await node.start();
+  return node;
+};
+
+/**
+ * Resolve once condition() is true, checking every few milliseconds
+ */
+export const waitFor = (condition, timeout = 5000, description = 'condition') =>
+  new Promise((resolve, reject) => {
+    const startedAt = Date.now();
+    const check = () => {
+      if (condition()) {
+        resolve();
+      } else if (Date.now() - startedAt > timeout) {
+        reject(new Error(`Timed out waiting for ${description}`));
+      } else {
+        setTimeout(check, 5);
+      }
+    };
+    check();
+  });
+
+/**
+ * Deterministic random numbers in [0, 1) (mulberry32), so a failing fuzz
+ * case can be replayed from its seed
+ */
+export const seededRandom = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+export const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
@@ -0,0 +1,684 @@
+import { describe, it, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryNetwork } from '../src/transport/MemoryTransport.js';
+import { P2PProtocol, MessageType } from '../src/protocol/P2PProtocol.js';
+import { BlockList } from '../src/storage/BlockList.js';
+import { startNode, waitFor, delay } from './helpers.js';
+
+// The manager logs every connection and route change
+before(() => {
+  console.log = () => {};
+  console.warn = () => {};
+});
+
+/**
+ * Start nodes on their own addresses and link them in a line:
+ * nicknames[0] - nicknames[1] - ... - nicknames[n-1]
+ */
+const startLine = async (network, nicknames) => {
+  const nodes = [];
+  for (let i = 0; i < nicknames.length; i++) {
+    nodes.push(await startNode(network, nicknames[i], `10.0.0.${i + 1}`));
+  }
+  for (let i = 1; i < nodes.length; i++) {
+    await nodes[i].connectToPeer(`10.0.0.${i}`, 8888);
+  }
+  
+  // Everyone knows a route to everyone else
+  await waitFor(() => nodes.every(node =>
+    nodes.every(other => other === node || node.routes.has(other.nickname))
+  ), 5000, 'routes across the line');
+  return nodes;
+};
+
+const texts = (node, filter = () => true) =>
+  node.received.filter(entry => !entry.own && filter(entry)).map(entry => entry.text);
+
+describe('Multi-hop mesh', () => {
+  let nodes = [];
+  afterEach(() => {
+    nodes.forEach(node => node.stop());
+    nodes = [];
+  });
+
+  it('learns routes with hop counts along a line', async () => {
+    nodes = await startLine(new MemoryNetwork(), ['alice', 'bob', 'carol', 'dave']);
+    const [alice] = nodes;
+    
+    assert.equal(alice.routes.get('bob').hopCount, 1);
+    assert.equal(alice.routes.get('carol').hopCount, 2);
+    assert.equal(alice.routes.get('dave').hopCount, 3);
+    assert.equal(alice.routes.get('dave').nextHop, alice.routes.get('bob').nextHop);
+  });
+
+  it('floods a broadcast to every node exactly once', async () => {
+    nodes = await startLine(new MemoryNetwork(), ['alice', 'bob', 'carol', 'dave']);
+    const [alice, bob, carol, dave] = nodes;
+    
+    alice.sendMessage('hello mesh');
+    await waitFor(() => texts(dave).length > 0, 5000, 'broadcast at dave');
+    await delay(50);
+    
+    [bob, carol, dave].forEach(node => assert.deepEqual(texts(node), ['hello mesh']));
+  });
+
+  it('delivers a private message across hops only to its recipient, and acknowledges it', async () => {
+    nodes = await startLine(new MemoryNetwork(), ['alice', 'bob', 'carol', 'dave']);
+    const [alice, bob, carol, dave] = nodes;
+    
+    const id = alice.sendPrivateMessage('dave', 'just for dave');
+    await waitFor(() => texts(dave).length > 0, 5000, 'private message at dave');
+    await waitFor(() => alice.statuses.get(id) === 'delivered', 5000, 'ACK at alice');
+    
+    assert.deepEqual(texts(dave), ['just for dave']);
+    assert.deepEqual(texts(bob), []);
+    assert.deepEqual(texts(carol), []);
+  });
+
+  it('retransmits a broadcast until every reachable node has acknowledged it', { timeout: 20000 }, async () => {
+    nodes = await startLine(new MemoryNetwork(), ['alice', 'bob', 'carol']);
+    const [alice, , carol] = nodes;
+    
+    // carol's first ACK is lost
+    const sendAck = carol.sendAck.bind(carol);
+    let acks = 0;
+    carol.sendAck = (...args) => {
+      if (acks++ > 0) sendAck(...args);
+    };
+    const statuses = [];
+    alice.onMessageStatus = (msgId, status, delivered, expected) => statuses.push([status, delivered, expected]);
+    
+    alice.sendMessage('everyone?');
+    await waitFor(() => statuses.some(([, delivered]) => delivered === 2), 15000, 'second ACK at alice');
+    
+    assert.deepEqual(statuses, [['delivered', 1, 2], ['delivered', 2, 2]]);
+    assert.deepEqual(texts(carol), ['everyone?']);
+  });
+
+  it('settles a channel message once non-members have answered too', async () => {
+    nodes = await startLine(new MemoryNetwork(), ['alice', 'bob', 'carol']);
+    const [alice, , carol] = nodes;
+    alice.joinChannel('ops');
+    carol.joinChannel('ops');
+    const statuses = [];
+    alice.onMessageStatus = (msgId, status, delivered, expected) => statuses.push([status, delivered, expected]);
+    
+    const id = alice.sendMessage('deploy', 3, 'ops');
+    await waitFor(() => alice.pendingAcks.get(id)?.settled, 5000, 'message to settle');
+    
+    assert.deepEqual(statuses, [['delivered', 1, 1]]);
+  });
+
+  it('keeps the order of messages from one sender', async () => {
+    nodes = await startLine(new MemoryNetwork({ latency: 5, jitter: 20 }), ['alice', 'bob', 'carol']);
+    const [alice, , carol] = nodes;
+    const sent = Array.from({ length: 20 }, (_, i) => `message ${i}`);
+    
+    sent.forEach(text => alice.sendMessage(text));
+    await waitFor(() => texts(carol).length === sent.length, 5000, 'all messages at carol');
+    
+    assert.deepEqual(texts(carol), sent);
+  });
+
+  it('delivers large messages in fragments across hops', async () => {
+    nodes = await startLine(new MemoryNetwork(), ['alice', 'bob', 'carol']);
+    const [alice, , carol] = nodes;
+    const text = 'x'.repeat(300000);
+    
+    alice.sendMessage(text);
+    await waitFor(() => texts(carol).length > 0, 5000, 'large message at carol');
+    
+    assert.equal(texts(carol)[0], text);
+  });
+
+  it('learns the keys of remote nodes from their signed announcements', async () => {
+    nodes = await startLine(new MemoryNetwork(), ['alice', 'bob', 'carol']);
+    const [alice, , carol] = nodes;
+    await waitFor(() => alice.e2e.hasPeerKey('carol'), 5000, 'carol\'s key at alice');
+    
+    assert.equal(alice.e2e.getPeerKey('carol'), carol.e2e.publicKey);
+    assert.equal(alice.trust.getPin('carol'), carol.identity.signingKey);
+    assert.ok(alice.canEncryptBroadcast());
+  });
+
+  it('does not learn a remote key that a relay swapped in', async () => {
+    const network = new MemoryNetwork();
+    nodes = [
+      await startNode(network, 'alice', '10.0.0.1'),
+      await startNode(network, 'bob', '10.0.0.2'),
+      await startNode(network, 'carol', '10.0.0.3')
+    ];
+    const [alice, bob] = nodes;
+    await bob.connectToPeer('10.0.0.3', 8888);
+    await waitFor(() => bob.announcements.has('carol'), 5000, 'carol\'s announcement at bob');
+    
+    // Bob relays carol's signed announcement with his own encryption key in it
+    bob.announcements.set('carol', { ...bob.announcements.get('carol'), publicKey: bob.e2e.publicKey });
+    await alice.connectToPeer('10.0.0.2', 8888);
+    await waitFor(() => alice.routes.has('carol'), 5000, 'route to carol at alice');
+    await delay(50);
+    
+    assert.equal(alice.e2e.hasPeerKey('carol'), false);
+    assert.deepEqual(alice.getEncryptionStatus(), { total: 2, secured: 1 });
+    assert.equal(alice.canEncryptBroadcast(), false);
+  });
+
+  it('does not learn a remote key signed by another identity than the pinned one', async () => {
+    const network = new MemoryNetwork();
+    nodes = [
+      await startNode(network, 'alice', '10.0.0.1'),
+      await startNode(network, 'bob', '10.0.0.2'),
+      await startNode(network, 'carol', '10.0.0.3')
+    ];
+    const [alice, bob, carol] = nodes;
+    alice.trust.pin('carol', carol.identity.signingKey);
+    await bob.connectToPeer('10.0.0.3', 8888);
+    await waitFor(() => bob.announcements.has('carol'), 5000, 'carol\'s announcement at bob');
+    
+    // A valid announcement for "carol", but signed with bob's own identity
+    const forged = {
+      nickname: 'carol',
+      publicKey: bob.e2e.publicKey,
+      signingKey: bob.identity.signingKey,
+      timestamp: Date.now()
+    };
+    bob.announcements.set('carol', { ...forged, signature: bob.identity.signAnnouncement(forged) });
+    await alice.connectToPeer('10.0.0.2', 8888);
+    await waitFor(() => alice.routes.has('carol'), 5000, 'route to carol at alice');
+    await delay(50);
+    
+    assert.equal(alice.e2e.hasPeerKey('carol'), false);
+    assert.equal(alice.trust.getPin('carol'), carol.identity.signingKey);
+  });
+
+  it('does not take a replayed announcement as its signer on a new link', async () => {
+    const network = new MemoryNetwork();
+    nodes = [
+      await startNode(network, 'alice', '10.0.0.1'),
+      await startNode(network, 'bob', '10.0.0.2'),
+      await startNode(network, 'mallory', '10.0.0.9')
+    ];
+    const [alice, bob, mallory] = nodes;
+    await bob.connectToPeer('10.0.0.1', 8888);
+    await waitFor(() => alice.announcements.has('bob'), 5000, 'bob at alice');
+    
+    // Mallory copies bob's signed announcement, as relayed in routing updates,
+    // and answers alice's challenge with her own key
+    const copied = alice.announcements.get('bob');
+    mallory.sendPeerAnnouncement = (peerKey) => {
+      const link = mallory.links.get(peerKey);
+      mallory.sendToPeer(mallory.protocol.createPeerAnnouncement({
+        ...copied,
+        challenge: link.challenge,
+        proof: link.peerChallenge ? mallory.identity.signLinkProof(copied, link.peerChallenge) : undefined
+      }), peerKey);
+    };
+    await mallory.connectToPeer('10.0.0.1', 8888);
+    await waitFor(() => mallory.links.get('10.0.0.1:8888').peerChallenge, 5000, 'alice\'s challenge at mallory');
+    await delay(50);
+    
+    const replayLink = Array.from(alice.links.values()).find(peer => peer.address === '10.0.0.9');
+    assert.equal(replayLink.verified, false);
+    assert.equal(replayLink.nodeId, null);
+    assert.equal(alice.peers.get(bob.identity.nodeId).address, '10.0.0.2');
+    assert.equal(alice.routes.get('bob').nextHop.startsWith('10.0.0.2:'), true);
+  });
+
+  it('gets a private message through a lossy, slow mesh by retransmitting', { timeout: 60000 }, async () => {
+    const network = new MemoryNetwork();
+    nodes = await startLine(network, ['alice', 'bob', 'carol']);
+    const [alice, , carol] = nodes;
+    
+    network.latency = 10;
+    network.jitter = 10;
+    network.loss = 0.3;
+    
+    const id = alice.sendPrivateMessage('carol', 'through the noise');
+    const settled = () => ['delivered', 'failed'].includes(alice.statuses.get(id));
+    await waitFor(settled, 40000, 'delivery outcome');
+    
+    // 3 retransmits over two lossy hops each way usually get through; if they
+    // don't, the message must be reported as failed rather than lost silently
+    if (alice.statuses.get(id) === 'delivered') {
+      assert.deepEqual(texts(carol), ['through the noise']);
+    } else {
+      assert.equal(alice.statuses.get(id), 'failed');
+    }
+    assert.ok(texts(carol).length <= 1, 'retransmits are not shown twice');
+  });
+
+  it('drops routes through a node that leaves', async () => {
+    nodes = await startLine(new MemoryNetwork(), ['alice', 'bob', 'carol']);
+    const [alice, bob] = nodes;
+    const left = [];
+    alice.onPeerLeft = (peer) => left.push(peer.nickname);
+    
+    bob.stop();
+    await waitFor(() => left.includes('bob'), 5000, 'bob to leave');
+    
+    assert.equal(alice.routes.has('bob'), false);
+    assert.equal(alice.routes.has('carol'), false);
+  });
+
+  it('fails pings still in flight when it stops', async () => {
+    nodes = await startLine(new MemoryNetwork(), ['alice', 'bob']);
+    const [alice, bob] = nodes;
+    bob.messageHandlers[MessageType.PING] = () => {};
+    
+    const ping = alice.ping('bob');
+    await delay(50);
+    alice.stop();
+    
+    await assert.rejects(ping, /stopped/);
+  });
+
+  it('only delivers channel messages to members, but relays them through others', async () => {
+    nodes = await startLine(new MemoryNetwork(), ['alice', 'bob', 'carol']);
+    const [alice, bob, carol] = nodes;
+    alice.joinChannel('ops');
+    carol.joinChannel('ops');
+    
+    alice.sendMessage('deploy at 5', 3, 'ops');
+    await waitFor(() => texts(carol).length > 0, 5000, 'channel message at carol');
+    await delay(50);
+    
+    assert.deepEqual(carol.received.filter(entry => !entry.own).map(entry => entry.channel), ['ops']);
+    assert.deepEqual(texts(bob), []);
+  });
+
+  it('catches up on a missed broadcast, verified by its sender\'s encryption', async () => {
+    nodes = await startLine(new MemoryNetwork(), ['alice', 'bob', 'carol']);
+    const [alice, bob, carol] = nodes;
+    await waitFor(() => alice.canEncryptBroadcast(), 5000, 'keys at alice');
+    const caughtUp = [];
+    carol.onMessage = (from, text, own, meta) => caughtUp.push({ from, text, ...meta });
+    
+    // Carol acknowledges the broadcast but loses it
+    const handleChatMessage = carol.messageHandlers[MessageType.CHAT_MESSAGE];
+    carol.messageHandlers[MessageType.CHAT_MESSAGE] = (message) => {
+      const data = carol.protocol.decodeChatPayload(message);
+      carol.sendAck(data.id, data.from);
+    };
+    const id = alice.sendMessage('while carol was away');
+    await waitFor(() => alice.pendingAcks.get(id)?.settled, 5000, 'message to settle');
+    assert.ok(bob.history.log.get(`alice:${id}`).enc);
+    
+    carol.messageHandlers[MessageType.CHAT_MESSAGE] = handleChatMessage;
+    carol.history.sendSummary(carol.routes.get('bob').nextHop, true);
+    await waitFor(() => caughtUp.length > 0, 5000, 'history at carol');
+    
+    assert.equal(caughtUp[0].text, 'while carol was away');
+    assert.equal(caughtUp[0].syncedFrom, 'bob');
+    assert.equal(caughtUp[0].encrypted, true);
+    assert.equal(caughtUp[0].unverified, false);
+  });
+
+  it('marks a caught-up message as unverified unless its sender encrypted it for us', async () => {
+    const network = new MemoryNetwork();
+    nodes = [await startNode(network, 'bob', '10.0.0.2'), await startNode(network, 'carol', '10.0.0.3')];
+    const [bob, carol] = nodes;
+    const caughtUp = [];
+    carol.onMessage = (from, text, own, meta) => caughtUp.push({ from, text, ...meta });
+    
+    // Bob passes on a message "from alice" he wrote himself
+    bob.history.record({ from: 'alice', id: 42, text: 'send bob your password', clock: 1, timestamp: Date.now() });
+    await carol.connectToPeer('10.0.0.2', 8888);
+    await waitFor(() => caughtUp.length > 0, 5000, 'history at carol');
+    
+    assert.equal(caughtUp[0].from, 'alice');
+    assert.equal(caughtUp[0].encrypted, false);
+    assert.equal(caughtUp[0].unverified, true);
+  });
+
+  it('only passes on channel history to a neighbour that joined the channel', async () => {
+    const network = new MemoryNetwork();
+    nodes = [await startNode(network, 'bob', '10.0.0.2'), await startNode(network, 'carol', '10.0.0.3')];
+    const [bob, carol] = nodes;
+    const caughtUp = [];
+    carol.onMessage = (from, text) => caughtUp.push(text);
+    
+    bob.history.record({ from: 'alice', id: 1, text: 'hello all', clock: 1, timestamp: Date.now() });
+    bob.history.record({ from: 'alice', id: 2, channel: 'ops', text: 'ops only', clock: 2, timestamp: Date.now() });
+    await carol.connectToPeer('10.0.0.2', 8888);
+    await waitFor(() => caughtUp.length > 0, 5000, 'history at carol');
+    
+    // Carol asks for the channel message without having joined
+    carol.history.requested.set('alice:2', Date.now());
+    carol.sendToPeer(carol.protocol.createHistoryRequest('carol', 'bob', [['alice', 2]]), carol.routes.get('bob').nextHop);
+    await delay(200);
+    assert.deepEqual(caughtUp, ['hello all']);
+    carol.history.requested.clear();
+    
+    carol.joinChannel('ops');
+    await waitFor(() => caughtUp.length > 1, 5000, 'channel history at carol');
+    assert.deepEqual(caughtUp, ['hello all', 'ops only']);
+  });
+
+  it('disconnects a peer whose protocol versions do not overlap, and does not redial it', async () => {
+    const network = new MemoryNetwork();
+    nodes = [await startNode(network, 'alice', '10.0.0.1'), await startNode(network, 'future', '10.0.0.2')];
+    const [alice, future] = nodes;
+    const rejected = [];
+    alice.onIncompatiblePeer = (info) => rejected.push(info);
+    
+    // A node from a later release that no longer speaks our versions
+    future.sendPeerAnnouncement = (peerKey) => {
+      const announcement = future.protocol.createPeerAnnouncement({ nickname: 'future', version: 9, minVersion: 9 });
+      future.sendToPeer(announcement, peerKey);
+    };
+    
+    await alice.connectToPeer('10.0.0.2', 8888);
+    await waitFor(() => rejected.length > 0, 5000, 'incompatible peer at alice');
+    await waitFor(() => alice.connections.size === 0, 5000, 'link to close');
+    
+    assert.deepEqual(rejected.map(info => [info.nickname, info.version]), [['future', 9]]);
+    assert.equal(alice.peers.size, 0);
+    assert.equal(alice.routes.has('future'), false);
+    assert.equal(alice.outboundPeers.size, 0);
+    assert.equal(alice.getIncompatiblePeers().length, 1);
+  });
+
+  it('reports a malformed frame, and disconnects a peer that keeps sending them', async () => {
+    const network = new MemoryNetwork();
+    nodes = [await startNode(network, 'alice', '10.0.0.1')];
+    const [alice] = nodes;
+    const errors = [];
+    alice.onConnectionError = (error) => errors.push(error.message);
+    
+    const raw = await network.createTransport('10.0.0.9').connect('10.0.0.1', 8888);
+    let closed = false;
+    raw.onClose = () => {
+      closed = true;
+    };
+    const garbage = (i) => Uint8Array.from([0x7f, 3, 0, 0, 0, i, 0, 0]);
+    
+    for (let i = 0; i < 9; i++) {
+      raw.send(garbage(i));
+    }
+    await waitFor(() => alice.links.values().next().value?.protocolErrors.length === 9, 5000, 'malformed frames at alice');
+    assert.equal(alice.connections.size, 1);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /Malformed frame/);
+    
+    raw.send(garbage(9));
+    await waitFor(() => closed && alice.connections.size === 0, 5000, 'link to close');
+    assert.equal(errors.length, 2);
+    assert.match(errors[1], /disconnected/);
+  });
+
+  it('throttles a sender that floods the room, and stops relaying it once banned', async () => {
+    const network = new MemoryNetwork();
+    const rateLimits = { origin: { rate: 1, burst: 5 }, banAfter: 10 };
+    nodes = [
+      await startNode(network, 'alice', '10.0.0.1'),
+      await startNode(network, 'bob', '10.0.0.2', {}, { rateLimits }),
+      await startNode(network, 'carol', '10.0.0.3')
+    ];
+    const [alice, bob, carol] = nodes;
+    await bob.connectToPeer('10.0.0.1', 8888);
+    await carol.connectToPeer('10.0.0.2', 8888);
+    await waitFor(() => alice.routes.has('carol') && carol.routes.has('alice'), 5000, 'routes across the line');
+    
+    const throttled = [];
+    bob.onPeerThrottled = (info) => throttled.push(info);
+    
+    const sent = Array.from({ length: 30 }, (_, i) => `spam ${i}`);
+    sent.forEach(text => alice.sendMessage(text));
+    await waitFor(() => throttled.length === 2, 5000, 'ban at bob');
+    await delay(100);
+    
+    assert.deepEqual(throttled.map(({ nickname, scope, banned }) => [nickname, scope, banned]), [
+      ['alice', 'sender', false],
+      ['alice', 'sender', true]
+    ]);
+    assert.deepEqual(texts(carol).slice(0, 5), sent.slice(0, 5));
+    assert.ok(texts(carol).length < 10, `carol got ${texts(carol).length} messages`);
+    
+    // Others still get through
+    carol.sendMessage('not spam');
+    await waitFor(() => texts(alice).includes('not spam'), 5000, 'message from carol');
+  });
+
+  it('disconnects and refuses a link that floods pings', async () => {
+    const network = new MemoryNetwork();
+    const rateLimits = { control: { rate: 1, burst: 3 }, banAfter: 5 };
+    nodes = [await startNode(network, 'alice', '10.0.0.1', {}, { rateLimits })];
+    const [alice] = nodes;
+    const throttled = [];
+    alice.onPeerThrottled = (info) => throttled.push(info);
+    
+    const protocol = new P2PProtocol();
+    const flooder = network.createTransport('10.0.0.9');
+    const raw = await flooder.connect('10.0.0.1', 8888);
+    let closed = false;
+    raw.onClose = () => {
+      closed = true;
+    };
+    for (let i = 0; i < 20; i++) {
+      raw.send(protocol.serialize(protocol.createPing()));
+    }
+    
+    await waitFor(() => closed && alice.connections.size === 0, 5000, 'link to close');
+    assert.deepEqual(throttled.map(({ scope, banned }) => [scope, banned]), [['link', false], ['link', true]]);
+    assert.ok(alice.isAddressBanned('10.0.0.9'));
+    
+    // Coming back from the same address without identifying is refused while the ban lasts
+    const again = await flooder.connect('10.0.0.1', 8888);
+    let refused = false;
+    again.onClose = () => {
+      refused = true;
+    };
+    again.send(protocol.serialize(protocol.createPing()));
+    await waitFor(() => refused, 5000, 'second connection to be refused');
+    assert.equal(alice.connections.size, 0);
+    
+    // Another node at that address gets in with a signed announcement
+    const neighbour = await startNode(network, 'bob', '10.0.0.9', {}, { port: 8889 });
+    nodes.push(neighbour);
+    await neighbour.connectToPeer('10.0.0.1', 8888);
+    await waitFor(() => alice.routes.has('bob'), 5000, 'route to bob');
+  });
+
+  it('bans the address of a link flooding under a replayed announcement, not the node it names', async () => {
+    const network = new MemoryNetwork();
+    const rateLimits = { control: { rate: 1, burst: 3 }, banAfter: 5 };
+    nodes = [
+      await startNode(network, 'alice', '10.0.0.1', {}, { rateLimits }),
+      await startNode(network, 'bob', '10.0.0.2'),
+      await startNode(network, 'mallory', '10.0.0.9')
+    ];
+    const [alice, bob, mallory] = nodes;
+    
+    // Mallory sends bob's signed announcement, which she cannot prove, then floods pings
+    const identity = { nickname: 'bob', publicKey: bob.e2e.publicKey, signingKey: bob.identity.signingKey, timestamp: Date.now() };
+    const copied = { ...identity, signature: bob.identity.signAnnouncement(identity) };
+    mallory.sendPeerAnnouncement = (peerKey) => {
+      mallory.sendToPeer(mallory.protocol.createPeerAnnouncement({ ...copied, challenge: 'x' }), peerKey);
+    };
+    await mallory.connectToPeer('10.0.0.1', 8888);
+    for (let i = 0; i < 20; i++) {
+      mallory.sendToPeer(mallory.protocol.createPing(), '10.0.0.1:8888');
+    }
+    
+    await waitFor(() => alice.isAddressBanned('10.0.0.9'), 5000, 'mallory\'s address to be banned');
+    assert.equal(alice.isNodeBanned(bob.identity.nodeId), false);
+    
+    await bob.connectToPeer('10.0.0.1', 8888);
+    await waitFor(() => alice.routes.has('bob'), 5000, 'route to bob');
+  });
+
+  it('throttles a spoofed sender per link without banning the real one', async () => {
+    const network = new MemoryNetwork();
+    const rateLimits = { origin: { rate: 1, burst: 5 }, banAfter: 10 };
+    nodes = [
+      await startNode(network, 'alice', '10.0.0.1'),
+      await startNode(network, 'bob', '10.0.0.2', {}, { rateLimits }),
+      await startNode(network, 'mallory', '10.0.0.3')
+    ];
+    const [alice, bob, mallory] = nodes;
+    await alice.connectToPeer('10.0.0.2', 8888);
+    await mallory.connectToPeer('10.0.0.2', 8888);
+    await waitFor(() => bob.routes.has('alice') && mallory.routes.has('alice'), 5000, 'routes across bob');
+    const throttled = [];
+    bob.onPeerThrottled = (info) => throttled.push(info);
+    
+    // Mallory floods bob with messages claiming to be from alice
+    for (let i = 0; i < 30; i++) {
+      const envelope = { id: 1000 + i, from: 'alice', clock: i + 1, timestamp: Date.now() };
+      mallory.sendToPeer(mallory.protocol.createChatMessage(`fake ${i}`, 0, envelope), '10.0.0.2:8888');
+    }
+    await waitFor(() => texts(bob).length >= 5 && throttled.length > 0, 5000, 'spoofed messages at bob');
+    await delay(100);
+    
+    assert.deepEqual(throttled.map(({ nickname, scope, banned }) => [nickname, scope, banned]), [['alice', 'sender', false]]);
+    assert.equal(texts(bob).length, 5);
+    
+    alice.sendMessage('the real alice');
+    await waitFor(() => texts(bob).includes('the real alice'), 5000, 'message from alice');
+  });
+
+  it('hides a muted peer\'s messages but still relays them', async () => {
+    const network = new MemoryNetwork();
+    nodes = await startLine(network, ['alice', 'bob', 'carol']);
+    const [alice, bob, carol] = nodes;
+    
+    bob.mutePeer('alice');
+    alice.sendMessage('hello');
+    alice.sendPrivateMessage('bob', 'psst');
+    carol.sendMessage('hi all');
+    await waitFor(() => texts(carol).includes('hello') && texts(bob).includes('hi all'), 5000, 'messages across bob');
+    await delay(100);
+    
+    assert.deepEqual(texts(bob), ['hi all']);
+    assert.equal(bob.connections.size, 2);
+  });
+
+  it('disconnects a blocked peer, refuses it when it dials back and remembers the block', async () => {
+    const network = new MemoryNetwork();
+    nodes = await startLine(network, ['alice', 'bob']);
+    const [alice, bob] = nodes;
+    
+    alice.blockPeer('bob');
+    await waitFor(() => alice.connections.size === 0 && bob.connections.size === 0, 5000, 'link to close');
+    
+    // bob redials the link that dropped
+    await bob.connectToPeer('10.0.0.1', 8888).catch(() => {});
+    await delay(100);
+    assert.equal(alice.connections.size, 0);
+    
+    const stored = new BlockList(alice.storage);
+    await stored.load();
+    assert.deepEqual(stored.list(), [{ nodeId: bob.identity.nodeId, nickname: 'bob', mode: 'block' }]);
+    
+    assert.equal(alice.unblockPeer('bob'), true);
+    await bob.connectToPeer('10.0.0.1', 8888);
+    await waitFor(() => alice.routes.has('bob'), 5000, 'link after unblocking');
+  });
+
+  it('hangs up on a blocked peer dialing from a new address', async () => {
+    const network = new MemoryNetwork();
+    nodes = await startLine(network, ['alice', 'mallory']);
+    const [alice, mallory] = nodes;
+    alice.blockPeer('mallory');
+    await waitFor(() => alice.connections.size === 0, 5000, 'link to close');
+    mallory.stop();
+    
+    // Same identity key, another address
+    const moved = await startNode(network, 'mallory', '10.0.0.8', {}, { identity: mallory.identity });
+    nodes.push(moved);
+    await moved.connectToPeer('10.0.0.1', 8888);
+    await waitFor(() => alice.connections.size === 0, 5000, 'link to close');
+    assert.equal(alice.routes.has('mallory'), false);
+  });
+
+  it('blocks a peer without an identity key by its nickname, across reconnects', async () => {
+    const network = new MemoryNetwork();
+    nodes = [await startNode(network, 'alice', '10.0.0.1'), await startNode(network, 'legacy', '10.0.0.2')];
+    const [alice, legacy] = nodes;
+    legacy.sendPeerAnnouncement = (peerKey) => {
+      legacy.sendToPeer(legacy.protocol.createPeerAnnouncement({ nickname: 'legacy' }), peerKey);
+    };
+    await legacy.connectToPeer('10.0.0.1', 8888);
+    await waitFor(() => alice.routes.has('legacy'), 5000, 'route to legacy');
+    
+    assert.equal(alice.blockPeer('legacy'), true);
+    await waitFor(() => alice.connections.size === 0, 5000, 'link to close');
+    assert.deepEqual(alice.getBlockedPeers(),
+      [{ nodeId: 'nickname:legacy', nickname: 'legacy', mode: 'block', fingerprint: null }]);
+    
+    // A new link, from a new port
+    await legacy.connectToPeer('10.0.0.1', 8888).catch(() => {});
+    await delay(100);
+    assert.equal(alice.connections.size, 0);
+    assert.equal(alice.routes.has('legacy'), false);
+  });
+
+  it('does not refuse other nodes at a blocked peer\'s address', async () => {
+    const network = new MemoryNetwork();
+    nodes = [
+      await startNode(network, 'alice', '10.0.0.1'),
+      await startNode(network, 'mallory', '10.0.0.7'),
+      // Behind the same NAT
+      await startNode(network, 'bob', '10.0.0.7', {}, { port: 8889 })
+    ];
+    const [alice, mallory, bob] = nodes;
+    await mallory.connectToPeer('10.0.0.1', 8888);
+    await waitFor(() => alice.routes.has('mallory'), 5000, 'route to mallory');
+    alice.blockPeer('mallory');
+    await waitFor(() => alice.connections.size === 0, 5000, 'link to close');
+    
+    await bob.connectToPeer('10.0.0.1', 8888);
+    await mallory.connectToPeer('10.0.0.1', 8888).catch(() => {});
+    await waitFor(() => alice.routes.has('bob'), 5000, 'route to bob');
+    await delay(100);
+    
+    assert.deepEqual(Array.from(alice.links.values(), peer => peer.nickname), ['bob']);
+    assert.equal(alice.routes.has('mallory'), false);
+    bob.sendMessage('hi alice');
+    await waitFor(() => texts(alice).includes('hi alice'), 5000, 'message from bob');
+  });
+
+  it('does not send fragments to a peer that cannot reassemble them', async () => {
+    const network = new MemoryNetwork();
+    nodes = [await startNode(network, 'alice', '10.0.0.1'), await startNode(network, 'legacy', '10.0.0.2')];
+    const [alice, legacy] = nodes;
+    
+    // Announces like the original version: no keys, no capability list. It
+    // would still reassemble fragments, so only the short message shows it got none.
+    legacy.sendPeerAnnouncement = (peerKey) => {
+      legacy.sendToPeer(legacy.protocol.createPeerAnnouncement({ nickname: 'legacy' }), peerKey);
+    };
+    
+    await alice.connectToPeer('10.0.0.2', 8888);
+    await waitFor(() => alice.routes.has('legacy'), 5000, 'route to legacy');
+    assert.equal(alice.peers.values().next().value.version, 1);
+    
+    alice.sendMessage('x'.repeat(100000));
+    alice.sendMessage('short');
+    await waitFor(() => texts(legacy).length > 0, 5000, 'short message at legacy');
+    
+    assert.deepEqual(texts(legacy), ['short']);
+  });
+
+  it('lets pings overtake a large broadcast to a slow peer, and delivers it all in order', async () => {
+    const network = new MemoryNetwork();
+    nodes = [
+      await startNode(network, 'alice', '10.0.0.1'),
+      await startNode(network, 'slowpoke', '10.0.0.2', { bandwidth: 500 * 1024 })
+    ];
+    const [alice, slowpoke] = nodes;
+    await alice.connectToPeer('10.0.0.2', 8888);
+    await waitFor(() => alice.routes.has('slowpoke') && slowpoke.routes.has('alice'), 5000, 'link up');
+    
+    const sent = ['a', 'b', 'c'].map(fill => fill.repeat(200000));
+    const startedAt = Date.now();
+    sent.forEach(text => alice.sendMessage(text));
+    alice.sendMessage('done');
+    const rtt = await alice.ping('slowpoke');
+    
+    await waitFor(() => texts(slowpoke).includes('done'), 10000, 'broadcasts at slowpoke');
+    assert.ok(Date.now() - startedAt > 1000, 'the link is slow');
+    assert.ok(rtt < 500, `ping waited ${rtt} ms behind the broadcast`);
+    assert.deepEqual(texts(slowpoke), [...sent, 'done']);
+  });
+});
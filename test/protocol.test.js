@@ -0,0 +1,291 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  P2PProtocol,
+  Message,
+  MessageType,
+  FragmentReassembler,
+  MAX_MESSAGE_SIZE,
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION
+} from '../src/protocol/P2PProtocol.js';
+
+const bytes = (length, fill = (i) => i % 251) => Uint8Array.from({ length }, (_, i) => fill(i));
+
+describe('P2PProtocol.serialize/deserialize', () => {
+  const protocol = new P2PProtocol(true);
+
+  it('round-trips the header fields and payload', () => {
+    const message = new Message(MessageType.CHAT_MESSAGE, 5, 0xdeadbeef, bytes(100));
+    const decoded = protocol.deserialize(protocol.serialize(message));
+    
+    assert.equal(decoded.msgType, MessageType.CHAT_MESSAGE);
+    assert.equal(decoded.ttl, 5);
+    assert.equal(decoded.msgId, 0xdeadbeef);
+    assert.deepEqual(decoded.payload, message.payload);
+  });
+
+  it('writes the 8-byte big-endian header the Python version expects', () => {
+    const message = new Message(MessageType.PING, 1, 0x01020304, bytes(3));
+    const wire = protocol.serialize(message);
+    
+    assert.deepEqual(Array.from(wire.subarray(0, 8)), [0x01, 1, 0x01, 0x02, 0x03, 0x04, 0x00, 0x03]);
+    assert.equal(wire.length, 11);
+  });
+
+  it('handles an empty payload', () => {
+    const decoded = protocol.deserialize(protocol.serialize(protocol.createPing()));
+    assert.equal(decoded.msgType, MessageType.PING);
+    assert.equal(decoded.payload.length, 0);
+  });
+
+  it('handles a payload of exactly the 16-bit limit', () => {
+    const message = new Message(MessageType.CHAT_MESSAGE, 3, 7, bytes(65535));
+    const decoded = protocol.deserialize(protocol.serialize(message));
+    assert.deepEqual(decoded.payload, message.payload);
+  });
+
+  it('refuses to serialize a payload over the 16-bit limit', () => {
+    const message = new Message(MessageType.CHAT_MESSAGE, 3, 7, bytes(65536));
+    assert.throws(() => protocol.serialize(message), /fragment the message first/);
+  });
+
+  it('rejects frames shorter than the header or their declared length', () => {
+    const wire = protocol.serialize(new Message(MessageType.CHAT_MESSAGE, 3, 9, bytes(20)));
+    
+    assert.equal(protocol.deserialize(new Uint8Array(0)), null);
+    assert.equal(protocol.deserialize(wire.subarray(0, 7)), null);
+    assert.equal(protocol.deserialize(wire.subarray(0, wire.length - 1)), null);
+  });
+
+  it('ignores bytes after the declared payload', () => {
+    const wire = protocol.serialize(new Message(MessageType.CHAT_MESSAGE, 3, 9, bytes(4)));
+    const padded = new Uint8Array(wire.length + 5);
+    padded.set(wire);
+    
+    assert.deepEqual(protocol.deserialize(padded).payload, bytes(4));
+  });
+
+  it('reads frames that are views into a larger buffer', () => {
+    const wire = protocol.serialize(new Message(MessageType.CHAT_MESSAGE, 2, 42, bytes(10)));
+    const backing = new Uint8Array(wire.length + 16);
+    backing.set(wire, 16);
+    
+    const decoded = protocol.deserialize(backing.subarray(16));
+    assert.equal(decoded.msgId, 42);
+    assert.deepEqual(decoded.payload, bytes(10));
+  });
+
+  it('round-trips multi-byte UTF-8 text', () => {
+    const text = 'héllo 👋 мир';
+    const decoded = protocol.deserialize(protocol.serialize(protocol.createChatMessage(text)));
+    assert.equal(protocol.decodeTextPayload(decoded), text);
+  });
+
+  it('compresses large payloads only when asked, and restores them', () => {
+    const message = new Message(MessageType.CHAT_MESSAGE, 3, 1, new TextEncoder().encode('a'.repeat(5000)));
+    const plain = protocol.serialize(message);
+    const compressed = protocol.serialize(message, true);
+    
+    assert.equal(plain[0], MessageType.CHAT_MESSAGE);
+    assert.equal(compressed[0], MessageType.CHAT_MESSAGE | 0x80);
+    assert.ok(compressed.length < plain.length);
+    
+    const decoded = protocol.deserialize(compressed);
+    assert.equal(decoded.msgType, MessageType.CHAT_MESSAGE);
+    assert.deepEqual(decoded.payload, message.payload);
+  });
+
+  it('leaves payloads that do not shrink uncompressed', () => {
+    const message = new Message(MessageType.CHAT_MESSAGE, 3, 1, bytes(1000, () => Math.floor(Math.random() * 256)));
+    assert.equal(protocol.serialize(message, true)[0], MessageType.CHAT_MESSAGE);
+  });
+
+  it('rejects a compressed frame that does not decompress', () => {
+    const wire = protocol.serialize(new Message(MessageType.CHAT_MESSAGE, 3, 1, bytes(300)));
+    wire[0] |= 0x80;
+    assert.equal(protocol.deserialize(wire), null);
+  });
+
+  it('only accepts TTLs of 0-7', () => {
+    assert.throws(() => new Message(MessageType.CHAT_MESSAGE, 8, 1, bytes(1)), /TTL/);
+    assert.throws(() => new Message(MessageType.CHAT_MESSAGE, -1, 1, bytes(1)), /TTL/);
+  });
+});
+
+describe('P2PProtocol.isDuplicate', () => {
+  it('reports an id the second time it is seen', () => {
+    const protocol = new P2PProtocol();
+    assert.equal(protocol.isDuplicate(123), false);
+    assert.equal(protocol.isDuplicate(123), true);
+    assert.equal(protocol.isDuplicate(124), false);
+  });
+
+  it('recognises its own ids when they come back from the wire', () => {
+    const protocol = new P2PProtocol();
+    const message = protocol.createChatMessage('echo');
+    protocol.isDuplicate(message.msgId, message.payload);
+    
+    const echoed = protocol.deserialize(protocol.serialize(message));
+    assert.equal(protocol.isDuplicate(echoed.msgId, echoed.payload), true);
+  });
+
+  it('lets a different message with a seen id through once, and counts the collision', () => {
+    const protocol = new P2PProtocol();
+    assert.equal(protocol.isDuplicate(7, bytes(10)), false);
+    assert.equal(protocol.isDuplicate(7, bytes(10, () => 1)), false);
+    assert.equal(protocol.isDuplicate(7, bytes(10, () => 1)), true);
+    assert.equal(protocol.isDuplicate(7, bytes(10)), true);
+    assert.equal(protocol.dedup.getStats().collisions, 1);
+  });
+
+  it('keys messages that name their sender on it, so nodes sharing an id do not collide', () => {
+    const [alice, bob, carol] = [new P2PProtocol(), new P2PProtocol(), new P2PProtocol()];
+    bob.originTag = alice.originTag;
+    bob.sequence = alice.sequence;
+    const fromAlice = alice.createPrivateMessage('alice', 'carol', 'hi');
+    const fromBob = bob.createPrivateMessage('bob', 'carol', 'hi');
+    assert.equal(fromAlice.msgId, fromBob.msgId);
+    
+    const check = message => carol.isDuplicate(message.msgId, message.payload, carol.senderOf(message));
+    assert.equal(check(fromAlice), false);
+    assert.equal(check(fromBob), false);
+    assert.equal(check(fromBob), true);
+    assert.equal(carol.dedup.getStats().collisions, 0);
+    assert.equal(carol.getDedupStats().origins, 1);
+  });
+
+  it('only reads the sender of types that carry one', () => {
+    const protocol = new P2PProtocol();
+    assert.equal(protocol.senderOf(protocol.createAck(1, 'alice', 'bob')), 'alice');
+    assert.equal(protocol.senderOf(protocol.createChatMessage('plain text')), null);
+    assert.equal(protocol.senderOf(protocol.createPing()), null);
+  });
+});
+
+describe('P2PProtocol.generateMessageId', () => {
+  it('generates unsigned 32-bit ids that do not repeat', () => {
+    const protocol = new P2PProtocol();
+    const ids = Array.from({ length: 70000 }, () => protocol.generateMessageId());
+    
+    ids.forEach(id => assert.ok(Number.isInteger(id) && id >= 0 && id <= 0xFFFFFFFF));
+    assert.equal(new Set(ids).size, ids.length);
+  });
+
+  it('gives each node its own id space', () => {
+    const first = new P2PProtocol().generateMessageId();
+    const others = Array.from({ length: 20 }, () => new P2PProtocol().generateMessageId());
+    assert.ok(others.some(id => id >>> 16 !== first >>> 16));
+  });
+
+  it('starts sequences at random, so nodes that share a tag rarely share ids', () => {
+    const sequences = Array.from({ length: 20 }, () => new P2PProtocol().generateMessageId() & 0xFFFF);
+    assert.ok(new Set(sequences).size > 1);
+  });
+
+  it('reports the chance that two recently seen nodes share a tag', () => {
+    const protocol = new P2PProtocol();
+    assert.deepEqual(
+      [protocol.getDedupStats().origins, protocol.getDedupStats().tagCollisionRisk],
+      [1, 0]
+    );
+    
+    // Ids from 99 other tags
+    let other = protocol.originTag;
+    for (let i = 0; i < 99; i++) {
+      other = (other + 1) & 0xFFFF;
+      protocol.isDuplicate(((other << 16) | i) >>> 0);
+    }
+    const stats = protocol.getDedupStats();
+    
+    assert.equal(stats.origins, 100);
+    assert.ok(Math.abs(stats.tagCollisionRisk - 0.073) < 0.001, `risk ${stats.tagCollisionRisk}`);
+  });
+});
+
+describe('Fragmentation', () => {
+  const protocol = new P2PProtocol();
+
+  it('leaves messages that fit in one frame alone', () => {
+    const message = new Message(MessageType.CHAT_MESSAGE, 3, 1, bytes(65535));
+    assert.deepEqual(protocol.fragment(message), [message]);
+  });
+
+  it('splits and reassembles a large message, in any order', () => {
+    const message = new Message(MessageType.CHAT_MESSAGE, 4, 77, bytes(200000));
+    const fragments = protocol.fragment(message);
+    assert.ok(fragments.length > 1);
+    fragments.forEach(fragment => assert.equal(fragment.msgType, MessageType.FRAGMENT));
+    
+    const reassembler = new FragmentReassembler();
+    const shuffled = [...fragments].reverse();
+    const results = shuffled.map(fragment =>
+      reassembler.add(protocol.deserialize(protocol.serialize(fragment)), 'link')
+    );
+    
+    const whole = results.pop();
+    results.forEach(result => assert.equal(result, null));
+    assert.equal(whole.msgType, MessageType.CHAT_MESSAGE);
+    assert.equal(whole.msgId, 77);
+    assert.equal(whole.ttl, 4);
+    assert.deepEqual(whole.payload, message.payload);
+  });
+
+  it('keeps fragments from different links apart', () => {
+    const fragments = protocol.fragment(new Message(MessageType.CHAT_MESSAGE, 3, 5, bytes(130000)));
+    const reassembler = new FragmentReassembler();
+    
+    assert.equal(reassembler.add(fragments[0], 'a'), null);
+    assert.equal(reassembler.add(fragments[1], 'b'), null);
+    assert.equal(reassembler.add(fragments[2], 'a'), null);
+  });
+
+  it('ignores a repeated fragment', () => {
+    const fragments = protocol.fragment(new Message(MessageType.CHAT_MESSAGE, 3, 6, bytes(130000)));
+    const reassembler = new FragmentReassembler();
+    
+    assert.equal(reassembler.add(fragments[0], 'a'), null);
+    assert.equal(reassembler.add(fragments[0], 'a'), null);
+    assert.equal(reassembler.add(fragments[1], 'a'), null);
+    assert.ok(reassembler.add(fragments[2], 'a'));
+  });
+
+  it('refuses messages over the size limit', () => {
+    assert.throws(() => new Message(MessageType.CHAT_MESSAGE, 3, 1, bytes(MAX_MESSAGE_SIZE + 1)), /too large/);
+  });
+});
+
+describe('Version negotiation', () => {
+  const protocol = new P2PProtocol(true);
+
+  it('treats announcements without a version as version 1', () => {
+    assert.equal(protocol.negotiateVersion({ nickname: 'py' }), 1);
+  });
+
+  it('speaks the older of the two versions', () => {
+    assert.equal(protocol.negotiateVersion({ version: PROTOCOL_VERSION + 3, minVersion: 1 }), PROTOCOL_VERSION);
+    assert.equal(protocol.negotiateVersion({ version: MIN_PROTOCOL_VERSION }), MIN_PROTOCOL_VERSION);
+  });
+
+  it('finds no version when the ranges do not overlap', () => {
+    assert.equal(protocol.negotiateVersion({ version: 99, minVersion: PROTOCOL_VERSION + 1 }), null);
+    assert.equal(protocol.negotiateVersion({ version: MIN_PROTOCOL_VERSION - 1 }), null);
+  });
+
+  it('takes an announced capability list as is', () => {
+    const capabilities = protocol.announcedCapabilities({ capabilities: ['files', 'teleport', 7], compression: 'lz4' });
+    assert.deepEqual(Array.from(capabilities), ['files', 'teleport']);
+  });
+
+  it('infers the capabilities of peers that announce none', () => {
+    assert.deepEqual(Array.from(protocol.announcedCapabilities({ nickname: 'py' })), []);
+    assert.deepEqual(
+      Array.from(protocol.announcedCapabilities({ publicKey: 'k', compression: 'lz4' })).sort(),
+      ['e2e', 'lz4']
+    );
+    assert.deepEqual(
+      Array.from(protocol.announcedCapabilities({ publicKey: 'k', signingKey: 's' })).sort(),
+      ['e2e', 'files', 'fragments']
+    );
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter, Verdict } from '../src/network/RateLimiter.js';
+
+const checkTimes = (limiter, key, times) => Array.from({ length: times }, () => limiter.check(key));
+
+describe('RateLimiter', () => {
+  beforeEach(() => mock.timers.enable({ apis: ['Date'], now: 1000000 }));
+  afterEach(() => mock.timers.reset());
+
+  it('lets a burst through, then throttles', () => {
+    const limiter = new RateLimiter({ rate: 1, burst: 3 });
+
+    assert.deepEqual(checkTimes(limiter, 'a', 6), [
+      Verdict.ALLOW, Verdict.ALLOW, Verdict.ALLOW, Verdict.THROTTLE, Verdict.DROP, Verdict.DROP
+    ]);
+    assert.equal(limiter.dropped, 3);
+  });
+
+  it('refills at the rate, and starts a new episode once a message gets through', () => {
+    const limiter = new RateLimiter({ rate: 10, burst: 1 });
+    assert.deepEqual(checkTimes(limiter, 'a', 3), [Verdict.ALLOW, Verdict.THROTTLE, Verdict.DROP]);
+
+    mock.timers.tick(50);
+    assert.equal(limiter.check('a'), Verdict.DROP);
+    mock.timers.tick(50);
+    assert.deepEqual(checkTimes(limiter, 'a', 2), [Verdict.ALLOW, Verdict.THROTTLE]);
+  });
+
+  it('never holds more than the burst', () => {
+    const limiter = new RateLimiter({ rate: 100, burst: 2 });
+    mock.timers.tick(60000);
+
+    assert.deepEqual(checkTimes(limiter, 'a', 3), [Verdict.ALLOW, Verdict.ALLOW, Verdict.THROTTLE]);
+  });
+
+  it('keeps keys apart', () => {
+    const limiter = new RateLimiter({ rate: 1, burst: 1 });
+    limiter.check('a');
+
+    assert.equal(limiter.check('a'), Verdict.THROTTLE);
+    assert.equal(limiter.check('b'), Verdict.ALLOW);
+  });
+
+  it('bans a key that keeps sending while throttled, until the ban runs out', () => {
+    const limiter = new RateLimiter({ rate: 1, burst: 1 }, { banAfter: 3, banDuration: 60000 });
+
+    assert.deepEqual(checkTimes(limiter, 'a', 5), [
+      Verdict.ALLOW, Verdict.THROTTLE, Verdict.DROP, Verdict.BAN, Verdict.DROP
+    ]);
+    assert.ok(limiter.isBanned('a'));
+
+    // Tokens don't help while banned
+    mock.timers.tick(59999);
+    assert.equal(limiter.check('a'), Verdict.DROP);
+    mock.timers.tick(1);
+    assert.equal(limiter.isBanned('a'), false);
+    assert.equal(limiter.check('a'), Verdict.ALLOW);
+  });
+
+  it('never bans a key checked without canBan', () => {
+    const limiter = new RateLimiter({ rate: 1, burst: 1 }, { banAfter: 2, banDuration: 60000 });
+    const verdicts = Array.from({ length: 5 }, () => limiter.check('claimed', false));
+
+    assert.deepEqual(verdicts, [Verdict.ALLOW, Verdict.THROTTLE, Verdict.DROP, Verdict.DROP, Verdict.DROP]);
+    assert.equal(limiter.isBanned('claimed'), false);
+  });
+
+  it('forgets full buckets and expired bans', () => {
+    const limiter = new RateLimiter({ rate: 1, burst: 2 }, { banAfter: 1, banDuration: 1000 });
+    limiter.check('idle');
+    checkTimes(limiter, 'busy', 2);
+    checkTimes(limiter, 'banned', 3);
+
+    mock.timers.tick(1000);
+    limiter.prune();
+    assert.deepEqual(Array.from(limiter.buckets.keys()), ['busy']);
+    assert.equal(limiter.bans.size, 0);
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { SendQueue, Priority } from '../src/network/SendQueue.js';
+import { P2PProtocol, Message, MessageType } from '../src/protocol/P2PProtocol.js';
+
+// Congestion is logged as a warning
+before(() => {
+  console.warn = () => {};
+});
+
+const protocol = new P2PProtocol();
+
+const frame = (size, msgId = 1, msgType = MessageType.CHAT_MESSAGE) =>
+  new Message(msgType, 3, msgId, new Uint8Array(size));
+
+/**
+ * Connection that records what is written to it and reports a full buffer
+ * once `capacity` bytes are waiting, until drain() is called
+ */
+class FakeConnection {
+  constructor(capacity = Infinity) {
+    this.remoteAddress = '10.0.0.2';
+    this.remotePort = 8888;
+    this.capacity = capacity;
+    this.buffered = 0;
+    this.sent = [];
+    this.onDrain = null;
+  }
+
+  send(bytes) {
+    this.sent.push(protocol.deserialize(bytes).msgId);
+    this.buffered += bytes.length;
+    return this.buffered < this.capacity;
+  }
+
+  drain() {
+    this.buffered = 0;
+    this.onDrain();
+  }
+}
+
+describe('SendQueue', () => {
+  afterEach(() => mock.timers.reset());
+
+  it('writes straight through while the connection has room', () => {
+    const connection = new FakeConnection();
+    const queue = new SendQueue(connection, protocol);
+    
+    assert.equal(queue.enqueue([frame(100, 1)]), true);
+    assert.equal(queue.enqueue([frame(100, 2)]), true);
+    assert.deepEqual(connection.sent, [1, 2]);
+    assert.equal(queue.getStats().queuedBytes, 0);
+  });
+
+  it('holds messages while the connection is full and sends control messages first once it drains', () => {
+    const connection = new FakeConnection(150);
+    const queue = new SendQueue(connection, protocol);
+    
+    queue.enqueue([frame(200, 1)]);
+    queue.enqueue([frame(100, 2)], Priority.BULK);
+    queue.enqueue([frame(100, 3)], Priority.CHAT);
+    queue.enqueue([frame(10, 4, MessageType.ACK)], Priority.CONTROL);
+    assert.deepEqual(connection.sent, [1]);
+    
+    connection.capacity = Infinity;
+    connection.drain();
+    assert.deepEqual(connection.sent, [1, 4, 3, 2]);
+  });
+
+  it('keeps the frames of one message together with their own order', () => {
+    const connection = new FakeConnection();
+    const queue = new SendQueue(connection, protocol);
+    
+    queue.enqueue([frame(10, 1), frame(10, 2), frame(10, 3)]);
+    assert.deepEqual(connection.sent, [1, 2, 3]);
+    assert.equal(queue.getStats().sent, 1);
+  });
+
+  it('drops chat and bulk messages past the high-water mark until back under the low-water mark', () => {
+    const connection = new FakeConnection(0);
+    const queue = new SendQueue(connection, protocol, { highWater: 1000, lowWater: 300 });
+    
+    queue.enqueue([frame(10, 1)]); // written, fills the connection
+    queue.enqueue([frame(600, 2)]);
+    queue.enqueue([frame(600, 3)]);
+    assert.equal(queue.getStats().congested, true);
+    
+    assert.equal(queue.enqueue([frame(10, 4)]), false);
+    assert.equal(queue.enqueue([frame(10, 5)], Priority.BULK), false);
+    assert.equal(queue.enqueue([frame(10, 6, MessageType.PONG)], Priority.CONTROL), true);
+    
+    // One message out leaves ~600 bytes: still above the low-water mark
+    connection.drain();
+    assert.equal(queue.enqueue([frame(10, 7)]), false);
+    
+    connection.capacity = Infinity;
+    connection.drain();
+    assert.equal(queue.getStats().congested, false);
+    assert.equal(queue.enqueue([frame(10, 8)]), true);
+    assert.deepEqual(connection.sent, [1, 6, 2, 3, 8]);
+    assert.equal(queue.getStats().dropped, 3);
+  });
+
+  it('reports a peer that stays congested', () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    const connection = new FakeConnection(0);
+    const queue = new SendQueue(connection, protocol, { highWater: 1000, lowWater: 300, slowPeerTimeout: 5000 });
+    let slow = 0;
+    queue.onSlowPeer = () => slow++;
+    
+    queue.enqueue([frame(10, 1)]);
+    queue.enqueue([frame(2000, 2)]);
+    mock.timers.tick(4999);
+    assert.equal(slow, 0);
+    mock.timers.tick(1);
+    assert.equal(slow, 1);
+  });
+
+  it('does not report a peer that catches up in time', () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    const connection = new FakeConnection(0);
+    const queue = new SendQueue(connection, protocol, { highWater: 1000, lowWater: 300, slowPeerTimeout: 5000 });
+    let slow = 0;
+    queue.onSlowPeer = () => slow++;
+    
+    queue.enqueue([frame(10, 1)]);
+    queue.enqueue([frame(2000, 2)]);
+    mock.timers.tick(3000);
+    connection.capacity = Infinity;
+    connection.drain();
+    mock.timers.tick(5000);
+    assert.equal(slow, 0);
+  });
+
+  it('writes a large backlog over several turns of the event loop', async () => {
+    const connection = new FakeConnection();
+    const queue = new SendQueue(connection, protocol);
+    
+    const frames = Array.from({ length: 20 }, (_, i) => frame(60000, i));
+    queue.enqueue(frames);
+    assert.ok(connection.sent.length > 0 && connection.sent.length < 20);
+    
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(connection.sent.length, 20);
+  });
+
+  it('stops writing once closed', () => {
+    const connection = new FakeConnection(0);
+    const queue = new SendQueue(connection, protocol);
+    
+    queue.enqueue([frame(10, 1)]);
+    queue.enqueue([frame(10, 2)]);
+    queue.close();
+    assert.equal(connection.onDrain, null);
+    assert.equal(queue.enqueue([frame(10, 3)]), false);
+    assert.deepEqual(connection.sent, [1]);
+  });
+});